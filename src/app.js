@@ -17,6 +17,10 @@ const express = require("express");           // Web framework for Node.js
 const cookieParser = require("cookie-parser"); // Parse cookies from request headers
 const connectDB = require("./config/database"); // Database connection function
 const cors = require("cors");                 // Enable Cross-Origin Resource Sharing
+const { startAccountDeletionJob } = require("./jobs/accountDeletion"); // Purges deleted accounts
+const { startAuditLogRetentionJob } = require("./jobs/auditLogRetention"); // Prunes old audit log entries
+const { startConnectionRequestExpiryJob } = require("./jobs/connectionRequestExpiry"); // Expires old likes and passes
+const { STORAGE_DRIVER, UPLOADS_DIR, UPLOADS_PUBLIC_PATH } = require("./config/uploads"); // Photo storage settings
 
 // Create Express application instance
 const app = express();
@@ -48,6 +52,17 @@ app.options('*', cors());
 app.use(express.json());                     // Parse JSON request bodies
 app.use(cookieParser());                     // Parse cookies from request headers
 
+// Serve uploaded photos when they are stored on local disk
+// nosniff keeps browsers from running an upload as anything but an image
+// Private files (identity documents) live in PRIVATE_UPLOADS_DIR and are never served
+if (STORAGE_DRIVER === "local") {
+  app.use(UPLOADS_PUBLIC_PATH, express.static(UPLOADS_DIR, {
+    index: false,
+    dotfiles: "deny",
+    setHeaders: (res) => res.setHeader("X-Content-Type-Options", "nosniff"),
+  }));
+}
+
 /**
  * Route Registration
  * 
@@ -55,16 +70,41 @@ app.use(cookieParser());                     // Parse cookies from request heade
  * a specific feature area of the application.
  */
 const authRouter = require("./routes/auth");       // Authentication routes (login, signup, logout)
+const twoFactorRouter = require("./routes/twoFactor"); // Two-factor authentication (TOTP)
+const oidcRouter = require("./routes/oidc");       // Login with external identity providers (OIDC)
+const apiKeysRouter = require("./routes/apiKeys"); // Personal API key management
+const sessionsRouter = require("./routes/sessions"); // Active sessions / device management
+const accountRouter = require("./routes/account"); // Account deletion and data export
+const photosRouter = require("./routes/photos");   // Profile photo gallery uploads
+const verificationRouter = require("./routes/verification"); // Identity verification requests
+const blocksRouter = require("./routes/blocks");   // Blocking other users
+const discoveryRouter = require("./routes/discovery"); // Locations and geospatial discovery
 const userRouter = require("./routes/user");       // User profile management routes
 const matchesRouter = require("./routes/matches"); // Travel matching and companion finding
 const groupRouter = require("./routes/groups");    // Group creation and management
+const reviewsRouter = require("./routes/reviews"); // Post-trip reviews and ratings
+const reportsRouter = require("./routes/reports"); // Reporting users and groups
+const adminRouter = require("./routes/admin");     // Moderation and administration (role protected)
 
 // Mount routes on the main application
 // All routes from these modules will be accessible from the root path "/"
 app.use("/", authRouter);      // e.g., POST /signup, POST /login, POST /logout
+app.use("/", twoFactorRouter); // e.g., POST /auth/2fa/setup, POST /auth/2fa/verify
+app.use("/", oidcRouter);      // e.g., GET /auth/oidc/google/start, GET /auth/oidc/google/callback
+// /user/* routers with fixed paths must come before userRouter, whose GET /user/:id would match them
+app.use("/", apiKeysRouter);   // e.g., GET /user/api-keys, POST /user/api-keys
+app.use("/", sessionsRouter);  // e.g., GET /user/sessions, GET /user/security-activity
+app.use("/", accountRouter);   // e.g., GET /user/me/export, DELETE /user/me
+app.use("/", photosRouter);    // e.g., POST /user/photos, DELETE /user/photos/:photoId
+app.use("/", verificationRouter); // e.g., GET /user/verification, POST /user/verification
+app.use("/", blocksRouter);    // e.g., GET /user/blocks, POST /user/blocks/:userId
+app.use("/", discoveryRouter); // e.g., GET /user/nearby, GET /discover/destination
 app.use("/", userRouter);      // e.g., GET /profile, PUT /profile
 app.use("/", matchesRouter);   // e.g., GET /matches, POST /matches
 app.use("/", groupRouter);     // e.g., GET /groups, POST /groups
+app.use("/", reviewsRouter);   // e.g., POST /groups/:groupId/reviews, GET /user/:userId/reviews
+app.use("/", reportsRouter);   // e.g., POST /reports, GET /reports
+app.use("/", adminRouter);     // e.g., GET /admin/users, POST /admin/users/:userId/suspend
 
 /**
  * Database Connection and Server Startup
@@ -77,6 +117,11 @@ connectDB()
   .then(() => {
     console.log("✅ Connected to MongoDB database successfully");
     
+    // Start background jobs that need the database
+    startAccountDeletionJob();
+    startAuditLogRetentionJob();
+    startConnectionRequestExpiryJob();
+    
     // Get port from environment variable or use default
     const PORT = process.env.PORT || 7777;
     
@@ -0,0 +1,83 @@
+/**
+ * Authentication Configuration
+ *
+ * Central place for token secrets and lifetimes so that the User model,
+ * the auth middleware and the auth routes always agree on them.
+ * Every value can be overridden through environment variables (see env.example).
+ */
+
+// Secret used to sign access tokens (JWT)
+// The fallback only exists for local development - always set JWT_SECRET in production!
+const JWT_SECRET = process.env.JWT_SECRET || "Trawell@123$";
+
+// Access tokens are short-lived; clients renew them through POST /auth/refresh
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+
+// Refresh tokens (and therefore sessions) live for a fixed number of days
+// Rotation does NOT extend this - the user has to login again afterwards
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Email verification links stay valid for this many hours
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// Minimum delay between two verification emails for the same account
+const EMAIL_RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Password reset links stay valid for this many minutes
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Consecutive failed logins before an account is temporarily locked
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+
+// Failed logins from a single IP before that IP is temporarily blocked
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+
+// Duration of an account lock / IP block
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// First backoff delay; it doubles with every further failure
+const LOGIN_BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1;
+
+// Time a user has to enter the 2FA code after a correct password
+const MFA_TOKEN_TTL_MINUTES = parseInt(process.env.MFA_TOKEN_TTL_MINUTES) || 5;
+
+// Days between DELETE /user/me and the actual purge; logging in cancels it
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Audit log entries older than this are pruned by jobs/auditLogRetention.js
+const AUDIT_LOG_RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365;
+
+// Cookie options shared by every authentication cookie
+const COOKIE_OPTIONS = {
+  httpOnly: true,                                  // Prevents JavaScript access to the cookie
+  secure: process.env.NODE_ENV === "production",   // HTTPS only in production
+  sameSite: "strict",                              // CSRF protection
+};
+
+// OIDC logins of 2FA accounts hand the mfa pending token to POST /auth/2fa/verify
+// in this cookie - never in the redirect URL, where history, proxy logs and
+// Referer headers would keep it
+const MFA_COOKIE = "mfa_token";
+const MFA_COOKIE_OPTIONS = {
+  ...COOKIE_OPTIONS,
+  path: "/auth/2fa",
+};
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  EMAIL_RESEND_COOLDOWN_SECONDS,
+  PASSWORD_RESET_TTL_MINUTES,
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_IP_MAX_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_BACKOFF_BASE_SECONDS,
+  MFA_TOKEN_TTL_MINUTES,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  AUDIT_LOG_RETENTION_DAYS,
+  MFA_COOKIE,
+  MFA_COOKIE_OPTIONS,
+  COOKIE_OPTIONS,
+};
@@ -0,0 +1,27 @@
+/**
+ * Compatibility Score Configuration
+ *
+ * Weights of the factors behind the compatibility score that orders the
+ * discovery feed (see utilis/compatibility.js). They add up to 100, so the
+ * score reads as a percentage.
+ */
+
+const COMPATIBILITY_WEIGHTS = {
+  destinations: 30,   // Share preferred destinations
+  travelDates: 25,    // Availability windows overlap
+  interests: 20,      // Share interests / travel styles
+  age: 15,            // Close in age
+  profile: 10,        // The other profile is filled in
+};
+
+// Age difference (in years) at which the age factor drops to zero
+const AGE_PROXIMITY_YEARS = parseInt(process.env.COMPATIBILITY_AGE_PROXIMITY_YEARS) || 15;
+
+// Number of matching reasons returned with each feed card
+const MAX_COMPATIBILITY_REASONS = 3;
+
+module.exports = {
+  COMPATIBILITY_WEIGHTS,
+  AGE_PROXIMITY_YEARS,
+  MAX_COMPATIBILITY_REASONS,
+};
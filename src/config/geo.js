@@ -0,0 +1,33 @@
+/**
+ * Location Configuration
+ *
+ * Settings for the optional user and group locations and the geospatial
+ * discovery endpoints (see routes/discovery.js). Every value can be
+ * overridden through environment variables (see env.example).
+ */
+
+// Stored user coordinates are snapped to a grid of this size (in degrees,
+// 0.02 is roughly 2 km), so exact positions are never stored or exposed
+const LOCATION_GRID_DEGREES = parseFloat(process.env.LOCATION_GRID_DEGREES) || 0.02;
+
+// Distances shown to other users are rounded up to whole steps of this size
+const DISTANCE_STEP_KM = parseInt(process.env.DISTANCE_STEP_KM) || 1;
+
+// Search radius for "near me" and destination discovery
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = parseInt(process.env.MAX_DISCOVERY_RADIUS_KM) || 200;
+
+// A current location older than this no longer counts as "near me"
+const CURRENT_LOCATION_MAX_AGE_HOURS = parseInt(process.env.CURRENT_LOCATION_MAX_AGE_HOURS) || 72;
+
+// Upper bound for the destinations a user can pin on the map
+const MAX_DESTINATION_LOCATIONS = 20;
+
+module.exports = {
+  LOCATION_GRID_DEGREES,
+  DISTANCE_STEP_KM,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  CURRENT_LOCATION_MAX_AGE_HOURS,
+  MAX_DESTINATION_LOCATIONS,
+};
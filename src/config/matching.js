@@ -0,0 +1,25 @@
+/**
+ * Matching Configuration
+ *
+ * Limits for likes and passes (routes/matches.js). Every value can be
+ * overridden through environment variables (see env.example).
+ */
+
+// A like or pass can be undone (POST /request/undo) for this long after sending it
+const UNDO_WINDOW_MINUTES = parseInt(process.env.UNDO_WINDOW_MINUTES) || 10;
+
+// Undos a user gets per day (UTC)
+const DAILY_UNDO_LIMIT = parseInt(process.env.DAILY_UNDO_LIMIT) || 3;
+
+// Likes nobody answered expire after this many days (jobs/connectionRequestExpiry.js)
+const LIKE_EXPIRY_DAYS = parseInt(process.env.LIKE_EXPIRY_DAYS) || 30;
+
+// A passed traveler can show up in the feed again after this many days
+const PASS_COOLDOWN_DAYS = parseInt(process.env.PASS_COOLDOWN_DAYS) || 90;
+
+module.exports = {
+  UNDO_WINDOW_MINUTES,
+  DAILY_UNDO_LIMIT,
+  LIKE_EXPIRY_DAYS,
+  PASS_COOLDOWN_DAYS,
+};
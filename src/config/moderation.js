@@ -0,0 +1,33 @@
+/**
+ * Moderation Configuration
+ *
+ * Settings for user reports (POST /reports) and the moderation queue.
+ * Every value can be overridden through environment variables (see env.example).
+ */
+
+// Things that can be reported (the Report model and utilis/moderation.js map them to models)
+const REPORT_TARGET_TYPES = ["user", "group"];
+
+// Reason categories a reporter picks from
+const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "fake_profile",
+  "scam",
+  "inappropriate_content",
+  "safety_concern",
+  "other",
+];
+
+// Distinct reporters with open reports needed to hide a target automatically
+const REPORT_AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 3;
+
+// How long an automatically hidden target stays hidden (unless a moderator dismisses the reports)
+const REPORT_AUTO_HIDE_HOURS = parseInt(process.env.REPORT_AUTO_HIDE_HOURS) || 48;
+
+module.exports = {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  REPORT_AUTO_HIDE_THRESHOLD,
+  REPORT_AUTO_HIDE_HOURS,
+};
@@ -0,0 +1,77 @@
+/**
+ * OpenID Connect Provider Configuration
+ *
+ * Providers are configured entirely through environment variables, so the
+ * same code works with Google, Microsoft, Auth0, Keycloak or a local mock
+ * identity provider used during development.
+ *
+ * OIDC_PROVIDERS lists the enabled provider names (comma separated). For each
+ * name, variables prefixed with OIDC_<NAME>_ describe the provider:
+ *
+ *   OIDC_PROVIDERS=google,mock
+ *   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+ *   OIDC_GOOGLE_CLIENT_ID=...
+ *   OIDC_GOOGLE_CLIENT_SECRET=...
+ *   OIDC_GOOGLE_REDIRECT_URI=http://localhost:7777/auth/oidc/google/callback
+ *
+ * Endpoints are discovered from <issuer>/.well-known/openid-configuration
+ * unless they are set explicitly (OIDC_<NAME>_AUTHORIZATION_ENDPOINT,
+ * OIDC_<NAME>_TOKEN_ENDPOINT, OIDC_<NAME>_JWKS_URI) - handy for mock servers
+ * without a discovery document.
+ */
+
+/**
+ * Read the configuration of a single provider from the environment
+ *
+ * @param {string} name - Provider name as listed in OIDC_PROVIDERS
+ * @returns {Object|null} - Provider config, or null if required values are missing
+ */
+const readProvider = (name) => {
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const env = (key) => process.env[prefix + key];
+
+  const provider = {
+    name,
+    displayName: env("DISPLAY_NAME") || name,
+    issuer: env("ISSUER"),
+    clientId: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET"),
+    redirectUri: env("REDIRECT_URI"),
+    scopes: env("SCOPES") || "openid email profile",
+    authorizationEndpoint: env("AUTHORIZATION_ENDPOINT"),
+    tokenEndpoint: env("TOKEN_ENDPOINT"),
+    jwksUri: env("JWKS_URI"),
+  };
+
+  if (!provider.issuer || !provider.clientId || !provider.redirectUri) {
+    console.warn(`⚠️ OIDC provider "${name}" ignored: ${prefix}ISSUER, ${prefix}CLIENT_ID and ${prefix}REDIRECT_URI are required`);
+    return null;
+  }
+
+  return provider;
+};
+
+// Enabled providers keyed by name
+// No prototype, so route params like "constructor" or "__proto__" find nothing
+const OIDC_PROVIDERS = (process.env.OIDC_PROVIDERS || "")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean)
+  .map(readProvider)
+  .filter(Boolean)
+  .reduce((providers, provider) => {
+    providers[provider.name] = provider;
+    return providers;
+  }, Object.create(null));
+
+// Where the browser is sent after an OIDC login (success or failure)
+const OIDC_SUCCESS_REDIRECT =
+  process.env.OIDC_SUCCESS_REDIRECT || `${process.env.FRONTEND_URL || "http://localhost:5173"}/`;
+const OIDC_FAILURE_REDIRECT =
+  process.env.OIDC_FAILURE_REDIRECT || `${process.env.FRONTEND_URL || "http://localhost:5173"}/login`;
+
+module.exports = {
+  OIDC_PROVIDERS,
+  OIDC_SUCCESS_REDIRECT,
+  OIDC_FAILURE_REDIRECT,
+};
@@ -0,0 +1,25 @@
+/**
+ * Review Configuration
+ *
+ * Rules for post-trip reviews (routes/reviews.js).
+ * Every value can be overridden through environment variables (see env.example).
+ */
+
+// Star ratings
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+// Maximum length of a review and of the reviewee's reply
+const MAX_REVIEW_LENGTH = 1000;
+const MAX_REPLY_LENGTH = 500;
+
+// Reviewers can edit or delete their review for this many days after posting it
+const REVIEW_EDIT_WINDOW_DAYS = parseInt(process.env.REVIEW_EDIT_WINDOW_DAYS) || 7;
+
+module.exports = {
+  MIN_RATING,
+  MAX_RATING,
+  MAX_REVIEW_LENGTH,
+  MAX_REPLY_LENGTH,
+  REVIEW_EDIT_WINDOW_DAYS,
+};
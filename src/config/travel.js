@@ -0,0 +1,48 @@
+/**
+ * Travel Preference Configuration
+ *
+ * Allowed values and limits for the structured travel preferences on user
+ * profiles. Shared by the User schema and the profile update validation
+ * (utilis/validation.js) so both always accept the same data.
+ */
+
+// Interests / travel styles a user can pick
+const TRAVEL_INTERESTS = [
+  "adventure",
+  "relaxation",
+  "culture",
+  "food",
+  "nature",
+  "nightlife",
+  "beach",
+  "hiking",
+  "photography",
+  "history",
+  "shopping",
+  "backpacking",
+  "road-trip",
+  "luxury",
+  "wellness",
+];
+
+// Budget bands, from cheapest to most expensive
+const BUDGET_LEVELS = ["budget", "moderate", "comfort", "luxury"];
+
+// Upper bounds for the list fields
+const MAX_INTERESTS = 10;
+const MAX_LANGUAGES = 10;
+const MAX_DESTINATIONS = 20;
+const MAX_AVAILABILITY_WINDOWS = 10;
+
+// Maximum length of free-text values (home city, destination names)
+const MAX_PLACE_NAME_LENGTH = 100;
+
+module.exports = {
+  TRAVEL_INTERESTS,
+  BUDGET_LEVELS,
+  MAX_INTERESTS,
+  MAX_LANGUAGES,
+  MAX_DESTINATIONS,
+  MAX_AVAILABILITY_WINDOWS,
+  MAX_PLACE_NAME_LENGTH,
+};
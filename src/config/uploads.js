@@ -0,0 +1,48 @@
+/**
+ * Upload Configuration
+ *
+ * Limits for profile photo uploads and settings of the file storage.
+ * Every value can be overridden through environment variables (see env.example).
+ */
+
+const path = require("path");
+
+// Maximum number of photos in a user's gallery
+const MAX_PHOTOS_PER_USER = parseInt(process.env.MAX_PHOTOS_PER_USER) || 6;
+
+// Maximum size of a single photo
+const MAX_PHOTO_SIZE_MB = parseInt(process.env.MAX_PHOTO_SIZE_MB) || 5;
+
+// Accepted image types and the file extension they are stored with
+const ALLOWED_PHOTO_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+// Storage adapter used for uploaded files (see utilis/storage.js)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+
+// Local disk adapter: where files are written and the URL path they are served from
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(process.cwd(), "uploads");
+const UPLOADS_PUBLIC_PATH = "/uploads";
+
+// Keys below this prefix (e.g. identity documents) are never served publicly;
+// the local adapter keeps them in a separate directory outside UPLOADS_DIR
+const PRIVATE_KEY_PREFIX = "private";
+const PRIVATE_UPLOADS_DIR = process.env.PRIVATE_UPLOADS_DIR || path.join(process.cwd(), "private-uploads");
+
+// Public base URL of this API, used to build absolute photo URLs
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 7777}`;
+
+module.exports = {
+  MAX_PHOTOS_PER_USER,
+  MAX_PHOTO_SIZE_MB,
+  ALLOWED_PHOTO_TYPES,
+  STORAGE_DRIVER,
+  UPLOADS_DIR,
+  UPLOADS_PUBLIC_PATH,
+  PRIVATE_KEY_PREFIX,
+  PRIVATE_UPLOADS_DIR,
+  PUBLIC_BASE_URL,
+};
@@ -0,0 +1,28 @@
+/**
+ * Account Deletion Job
+ *
+ * Periodically purges accounts whose deletion grace period (DELETE /user/me)
+ * has ended. Started from app.js once the database is connected.
+ *
+ * The interval can be tuned with ACCOUNT_DELETION_JOB_INTERVAL_MINUTES.
+ */
+
+const { scheduleJob } = require("./scheduler");
+const { purgeDueAccounts } = require("../utilis/accountDeletion");
+
+const INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MINUTES) || 60;
+
+/**
+ * Start the job: one pass right away, then every INTERVAL_MINUTES
+ *
+ * @returns {NodeJS.Timeout}
+ */
+const startAccountDeletionJob = () =>
+  scheduleJob("Account deletion", async () => {
+    const purged = await purgeDueAccounts();
+    if (purged > 0) {
+      console.log(`🗑️ Account deletion job purged ${purged} account(s)`);
+    }
+  }, INTERVAL_MINUTES);
+
+module.exports = { startAccountDeletionJob };
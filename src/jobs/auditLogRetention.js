@@ -0,0 +1,30 @@
+/**
+ * Audit Log Retention Job
+ *
+ * Deletes audit log entries older than AUDIT_LOG_RETENTION_DAYS. This is the
+ * only code allowed to remove entries (see models/auditLog.js).
+ *
+ * The interval can be tuned with AUDIT_LOG_RETENTION_JOB_INTERVAL_MINUTES.
+ */
+
+const { scheduleJob } = require("./scheduler");
+const AuditLog = require("../models/auditLog");
+const { AUDIT_LOG_RETENTION_DAYS } = require("../config/auth");
+
+const INTERVAL_MINUTES = parseInt(process.env.AUDIT_LOG_RETENTION_JOB_INTERVAL_MINUTES) || 24 * 60;
+
+/**
+ * Start the job: one pass right away, then every INTERVAL_MINUTES
+ *
+ * @returns {NodeJS.Timeout}
+ */
+const startAuditLogRetentionJob = () =>
+  scheduleJob("Audit log retention", async () => {
+    const cutoff = new Date(Date.now() - AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const pruned = await AuditLog.pruneOlderThan(cutoff);
+    if (pruned > 0) {
+      console.log(`🧹 Pruned ${pruned} audit log entr${pruned === 1 ? "y" : "ies"} older than ${AUDIT_LOG_RETENTION_DAYS} days`);
+    }
+  }, INTERVAL_MINUTES);
+
+module.exports = { startAuditLogRetentionJob };
@@ -0,0 +1,36 @@
+/**
+ * Connection Request Expiry Job
+ *
+ * Marks likes nobody answered within LIKE_EXPIRY_DAYS and passes older than
+ * PASS_COOLDOWN_DAYS as "expired" (see ConnectionRequest.expireStale). Expired
+ * requests no longer hide the two travelers from each other's feed, so they
+ * can meet again.
+ *
+ * The interval can be tuned with CONNECTION_REQUEST_EXPIRY_JOB_INTERVAL_MINUTES.
+ */
+
+const { scheduleJob } = require("./scheduler");
+const ConnectionRequest = require("../models/connectionRequest");
+const { LIKE_EXPIRY_DAYS, PASS_COOLDOWN_DAYS } = require("../config/matching");
+
+const INTERVAL_MINUTES = parseInt(process.env.CONNECTION_REQUEST_EXPIRY_JOB_INTERVAL_MINUTES) || 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start the job: one pass right away, then every INTERVAL_MINUTES
+ *
+ * @returns {NodeJS.Timeout}
+ */
+const startConnectionRequestExpiryJob = () =>
+  scheduleJob("Connection request expiry", async () => {
+    const { likes, passes } = await ConnectionRequest.expireStale({
+      likesBefore: new Date(Date.now() - LIKE_EXPIRY_DAYS * DAY_MS),
+      passesBefore: new Date(Date.now() - PASS_COOLDOWN_DAYS * DAY_MS),
+    });
+    if (likes > 0 || passes > 0) {
+      console.log(`⏳ Expired ${likes} unanswered like(s) and ${passes} pass(es)`);
+    }
+  }, INTERVAL_MINUTES);
+
+module.exports = { startConnectionRequestExpiryJob };
@@ -0,0 +1,38 @@
+/**
+ * Background Job Scheduler
+ *
+ * Minimal in-process scheduler for periodic maintenance tasks. Each job runs
+ * once right away and then every `intervalMinutes`. A run never overlaps the
+ * previous one and errors are logged instead of crashing the server.
+ */
+
+/**
+ * Schedule a periodic job
+ *
+ * @param {string} name - Name used in log lines
+ * @param {Function} task - Async function doing one pass of the work
+ * @param {number} intervalMinutes - Delay between two runs
+ * @returns {NodeJS.Timeout} - The interval handle (unref'd, so it never keeps the process alive)
+ */
+const scheduleJob = (name, task, intervalMinutes) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`❌ ${name} job failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { scheduleJob };
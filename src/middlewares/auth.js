@@ -2,13 +2,17 @@
  * Authentication Middleware
  * 
  * This middleware function authenticates users by verifying JWT tokens
- * from cookies. It's used to protect routes that require user authentication.
+ * (from the cookie or an Authorization: Bearer header) or personal API keys.
+ * It's used to protect routes that require user authentication.
  * 
  * How it works:
- * 1. Extract JWT token from request cookies
- * 2. Verify the token's authenticity and expiration
- * 3. Find the user in the database using the token payload
- * 4. Attach the user object to the request for use in route handlers
+ * 1. Extract the token from the Authorization header or request cookies
+ * 2. API keys: look up the hashed key and check its scope
+ * 3. JWTs: verify authenticity and expiration, and check that the session
+ *    the token belongs to has not been revoked
+ * 4. Find the user in the database using the token payload
+ * 5. Reject suspended or banned accounts
+ * 6. Attach the user object to the request for use in route handlers
  * 
  * Usage:
  * - Add this middleware to any route that requires authentication
@@ -17,6 +21,9 @@
 
 const jwt = require("jsonwebtoken");  // JWT verification library
 const User = require("../models/user"); // User model for database queries
+const { JWT_SECRET } = require("../config/auth");           // Token signing secret
+const { findActiveSession } = require("../utilis/session"); // Server-side session lookup
+const ApiKey = require("../models/apiKey");                 // Personal API keys
 
 /**
  * User Authentication Middleware
@@ -38,11 +45,14 @@ const User = require("../models/user"); // User model for database queries
  */
 const userAuth = async (req, res, next) => {
   try {
-    // Step 1: Extract JWT token from cookies
-    // The token was set during login/signup in an HTTP-only cookie
-    const { token } = req.cookies;
+    // Step 1: Extract credentials
+    // Browsers send the access token in the HTTP-only cookie set during login/signup;
+    // mobile apps and scripts send "Authorization: Bearer <access token or API key>"
+    const authHeader = req.get("authorization") || "";
+    const bearerToken = authHeader.startsWith("Bearer ") ? authHeader.slice(7).trim() : null;
+    const token = bearerToken || req.cookies.token;
     
-    // Step 2: Check if token exists
+    // Step 2: Check if credentials exist
     if (!token) {
       return res.status(401).json({ 
         message: "You are not authenticated. Please login first.",
@@ -50,20 +60,61 @@ const userAuth = async (req, res, next) => {
       });
     }
 
-    // Step 3: Verify JWT token
-    // jwt.verify() decodes the token and checks its signature
-    // If the token is invalid or expired, it will throw an error
-    const decodeData = await jwt.verify(token, "Trawell@123$");
-    
-    // Step 4: Extract user ID from decoded token
-    // The token payload contains the user's _id (set during token creation)
-    const { _id } = decodeData;
-    
-    // Step 5: Find user in database
-    // This ensures the user still exists and hasn't been deleted
-    const user = await User.findById(_id);
+    let user;
+    let session = null;
+    let apiKey = null;
+
+    if (token.startsWith(ApiKey.API_KEY_PREFIX)) {
+      // Step 3a: Personal API key
+      apiKey = await ApiKey.findActiveByKey(token);
+      if (!apiKey) {
+        return res.status(401).json({
+          message: "Invalid or revoked API key.",
+          error: "INVALID_API_KEY"
+        });
+      }
+
+      // Read-only keys may only fetch data
+      if (!apiKey.allowsMethod(req.method)) {
+        return res.status(403).json({
+          message: "This API key is read-only.",
+          error: "INSUFFICIENT_SCOPE"
+        });
+      }
+
+      user = await User.findById(apiKey.userId);
+    } else {
+      // Step 3b: Verify JWT access token
+      // jwt.verify() decodes the token and checks its signature
+      // If the token is invalid or expired, it will throw an error
+      const decodeData = await jwt.verify(token, JWT_SECRET);
+      
+      // Step 4: Extract user ID and session ID from decoded token
+      // The token payload contains the user's _id and the session id (set during token creation)
+      const { _id, sid } = decodeData;
+      
+      // Step 5: Make sure the session is still active
+      // Logout, refresh token reuse and password resets revoke the session, which
+      // invalidates every access token issued for it even before they expire
+      session = await findActiveSession(sid, _id);
+      if (!session) {
+        return res.status(401).json({
+          message: "Your session has ended. Please login again.",
+          error: "SESSION_REVOKED"
+        });
+      }
+      
+      // Record device activity for GET /user/sessions (not awaited, never fails the request)
+      session.touch(req.ip).catch((touchErr) => {
+        console.error("❌ Failed to record session activity:", touchErr.message);
+      });
+      
+      // Step 6: Find user in database
+      // This ensures the user still exists and hasn't been deleted
+      user = await User.findById(_id);
+    }
     
-    // Step 6: Check if user exists
+    // Step 7: Check if user exists
     if (!user) {
       return res.status(401).json({
         message: "User not found. Please login again.",
@@ -71,11 +122,23 @@ const userAuth = async (req, res, next) => {
       });
     }
     
-    // Step 7: Attach user to request object
+    // Step 8: Reject suspended or banned accounts
+    const restriction = user.getAccountRestriction();
+    if (restriction) {
+      return res.status(restriction.status).json({
+        message: restriction.message,
+        error: restriction.error
+      });
+    }
+    
+    // Step 9: Attach user and credentials to request object
     // This makes the user data available to the route handler
+    // (exactly one of authSession / apiKey is set)
     req.user = user;
+    req.authSession = session;
+    req.apiKey = apiKey;
     
-    // Step 8: Continue to next middleware or route handler
+    // Step 10: Continue to next middleware or route handler
     next();
     
   } catch (err) {
@@ -89,7 +152,7 @@ const userAuth = async (req, res, next) => {
     
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({
-        message: "Token expired. Please login again.",
+        message: "Token expired. Please refresh your session or login again.",
         error: "TOKEN_EXPIRED"
       });
     }
@@ -103,8 +166,67 @@ const userAuth = async (req, res, next) => {
   }
 };
 
-// Export the middleware function
-module.exports = { userAuth };
+/**
+ * Verified Email Middleware
+ * 
+ * Restricts a route to users who confirmed their email address.
+ * Must be composed after userAuth, which sets req.user.
+ * 
+ * @example
+ * router.post('/request/send/:status/:toUserId', userAuth, requireVerifiedEmail, handler);
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      message: "Please verify your email address first. Check your inbox or request a new link.",
+      error: "EMAIL_NOT_VERIFIED"
+    });
+  }
+  next();
+};
+
+/**
+ * Session-only Middleware
+ * 
+ * Rejects requests authenticated with an API key. Used for sensitive account
+ * operations (API key management, password and 2FA changes, moderation) so a leaked key
+ * can never be turned into more credentials or a full account takeover.
+ * Must be composed after userAuth.
+ */
+const requireSession = (req, res, next) => {
+  if (!req.authSession) {
+    return res.status(403).json({
+      message: "This action requires logging in; API keys cannot be used.",
+      error: "SESSION_REQUIRED"
+    });
+  }
+  next();
+};
+
+/**
+ * Role-based Authorization Middleware Factory
+ * 
+ * Returns a middleware that only lets users with one of the given roles
+ * through. Must be composed after userAuth, which sets req.user.
+ * 
+ * @param {...string} roles - Allowed roles ("user", "moderator", "admin")
+ * @returns {Function} Express middleware
+ * 
+ * @example
+ * router.get('/admin/users', userAuth, authorize("admin", "moderator"), handler);
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      message: "You do not have permission to perform this action",
+      error: "FORBIDDEN"
+    });
+  }
+  next();
+};
+
+// Export the middleware functions
+module.exports = { userAuth, requireVerifiedEmail, requireSession, authorize };
 
 /**
  * HOW JWT AUTHENTICATION WORKS:
@@ -112,35 +234,33 @@ module.exports = { userAuth };
  * 1. LOGIN/SIGNUP:
  *    - User provides credentials
  *    - Server validates credentials
- *    - Server creates JWT with user ID
- *    - JWT is sent to client in HTTP-only cookie
+ *    - Server creates a Session and a short-lived JWT bound to it (sid claim)
+ *    - JWT and a rotating refresh token are sent to client in HTTP-only cookies
  * 
  * 2. PROTECTED REQUEST:
  *    - Client makes request to protected route
  *    - Browser automatically sends cookie with JWT
+ *      (other clients send it as "Authorization: Bearer <token>")
  *    - This middleware extracts and verifies JWT
  *    - If valid, user data is attached to request
  *    - Route handler can access user via req.user
  * 
  * 3. SECURITY FEATURES:
  *    - HTTP-only cookies prevent XSS attacks
- *    - JWT expiration prevents indefinite access
+ *    - Short JWT expiration limits the damage of a stolen token
+ *    - Session lookup makes logout and revocation take effect immediately
  *    - Token verification ensures authenticity
  *    - Database lookup ensures user still exists
  * 
  * PRODUCTION IMPROVEMENTS NEEDED:
  * 
- * 1. 🔒 Move JWT secret to environment variables
- * 2. 🔒 Add token refresh mechanism
- * 3. 🔒 Implement token blacklisting for logout
- * 4. 🔒 Add rate limiting for authentication attempts
- * 5. 🔒 Log authentication events for security monitoring
- * 6. 🔒 Add device fingerprinting for additional security
+ * 1. 🔒 Add rate limiting for authentication attempts
+ * 2. 🔒 Log authentication events for security monitoring
+ * 3. 🔒 Add device fingerprinting for additional security
  * 
- * ALTERNATIVE AUTHENTICATION METHODS:
+ * SUPPORTED CREDENTIALS:
  * 
- * 1. Session-based authentication (stored in Redis/database)
- * 2. OAuth 2.0 for third-party authentication
- * 3. API key authentication for service-to-service communication
- * 4. Multi-factor authentication (MFA)
+ * 1. Access token cookie (browsers)
+ * 2. Access token as Bearer header (mobile apps)
+ * 3. Personal API key as Bearer header (scripts and integrations)
  */
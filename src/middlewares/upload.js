@@ -0,0 +1,110 @@
+/**
+ * Image Upload Middleware
+ *
+ * Parses multipart/form-data image uploads with multer. Files are kept in
+ * memory (req.files[field] = [{ buffer, mimetype, size, originalname }]) so
+ * routes can validate them before handing them to utilis/storage.js.
+ *
+ * Only the types in ALLOWED_PHOTO_TYPES are accepted, each file is limited to
+ * MAX_PHOTO_SIZE_MB, and multer errors are turned into API responses.
+ *
+ * @example
+ * router.post("/user/photos", userAuth, imageUpload([{ name: "photos", maxCount: 6 }]), handler);
+ */
+
+const multer = require("multer");
+const { MAX_PHOTO_SIZE_MB, ALLOWED_PHOTO_TYPES } = require("../config/uploads");
+
+/**
+ * Does the file content really match its declared image type?
+ * Clients choose the MIME type themselves, so the magic bytes are checked too.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean}
+ */
+const hasImageSignature = (buffer, mimeType) => {
+  switch (mimeType) {
+    case "image/jpeg":
+      return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+    case "image/png":
+      return buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    case "image/webp":
+      return buffer.length > 12 &&
+        buffer.subarray(0, 4).toString("ascii") === "RIFF" &&
+        buffer.subarray(8, 12).toString("ascii") === "WEBP";
+    default:
+      return false;
+  }
+};
+
+/**
+ * Find the first uploaded file whose content is not the image type it claims to be
+ *
+ * @param {Object[]} files - multer files
+ * @returns {Object|undefined}
+ */
+const findInvalidImage = (files) =>
+  files.find((file) => !hasImageSignature(file.buffer, file.mimetype));
+
+/**
+ * Build the upload middleware for the given form fields
+ *
+ * @param {Array<{name: string, maxCount: number}>} fields - Accepted file fields
+ * @returns {Function} Express middleware
+ */
+const imageUpload = (fields) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: MAX_PHOTO_SIZE_MB * 1024 * 1024,
+      files: fields.reduce((total, field) => total + field.maxCount, 0),
+    },
+    fileFilter: (req, file, callback) => {
+      if (!ALLOWED_PHOTO_TYPES[file.mimetype]) {
+        const error = new Error("Only JPEG, PNG and WebP images are allowed");
+        error.code = "INVALID_FILE_TYPE";
+        return callback(error);
+      }
+      callback(null, true);
+    },
+  }).fields(fields);
+
+  const expected = fields.map((field) => `"${field.name}" (max ${field.maxCount})`).join(", ");
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) {
+        req.files = req.files || {};
+        return next();
+      }
+
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          message: `Each image must be at most ${MAX_PHOTO_SIZE_MB} MB`,
+          error: "FILE_TOO_LARGE"
+        });
+      }
+      if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+        return res.status(400).json({
+          message: `Too many files - expected ${expected}`,
+          error: "TOO_MANY_FILES"
+        });
+      }
+      if (err.code === "INVALID_FILE_TYPE") {
+        return res.status(415).json({
+          message: err.message,
+          error: err.code
+        });
+      }
+
+      console.error("❌ Upload parse error:", err.message);
+      res.status(400).json({
+        message: "Invalid upload",
+        error: err.message
+      });
+    });
+  };
+};
+
+module.exports = { imageUpload, findInvalidImage };
@@ -0,0 +1,146 @@
+/**
+ * AuditLog Model - Security Audit Trail
+ *
+ * One document per security relevant event (logins, password changes,
+ * logouts, profile changes, moderation actions, ...). Entries are written
+ * through utilis/audit.js and are append-only: updates and single-document
+ * deletes are rejected by the hooks below. The only way entries disappear is
+ * the retention job (jobs/auditLogRetention.js), which uses pruneOlderThan().
+ */
+
+const mongoose = require("mongoose");
+
+// Every event the application records - keep in sync with the callers
+const AUDIT_EVENTS = [
+  // Authentication
+  "signup",
+  "login.success",
+  "login.failure",
+  "login.locked",
+  "logout",
+  "session.revoked",
+  "session.revoked_all",
+  "refresh_token.reused",
+  "oidc.linked",
+
+  // Credentials
+  "email.verified",
+  "password.changed",
+  "password.reset_requested",
+  "password.reset",
+  "two_factor.enabled",
+  "two_factor.disabled",
+  "two_factor.recovery_codes_regenerated",
+  "api_key.created",
+  "api_key.revoked",
+
+  // Account
+  "profile.updated",
+  "account.deletion_requested",
+  "account.deletion_cancelled",
+  "identity.verification_requested",
+  "report.created",
+
+  // Moderation (actor is a moderator/admin, user is the target)
+  "admin.role_changed",
+  "admin.user_suspended",
+  "admin.user_banned",
+  "admin.user_reinstated",
+  "admin.user_logged_out",
+  "admin.group_deleted",
+  "admin.identity_verified",
+  "admin.identity_rejected",
+  "admin.report_resolved",
+  "admin.review_deleted",
+];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      required: true,
+      enum: {
+        values: AUDIT_EVENTS,
+        message: "{VALUE} is not a known audit event",
+      },
+    },
+
+    // Account the event is about (null for e.g. logins with an unknown email)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Who triggered it - the user themselves, or a moderator/admin
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+
+    // Event specific details (reason, changed fields, ...) - never secrets
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ event: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+/**
+ * Append-only guard
+ */
+const rejectModification = function () {
+  throw new Error("Audit log entries cannot be modified or deleted");
+};
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) {
+    rejectModification();
+  }
+});
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "findOneAndDelete"]
+  .forEach((operation) => auditLogSchema.pre(operation, rejectModification));
+
+/**
+ * Static Method: Delete entries older than a date (retention)
+ *
+ * @param {Date} cutoff - Entries created before this date are removed
+ * @returns {Promise<number>} - Number of entries removed
+ */
+auditLogSchema.statics.pruneOlderThan = async function (cutoff) {
+  const result = await this.deleteMany({ createdAt: { $lt: cutoff } });
+  return result.deletedCount;
+};
+
+/**
+ * Instance Method: Was the event caused by someone other than the account owner?
+ *
+ * True for moderator/admin actions. Their IP and user agent belong to the
+ * staff member, so they are never shown to the user the event is about.
+ * Failed logins count as the owner's (recordAuditEvent defaults actorId to userId).
+ *
+ * @returns {boolean}
+ */
+auditLogSchema.methods.isByStaff = function () {
+  return Boolean(this.actorId && this.userId && !this.actorId.equals(this.userId));
+};
+
+auditLogSchema.statics.AUDIT_EVENTS = AUDIT_EVENTS;
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
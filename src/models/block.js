@@ -0,0 +1,70 @@
+/**
+ * Block Model - User Blocking
+ *
+ * One document per "blockerId blocked blockedId". Blocks are enforced in
+ * both directions: neither user sees the other in feeds, connection lists
+ * or profiles, and neither can send the other a connection request.
+ * Additionally nobody can join a group administered by someone who blocked
+ * them (see routes/groups.js).
+ */
+
+const mongoose = require("mongoose");
+
+const blockSchema = new mongoose.Schema(
+  {
+    blockerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    blockedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user blocks another user at most once
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+
+blockSchema.pre("save", function () {
+  if (this.blockerId.equals(this.blockedId)) {
+    throw new Error("You can't block yourself");
+  }
+});
+
+/**
+ * Static Method: Users hidden from a user because of blocks (either direction)
+ *
+ * @param {ObjectId} userId
+ * @returns {Promise<ObjectId[]>}
+ */
+blockSchema.statics.blockedUserIds = async function (userId) {
+  const blocks = await this.find({
+    $or: [{ blockerId: userId }, { blockedId: userId }],
+  }).select("blockerId blockedId").lean();
+
+  return blocks.map((block) => (block.blockerId.equals(userId) ? block.blockedId : block.blockerId));
+};
+
+/**
+ * Static Method: Has either user blocked the other?
+ *
+ * @param {ObjectId} userId
+ * @param {ObjectId} otherUserId
+ * @returns {Promise<boolean>}
+ */
+blockSchema.statics.isBlockedBetween = async function (userId, otherUserId) {
+  const block = await this.exists({
+    $or: [
+      { blockerId: userId, blockedId: otherUserId },
+      { blockerId: otherUserId, blockedId: userId },
+    ],
+  });
+  return Boolean(block);
+};
+
+module.exports = mongoose.model("Block", blockSchema);
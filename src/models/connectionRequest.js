@@ -16,17 +16,45 @@ const connectionRequestSchema = new mongoose.Schema(
       type: String,
       required: true,
       enum: {
-        values: ["pass", "like", "accept", "reject"],
+        values: ["pass", "like", "accept", "reject", "expired"],
         message: `{VALUE} is incorrect status type. `,
       },
     },
+    // Unanswered likes and passes past their lifetime become "expired" instead
+    // of being deleted (see expireStale), keeping what they were and when
+    statusBeforeExpiry: {
+      type: String,
+      enum: ["like", "pass"],
+    },
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
+    // Both user ids in sorted order ("<smaller>_<larger>"), set on validation
+    // The same for A -> B and B -> A, so the unique index below allows a single
+    // active (not expired) request per pair of users even when both like each
+    // other at the same time
+    pairKey: {
+      type: String,
+    },
   },
   {
     timestamps: true,
   }
 );
 // indexes 
-connectionRequestSchema.index({fromUserId : 1 , toUserId : 1});
+// expiredAt is null for active requests, so expired ones never block a new request
+// (databases indexed before expiry existed need ConnectionRequest.syncIndexes() once)
+connectionRequestSchema.index({ fromUserId: 1, toUserId: 1, expiredAt: 1 }, { unique: true });
+// Requests saved before pairKey existed have none and are left out
+connectionRequestSchema.index(
+  { pairKey: 1, expiredAt: 1 },
+  { unique: true, partialFilterExpression: { pairKey: { $type: "string" } } }
+);
+// Expiry sweep
+connectionRequestSchema.index({ status: 1, createdAt: 1 });
+// Pending requests / connections of a user, paged newest first (see utilis/pagination.js)
+connectionRequestSchema.index({ toUserId: 1, status: 1, _id: -1 });
 
 connectionRequestSchema.pre("save" , function(){
   const connectionRequest = this;
@@ -35,6 +63,37 @@ connectionRequestSchema.pre("save" , function(){
   }
 })
 
+connectionRequestSchema.pre("validate", function () {
+  if (this.fromUserId && this.toUserId) {
+    this.pairKey = [this.fromUserId.toString(), this.toUserId.toString()].sort().join("_");
+  }
+});
+
+/**
+ * Static Method: Expire unanswered likes and passes that are too old
+ *
+ * Used by jobs/connectionRequestExpiry.js.
+ *
+ * @param {Object} cutoffs
+ * @param {Date} cutoffs.likesBefore - Likes sent before this expire
+ * @param {Date} cutoffs.passesBefore - Passes sent before this expire
+ * @returns {Promise<{likes: number, passes: number}>} - Number of requests expired
+ */
+connectionRequestSchema.statics.expireStale = async function ({ likesBefore, passesBefore }) {
+  const expire = async (status, before) => {
+    const result = await this.updateMany(
+      { status, createdAt: { $lt: before } },
+      { $set: { status: "expired", statusBeforeExpiry: status, expiredAt: new Date() } }
+    );
+    return result.modifiedCount;
+  };
+
+  return {
+    likes: await expire("like", likesBefore),
+    passes: await expire("pass", passesBefore),
+  };
+};
+
 const ConnectionRequestModel = new mongoose.model(
   "ConnectionRequest",
   connectionRequestSchema
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const user = require("./user");
+const pointSchema = require("./point");
 
 const groupSchema = new mongoose.Schema(
   {
@@ -34,6 +35,11 @@ const groupSchema = new mongoose.Schema(
       type: [String],
       required: true,
     },
+    // Optional map position of the destination, for destination discovery
+    destinationLocation: {
+      type: pointSchema,
+      default: undefined,
+    },
     travelDate: {
       type: String,
       required: true,
@@ -47,9 +53,15 @@ const groupSchema = new mongoose.Schema(
       type: Number,
       default: 5,
     },
+    // Set when enough users reported the group (see utilis/moderation.js)
+    hiddenUntil: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 groupSchema.index({ "groupMembers.user": 1 });
+groupSchema.index({ destinationLocation: "2dsphere" });
 
 module.exports = mongoose.model("Group", groupSchema);
@@ -0,0 +1,49 @@
+/**
+ * LoginThrottle Model - Failed Login Tracking per Client IP
+ *
+ * Per-account failures are stored on the User document. This collection
+ * tracks failures per IP address, which catches attackers spraying guesses
+ * across many accounts (and guesses against emails that do not exist).
+ *
+ * Documents expire automatically once the IP has been quiet for a while.
+ */
+
+const mongoose = require("mongoose");
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    // Client IP address
+    ip: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Consecutive failed attempts from this IP
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+
+    // Time of the most recent failure (used for the backoff window)
+    lastFailedAt: {
+      type: Date,
+    },
+
+    // The IP is blocked until this date
+    blockedUntil: {
+      type: Date,
+    },
+
+    // Removal date for the TTL index, pushed forward on every failure
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,33 @@
+/**
+ * GeoJSON Point Schema
+ *
+ * Embedded (not a model) wherever something has a position on the map, so
+ * the field can carry a 2dsphere index. Coordinates are [longitude, latitude].
+ * Build values with toPoint() from utilis/geo.js.
+ */
+
+const mongoose = require("mongoose");
+
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (value) =>
+          value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90,
+        message: "Coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  { _id: false }
+);
+
+module.exports = pointSchema;
@@ -0,0 +1,92 @@
+/**
+ * Report Model - User Reports
+ *
+ * A user reports another user or a group for breaking the rules. Reports
+ * land in the moderation queue (GET /admin/reports) where a moderator either
+ * takes action (status "actioned") or dismisses them; the reporter is told
+ * the outcome by email.
+ *
+ * When enough distinct users report the same target it is hidden
+ * automatically until a moderator looks at it (see utilis/moderation.js).
+ */
+
+const mongoose = require("mongoose");
+const { REPORT_TARGET_TYPES, REPORT_REASONS } = require("../config/moderation");
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // What is reported: a user or a group (messages once chats exist)
+    targetType: {
+      type: String,
+      required: [true, "Target type is required"],
+      enum: {
+        values: REPORT_TARGET_TYPES,
+        message: `Target type must be one of: ${REPORT_TARGET_TYPES.join(", ")}`,
+      },
+    },
+
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Target is required"],
+    },
+
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      enum: {
+        values: REPORT_REASONS,
+        message: `Reason must be one of: ${REPORT_REASONS.join(", ")}`,
+      },
+    },
+
+    // Free text from the reporter
+    details: {
+      type: String,
+      trim: true,
+      maxLength: [1000, "Details cannot exceed 1000 characters"],
+    },
+
+    status: {
+      type: String,
+      enum: ["open", "actioned", "dismissed"],
+      default: "open",
+    },
+
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Internal note from the moderator (not sent to the reporter)
+    resolutionNote: {
+      type: String,
+      trim: true,
+      maxLength: [500, "Resolution note cannot exceed 500 characters"],
+    },
+  },
+  { timestamps: true }
+);
+
+// A user has at most one open report per target
+reportSchema.index(
+  { reporterId: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+// Moderation queue and per-target lookups
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+
+module.exports = mongoose.model("Report", reportSchema);
@@ -0,0 +1,115 @@
+/**
+ * Review Model - Post-trip Reviews
+ *
+ * Once a group's travel date has passed, its members can review each other:
+ * 1-5 stars plus an optional text, at most one review per reviewer,
+ * reviewee and group. The reviewee can post a single public reply.
+ *
+ * Every change to a user's reviews refreshes the ratingAverage and
+ * reviewCount stored on the User (see refreshRating), so profile cards never
+ * have to aggregate reviews on the fly.
+ */
+
+const mongoose = require("mongoose");
+const {
+  MIN_RATING,
+  MAX_RATING,
+  MAX_REVIEW_LENGTH,
+  MAX_REPLY_LENGTH,
+} = require("../config/reviews");
+
+const reviewSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    revieweeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [MIN_RATING, `Rating must be between ${MIN_RATING} and ${MAX_RATING}`],
+      max: [MAX_RATING, `Rating must be between ${MIN_RATING} and ${MAX_RATING}`],
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number of stars",
+      },
+    },
+
+    text: {
+      type: String,
+      trim: true,
+      maxLength: [MAX_REVIEW_LENGTH, `Review cannot exceed ${MAX_REVIEW_LENGTH} characters`],
+    },
+
+    // Set when the reviewer changes the review
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // The reviewee's answer - only one, and it cannot be changed afterwards
+    reply: {
+      type: new mongoose.Schema(
+        {
+          text: {
+            type: String,
+            required: [true, "Reply text is required"],
+            trim: true,
+            maxLength: [MAX_REPLY_LENGTH, `Reply cannot exceed ${MAX_REPLY_LENGTH} characters`],
+          },
+          createdAt: { type: Date, default: Date.now },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One review per reviewer, reviewee and trip
+reviewSchema.index({ groupId: 1, reviewerId: 1, revieweeId: 1 }, { unique: true });
+
+// A user's reviews, newest first
+reviewSchema.index({ revieweeId: 1, createdAt: -1 });
+reviewSchema.index({ reviewerId: 1 });
+
+reviewSchema.pre("save", function () {
+  if (this.reviewerId.equals(this.revieweeId)) {
+    throw new Error("You can't review yourself");
+  }
+});
+
+/**
+ * Static Method: Recalculate a user's rating from their reviews
+ *
+ * @param {ObjectId} userId - Reviewee
+ * @returns {Promise<{ratingAverage: number|null, reviewCount: number}>}
+ */
+reviewSchema.statics.refreshRating = async function (userId) {
+  const [stats] = await this.aggregate([
+    { $match: { revieweeId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+  const rating = {
+    ratingAverage: stats ? Math.round(stats.average * 10) / 10 : null,
+    reviewCount: stats ? stats.count : 0,
+  };
+  await mongoose.model("User").updateOne({ _id: userId }, { $set: rating });
+  return rating;
+};
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,129 @@
+/**
+ * Session Model - Server-side Login Sessions
+ *
+ * Every successful /login or /signup creates one Session document. The session
+ * represents a "token family": the chain of refresh tokens produced by rotating
+ * the original one. Access tokens (short-lived JWTs) carry the session id in
+ * their `sid` claim so that userAuth can reject them once the session is revoked.
+ *
+ * Only SHA-256 hashes of refresh tokens are stored. The current hash is the only
+ * one that can be exchanged; hashes of already-rotated tokens are kept so that a
+ * replayed (stolen) token can be detected and the whole family revoked.
+ */
+
+const mongoose = require("mongoose");
+
+// lastActiveAt is only written once per interval to avoid a write on every request
+const ACTIVITY_RESOLUTION_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // Owner of the session
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Hash of the refresh token that is currently valid for this family
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+
+    // Hashes of refresh tokens that were already rotated out (reuse detection)
+    usedTokenHashes: {
+      type: [String],
+      default: [],
+    },
+
+    // Absolute expiry of the family - rotation does not extend it
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Set once the session is no longer usable
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "reuse_detected", "password_reset", "password_changed", "admin", "account_linked", "account_deleted"],
+    },
+
+    // Client information captured when the session was created
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+
+    // Most recent use of the session (access token or refresh), see touch()
+    lastActiveAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastIp: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Instance Method: Is the session still usable?
+ *
+ * @returns {boolean} - True if the session is neither revoked nor expired
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Instance Method: Revoke the session
+ *
+ * @param {string} reason - One of the revokedReason enum values
+ * @returns {Promise<Session>} - The saved session
+ */
+sessionSchema.methods.revoke = async function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+/**
+ * Instance Method: Record activity on the session
+ *
+ * Called by userAuth on every authenticated request; only writes to the
+ * database when the last recorded activity is older than a minute.
+ *
+ * @param {string} ip - Client IP of the current request
+ * @returns {Promise<void>}
+ */
+sessionSchema.methods.touch = async function (ip) {
+  const now = Date.now();
+  if (this.lastActiveAt && now - this.lastActiveAt.getTime() < ACTIVITY_RESOLUTION_MS) {
+    return;
+  }
+
+  this.lastActiveAt = new Date(now);
+  this.lastIp = ip || "";
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastActiveAt: this.lastActiveAt, lastIp: this.lastIp } }
+  );
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
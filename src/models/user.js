@@ -15,6 +15,95 @@ const mongoose = require("mongoose");
 const validator = require("validator"); // Email and password validation library
 const jwt = require("jsonwebtoken");    // JWT token generation and verification
 const bcrypt = require("bcrypt");       // Password hashing library
+const crypto = require("crypto");       // Random nonces for single-use tokens
+const {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+  MFA_TOKEN_TTL_MINUTES,
+} = require("../config/auth"); // Token settings
+const {
+  TRAVEL_INTERESTS,
+  BUDGET_LEVELS,
+  MAX_INTERESTS,
+  MAX_LANGUAGES,
+  MAX_DESTINATIONS,
+  MAX_AVAILABILITY_WINDOWS,
+  MAX_PLACE_NAME_LENGTH,
+} = require("../config/travel"); // Travel preference values and limits
+const { MAX_PHOTOS_PER_USER } = require("../config/uploads"); // Photo gallery limit
+const { MAX_DESTINATION_LOCATIONS } = require("../config/geo"); // Map pin limit
+const pointSchema = require("./point");                         // GeoJSON point
+
+/**
+ * Password Strength Rules
+ * 
+ * Shared by the schema validator and every route that accepts a new password
+ * (signup, password change, password reset) so the rules live in one place.
+ */
+const PASSWORD_STRENGTH_RULES = {
+  minLength: 8,           // Minimum 8 characters
+  minLowercase: 1,        // At least 1 lowercase letter
+  minUppercase: 1,        // At least 1 uppercase letter
+  minNumbers: 1,          // At least 1 number
+  minSymbols: 1,          // At least 1 special character
+};
+const PASSWORD_STRENGTH_MESSAGE =
+  "Password must be strong: minimum 8 characters with 1 uppercase, 1 lowercase, 1 number, and 1 symbol";
+
+// Avatar used when a user has no picture (or hides it from the viewer)
+const DEFAULT_IMAGE_URL = "https://www.iibsonline.com/public/testimonial/testimonial_image_full/183.png";
+
+/**
+ * Profile Privacy
+ * 
+ * Each field listed here has a visibility setting in user.privacySettings:
+ * - public:      everyone can see it
+ * - connections: only accepted connections can see it
+ * - hidden:      nobody but the owner can see it
+ * 
+ * firstName is always public so that other travelers can recognise the profile.
+ */
+const PRIVACY_LEVELS = ["public", "connections", "hidden"];
+const PROFILE_PRIVACY_FIELDS = [
+  "lastName", "age", "gender", "image", "about",
+  "interests", "budget", "languages", "homeCity", "preferredDestinations", "availability",
+];
+
+// Never serialized, not even for the account owner
+const SECRET_FIELDS = [
+  "password",
+  "emailVerificationNonce",
+  "emailVerificationSentAt",
+  "passwordResetTokenHash",
+  "passwordResetExpires",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorRecoveryCodes",
+  "twoFactorLastUsedStep",
+  "__v",
+];
+
+// Only serialized for the owner and staff (see toPrivateJSON)
+const PRIVATE_FIELDS = [
+  "emailId",
+  "failedLoginAttempts",
+  "lastFailedLoginAt",
+  "lockUntil",
+  "deletionRequestedAt",
+  "deletionScheduledFor",
+  "suspendedUntil",
+  "suspensionReason",
+  "hiddenUntil",
+  "feedFilters",
+  "homeLocation",
+  "currentLocation",
+  "currentLocationUpdatedAt",
+  "destinationLocations",
+  "undoQuota",
+  "lastSwipe",
+];
 
 /**
  * User Schema Definition
@@ -55,19 +144,19 @@ const userSchema = new mongoose.Schema(
     },
     
     // User's password - will be hashed before saving
+    // Optional for accounts created through an identity provider (OIDC login)
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [
+        function () {
+          return !this.identities || this.identities.length === 0;
+        },
+        "Password is required",
+      ],
       validate: {
         // Ensure password meets security requirements
-        validator: (value) => validator.isStrongPassword(value, {
-          minLength: 8,           // Minimum 8 characters
-          minLowercase: 1,        // At least 1 lowercase letter
-          minUppercase: 1,        // At least 1 uppercase letter
-          minNumbers: 1,          // At least 1 number
-          minSymbols: 1,          // At least 1 special character
-        }),
-        message: "Password must be strong: minimum 8 characters with 1 uppercase, 1 lowercase, 1 number, and 1 symbol",
+        validator: (value) => validator.isStrongPassword(value, PASSWORD_STRENGTH_RULES),
+        message: PASSWORD_STRENGTH_MESSAGE,
       },
     },
     
@@ -95,32 +184,385 @@ const userSchema = new mongoose.Schema(
     },
     
     // User's profile picture URL
+    // Kept in sync with the primary gallery photo (see the photos pre-save hook),
+    // so feeds and populated documents only ever need to select "image"
     image: {
       type: String,
-      default: "https://www.iibsonline.com/public/testimonial/testimonial_image_full/183.png", // Default avatar
+      default: DEFAULT_IMAGE_URL, // Default avatar
       validate: {
-        // Ensure the image URL is valid
-        validator: (value) => validator.isURL(value),
+        // Ensure the image URL is valid (no TLD required, so local uploads work in development)
+        validator: (value) => validator.isURL(value, { require_tld: false }),
         message: "Please provide a valid image URL",
       },
     },
+
+    // Uploaded photo gallery, in display order (see routes/photos.js)
+    photos: {
+      type: [
+        {
+          key: { type: String, required: true },       // Storage key (utilis/storage.js)
+          url: { type: String, required: true },       // Public URL of the file
+          contentType: { type: String },
+          size: { type: Number },                      // Bytes
+          isPrimary: { type: Boolean, default: false },
+          uploadedAt: { type: Date, default: Date.now },
+        },
+      ],
+      validate: {
+        validator: (value) => value.length <= MAX_PHOTOS_PER_USER,
+        message: `You can have at most ${MAX_PHOTOS_PER_USER} photos`,
+      },
+    },
     
     // User's bio/description
     about: {
       type: String,
       maxLength: [300, "About section cannot exceed 300 characters"],
       trim: true, // Remove whitespace
-    }
+    },
+
+    // Travel preferences used for matching (values and limits in config/travel.js)
+    // Interests / travel styles, e.g. ["hiking", "food"]
+    interests: {
+      type: [{ type: String, enum: TRAVEL_INTERESTS }],
+      validate: {
+        validator: (value) => value.length <= MAX_INTERESTS,
+        message: `You can pick at most ${MAX_INTERESTS} interests`,
+      },
+    },
+
+    // Budget band for trips
+    budget: {
+      type: String,
+      enum: {
+        values: BUDGET_LEVELS,
+        message: `Budget must be one of: ${BUDGET_LEVELS.join(", ")}`,
+      },
+    },
+
+    // Spoken languages as ISO 639-1 codes, e.g. ["en", "hi"]
+    languages: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      validate: {
+        validator: (value) =>
+          value.length <= MAX_LANGUAGES && value.every((code) => validator.isISO6391(code)),
+        message: `Languages must be at most ${MAX_LANGUAGES} ISO 639-1 codes (e.g. "en")`,
+      },
+    },
+
+    // City the user travels from
+    homeCity: {
+      type: String,
+      trim: true,
+      maxLength: [MAX_PLACE_NAME_LENGTH, `Home city cannot exceed ${MAX_PLACE_NAME_LENGTH} characters`],
+    },
+
+    // Places the user would like to visit
+    preferredDestinations: {
+      type: [{ type: String, trim: true, maxLength: MAX_PLACE_NAME_LENGTH }],
+      validate: {
+        validator: (value) => value.length <= MAX_DESTINATIONS,
+        message: `You can list at most ${MAX_DESTINATIONS} destinations`,
+      },
+    },
+
+    // Date ranges in which the user is free to travel
+    availability: {
+      type: [
+        {
+          _id: false,
+          from: { type: Date, required: true },
+          to: { type: Date, required: true },
+        },
+      ],
+      validate: {
+        validator: (value) =>
+          value.length <= MAX_AVAILABILITY_WINDOWS && value.every((window) => window.from <= window.to),
+        message: `Availability must be at most ${MAX_AVAILABILITY_WINDOWS} date ranges, each ending after it starts`,
+      },
+    },
+
+    // Optional positions for geospatial discovery (PATCH /user/location)
+    // Snapped to a grid before saving (see utilis/geo.js) and never shown to other users
+    homeLocation: {
+      type: pointSchema,
+      default: undefined,
+    },
+    currentLocation: {
+      type: pointSchema,
+      default: undefined,
+    },
+    currentLocationUpdatedAt: {
+      type: Date,
+    },
+
+    // Places the user is heading to, pinned on the map
+    destinationLocations: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, required: true, trim: true, maxLength: MAX_PLACE_NAME_LENGTH },
+          location: { type: pointSchema, required: true },
+        },
+      ],
+      default: undefined,
+      validate: {
+        validator: (value) => value.length <= MAX_DESTINATION_LOCATIONS,
+        message: `You can pin at most ${MAX_DESTINATION_LOCATIONS} destinations`,
+      },
+    },
+
+    // Whether the user proved ownership of emailId
+    // Unverified users cannot send connection requests or join groups
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Random value embedded in the latest verification token
+    // Cleared once the token is used, which makes every token single-use
+    emailVerificationNonce: {
+      type: String,
+      select: false,
+    },
+
+    // When the last verification email was sent (used to throttle resends)
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
+
+    // SHA-256 hash of the pending password reset token (plain token is only emailed)
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    // Reset tokens stop working after this date
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // Consecutive failed logins since the last success or lockout
+    // (see utilis/loginProtection.js)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+
+    // Time of the most recent failed login (start of the backoff window)
+    lastFailedLoginAt: {
+      type: Date,
+    },
+
+    // Login is refused with 423 until this date
+    lockUntil: {
+      type: Date,
+    },
+
+    // External identity provider accounts linked to this user (OIDC login)
+    identities: [
+      {
+        _id: false,
+        provider: { type: String, required: true },  // Provider name from OIDC_PROVIDERS
+        subject: { type: String, required: true },   // Stable user id at the provider ("sub" claim)
+        email: { type: String, lowercase: true },    // Email the provider reported when linking
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Access level used by the authorize() middleware
+    role: {
+      type: String,
+      enum: {
+        values: ["user", "moderator", "admin"],
+        message: "Role must be one of: user, moderator, or admin",
+      },
+      default: "user",
+    },
+
+    // Moderation state - suspended and banned users are rejected by userAuth
+    accountStatus: {
+      type: String,
+      enum: ["active", "suspended", "banned"],
+      default: "active",
+    },
+
+    // Default filters for GET /user/feed (PUT /user/feed/filters)
+    // Query parameters override them field by field
+    feedFilters: {
+      type: new mongoose.Schema(
+        {
+          minAge: { type: Number, min: 18, max: 120 },
+          maxAge: { type: Number, min: 18, max: 120 },
+          genders: { type: [String], default: undefined },
+          languages: { type: [String], default: undefined },
+          destination: { type: String, trim: true, maxLength: MAX_PLACE_NAME_LENGTH },
+          travelFrom: { type: Date },
+          travelTo: { type: Date },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+
+    // Undos used on `day` (UTC, "YYYY-MM-DD"), see POST /request/undo
+    // Starts again from zero on the first undo of a new day
+    undoQuota: {
+      type: new mongoose.Schema(
+        {
+          day: { type: String },
+          used: { type: Number, default: 0 },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+
+    // The user's most recent like/pass, the one POST /request/undo reverts
+    // A like that became a match points to the other user's (accepted) request
+    lastSwipe: {
+      type: new mongoose.Schema(
+        {
+          requestId: { type: mongoose.Schema.Types.ObjectId, ref: "ConnectionRequest" },
+          toUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          isMatch: { type: Boolean, default: false },
+          at: { type: Date },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+
+    // Post-trip review summary, kept up to date by Review.refreshRating()
+    ratingAverage: {
+      type: Number,
+      default: null,
+    },
+    reviewCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Set when enough users reported this account (see utilis/moderation.js)
+    // Until then the user is left out of feeds and profile lookups
+    hiddenUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // Set when a moderator approves an identity verification request
+    // (see models/verificationRequest.js) - shown as the "ID verified" badge
+    identityVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // End of a temporary suspension (empty = until lifted by a moderator)
+    suspendedUntil: {
+      type: Date,
+    },
+
+    // Reason shown to the user when a suspension or ban blocks them
+    suspensionReason: {
+      type: String,
+      maxLength: [300, "Suspension reason cannot exceed 300 characters"],
+    },
+
+    // Two-factor authentication (TOTP, see utilis/totp.js)
+    // When enabled, /login only returns an "mfa pending" token
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Encrypted TOTP secret in use
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+
+    // Encrypted secret waiting for the confirmation code during enrollment
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+
+    // SHA-256 hashes of the unused one-time recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+
+    // Last accepted TOTP time step - a code can never be used twice
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+
+    // Account deletion (DELETE /user/me)
+    // The account is purged by jobs/accountDeletion.js once deletionScheduledFor
+    // has passed; logging in again before that cancels the deletion
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    // Who can see each optional profile field (see PROFILE_PRIVACY_FIELDS)
+    privacySettings: Object.fromEntries(
+      PROFILE_PRIVACY_FIELDS.map((field) => [
+        field,
+        {
+          type: String,
+          enum: {
+            values: PRIVACY_LEVELS,
+            message: `${field} visibility must be one of: ${PRIVACY_LEVELS.join(", ")}`,
+          },
+          default: "public",
+        },
+      ])
+    )
   },
   {
     // Schema options
     timestamps: true, // Automatically add createdAt and updatedAt fields
-    // Additional options you might want to consider:
-    // toJSON: { virtuals: true }, // Include virtual fields when converting to JSON
-    // toObject: { virtuals: true }, // Include virtual fields when converting to object
+
+    // res.json() uses toJSON, so anything sent to a client goes through this transform:
+    // secrets and email addresses are stripped from every user document,
+    // including populated ones. The owner's own view uses toPrivateJSON() instead.
+    toJSON: {
+      transform: (doc, ret) => {
+        [...SECRET_FIELDS, ...PRIVATE_FIELDS].forEach((field) => delete ret[field]);
+        if (ret.identities) {
+          ret.identities = ret.identities.map(({ provider, linkedAt }) => ({ provider, linkedAt }));
+        }
+        return ret;
+      },
+    },
   }
 );
 
+// One Trawell account per provider identity
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
+// Discovery feed filters (see utilis/feed.js)
+userSchema.index({ gender: 1, age: 1 });
+userSchema.index({ languages: 1 });
+
+// Geospatial discovery (see routes/discovery.js)
+userSchema.index({ homeLocation: "2dsphere" });
+userSchema.index({ currentLocation: "2dsphere" });
+userSchema.index({ "destinationLocations.location": "2dsphere" });
+
 /**
  * Pre-save Middleware (Hook)
  * 
@@ -152,29 +594,146 @@ userSchema.pre("save", async function (next) {
   next();
 });
 
+/**
+ * Pre-save Middleware: Keep the primary photo and `image` in sync
+ * 
+ * Whenever the gallery changes, exactly one photo is primary (the first one
+ * if none is marked) and `image` points to it. Once the last photo is
+ * deleted, `image` falls back to the default avatar.
+ */
+userSchema.pre("save", function () {
+  if (!this.isModified("photos")) {
+    return;
+  }
+
+  if (this.photos.length === 0) {
+    this.image = DEFAULT_IMAGE_URL;
+    return;
+  }
+
+  const primary = this.photos.find((photo) => photo.isPrimary) || this.photos[0];
+  this.photos.forEach((photo) => {
+    photo.isPrimary = photo === primary;
+  });
+  this.image = primary.url;
+});
+
+/**
+ * Static Method: Change the photo gallery atomically
+ *
+ * Replaces `photos` with the result of an aggregation expression and applies
+ * the same primary/`image` rules as the pre-save hook, all in one update
+ * pipeline. Concurrent gallery changes therefore never overwrite each other,
+ * unlike saving a document loaded earlier.
+ *
+ * @param {Object} filter - Conditions the user document must still meet
+ * @param {Object} photosExpression - Aggregation expression for the new array
+ *                                    (read the current one as "$photos")
+ * @returns {Promise<User|null>} - Updated user, or null if the filter didn't match
+ *
+ * @example
+ * await User.updatePhotos(
+ *   { _id: userId, "photos._id": photoId },
+ *   { $filter: { input: "$photos", cond: { $ne: ["$$this._id", photoId] } } }
+ * );
+ */
+userSchema.statics.updatePhotos = function (filter, photosExpression) {
+  const primaryOf = (photos) => ({ $first: { $filter: { input: photos, cond: "$$this.isPrimary" } } });
+
+  return this.findOneAndUpdate(
+    filter,
+    [
+      { $set: { photos: photosExpression } },
+      // Exactly one primary photo: the marked one, else the first
+      {
+        $set: {
+          photos: {
+            $let: {
+              vars: { primary: { $ifNull: [primaryOf("$photos"), { $first: "$photos" }] } },
+              in: {
+                $map: {
+                  input: "$photos",
+                  in: { $mergeObjects: ["$$this", { isPrimary: { $eq: ["$$this._id", "$$primary._id"] } }] },
+                },
+              },
+            },
+          },
+        },
+      },
+      // `image` follows the primary photo, or falls back to the default avatar
+      {
+        $set: {
+          image: {
+            $let: {
+              vars: { primary: primaryOf("$photos") },
+              in: { $ifNull: ["$$primary.url", { $literal: DEFAULT_IMAGE_URL }] },
+            },
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+};
+
+/**
+ * Instance Method: Get Account Restriction
+ * 
+ * Tells whether moderation currently blocks this account. Temporary
+ * suspensions end on their own once suspendedUntil has passed.
+ * 
+ * @returns {null|{status: number, error: string, message: string}}
+ *          null if the account may be used, otherwise the response to send
+ */
+userSchema.methods.getAccountRestriction = function () {
+  const user = this;
+
+  if (user.accountStatus === "banned") {
+    return {
+      status: 403,
+      error: "ACCOUNT_BANNED",
+      message: `Your account has been banned${user.suspensionReason ? `: ${user.suspensionReason}` : "."}`,
+    };
+  }
+
+  if (user.accountStatus === "suspended" && (!user.suspendedUntil || user.suspendedUntil > new Date())) {
+    return {
+      status: 403,
+      error: "ACCOUNT_SUSPENDED",
+      message: `Your account is suspended${user.suspendedUntil ? ` until ${user.suspendedUntil.toISOString()}` : ""}${user.suspensionReason ? `: ${user.suspensionReason}` : "."}`,
+    };
+  }
+
+  return null;
+};
+
 /**
  * Instance Method: Generate JWT Token
  * 
- * This method creates a JSON Web Token for the user, which is used for:
+ * This method creates a short-lived access token for the user, which is used for:
  * - Authentication (proving the user is logged in)
  * - Authorization (determining what the user can access)
- * - Session management (keeping users logged in)
  * 
+ * The token is bound to a server-side Session through the `sid` claim, so it
+ * stops working as soon as that session is revoked (logout, token reuse, etc.).
+ * Long-lived logins are handled by refresh tokens (see utilis/session.js).
+ * 
+ * @param {ObjectId} sessionId - Session the token belongs to
  * @returns {Promise<string>} JWT token string
  * 
  * @example
  * const user = new User({...});
- * const token = await user.getJWT();
+ * const token = await user.getJWT(session._id);
  */
-userSchema.methods.getJWT = async function () {
+userSchema.methods.getJWT = async function (sessionId) {
   const user = this; // 'this' refers to the user instance
   
   try {
-    // Create JWT token with user ID as payload
+    // Create JWT token with user ID and session ID as payload
     const token = await jwt.sign(
-      { _id: user._id },           // Payload (data to encode in token)
-      "Trawell@123$",              // Secret key (should be in environment variables)
-      { expiresIn: "7d" }          // Token expiration (7 days)
+      { _id: user._id, sid: sessionId },             // Payload (data to encode in token)
+      JWT_SECRET,                                    // Secret key from config/auth.js
+      { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }  // Short expiration (default 15 minutes)
     );
     
     return token;
@@ -184,6 +743,75 @@ userSchema.methods.getJWT = async function () {
   }
 };
 
+/**
+ * Instance Method: Generate "MFA Pending" Token
+ * 
+ * Issued by /login when the password was correct but the account has
+ * two-factor authentication enabled. It is NOT an access token (it carries
+ * no session id, so userAuth rejects it); it can only be exchanged for a
+ * session at POST /auth/2fa/verify together with a valid code.
+ * 
+ * @returns {Promise<string>} Short-lived signed token
+ */
+userSchema.methods.getMfaPendingToken = async function () {
+  const user = this;
+
+  return jwt.sign(
+    { _id: user._id, purpose: "mfa" },
+    JWT_SECRET,
+    { expiresIn: `${MFA_TOKEN_TTL_MINUTES}m` }
+  );
+};
+
+/**
+ * Instance Method: Generate Email Verification Token
+ * 
+ * Creates a signed token proving that whoever holds it received the email sent
+ * to emailId. A fresh nonce is stored on the user and embedded in the token;
+ * generating a new token (resend) therefore invalidates all previous ones.
+ * 
+ * Note: the caller must save() the user afterwards to persist the nonce.
+ * 
+ * @returns {Promise<string>} Signed verification token
+ * 
+ * @example
+ * const token = await user.createEmailVerificationToken();
+ * await user.save();
+ */
+userSchema.methods.createEmailVerificationToken = async function () {
+  const user = this;
+
+  user.emailVerificationNonce = crypto.randomBytes(16).toString("hex");
+  user.emailVerificationSentAt = new Date();
+
+  return jwt.sign(
+    { _id: user._id, purpose: "verify-email", nonce: user.emailVerificationNonce },
+    JWT_SECRET,
+    { expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS}h` }
+  );
+};
+
+/**
+ * Instance Method: Generate Password Reset Token
+ * 
+ * Creates a random single-use token for the forgot-password flow. Only its
+ * SHA-256 hash and expiry are stored, so a database leak does not expose
+ * usable reset links. Generating a new token replaces any previous one.
+ * 
+ * Note: the caller must save() the user afterwards to persist the hash.
+ * 
+ * @returns {string} Plain reset token (to be emailed, never stored)
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const user = this;
+  const token = crypto.randomBytes(32).toString("hex");
+
+  user.passwordResetTokenHash = crypto.createHash("sha256").update(token).digest("hex");
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  return token;
+};
+
 /**
  * Instance Method: Validate Password
  * 
@@ -201,6 +829,11 @@ userSchema.methods.getJWT = async function () {
 userSchema.methods.validatePassword = async function (passwordByUser) {
   const user = this; // 'this' refers to the user instance
   
+  // Accounts created through an identity provider may have no local password
+  if (!user.password || !passwordByUser) {
+    return false;
+  }
+  
   try {
     // Compare plain text password with stored hash
     const isValid = await bcrypt.compare(passwordByUser, user.password);
@@ -211,6 +844,107 @@ userSchema.methods.validatePassword = async function (passwordByUser) {
   }
 };
 
+/**
+ * Static Method: Check Password Strength
+ * 
+ * Applies the same rules as the schema validator. Use it to reject a weak
+ * password with a clear message before touching the user document.
+ * 
+ * @param {string} password - Plain text password
+ * @returns {boolean} - True if the password satisfies PASSWORD_STRENGTH_RULES
+ * 
+ * @example
+ * if (!User.isStrongPassword(newPassword)) {
+ *   throw new Error(User.PASSWORD_STRENGTH_MESSAGE);
+ * }
+ */
+userSchema.statics.isStrongPassword = function (password) {
+  return typeof password === "string" && validator.isStrongPassword(password, PASSWORD_STRENGTH_RULES);
+};
+
+/**
+ * Instance Method: Serialize for the account owner (or staff)
+ * 
+ * Like toJSON, but keeps the email address and account bookkeeping fields.
+ * Use it wherever the user is looking at their own account.
+ * 
+ * @returns {Object} - Plain object without secrets
+ */
+userSchema.methods.toPrivateJSON = function () {
+  const ret = this.toObject();
+  SECRET_FIELDS.forEach((field) => delete ret[field]);
+  return ret;
+};
+
+/**
+ * Instance Method: Build the profile another traveler is allowed to see
+ * 
+ * Applies the owner's privacySettings. Hidden pictures fall back to the
+ * default avatar so profile cards always have an image; the photo gallery
+ * is shown whenever the profile picture is.
+ * 
+ * Trust badges and the review rating are always included: they are what
+ * lets travelers decide whether to meet someone. Pass completedTrips from
+ * utilis/trust.js.
+ * 
+ * @param {Object} options
+ * @param {boolean} options.isConnection - Is the viewer an accepted connection?
+ * @param {number} options.completedTrips - Number of trips the user completed
+ * @returns {Object} - { _id, firstName, isVerified, badges, rating, ...visible fields }
+ */
+userSchema.methods.toPublicProfile = function ({ isConnection = false, completedTrips = 0 } = {}) {
+  const user = this;
+  const badges = user.getTrustBadges({ completedTrips });
+  const profile = {
+    _id: user._id,
+    firstName: user.firstName,
+    isVerified: badges.idVerified,
+    badges: badges,
+    rating: { average: user.ratingAverage || null, count: user.reviewCount || 0 },
+  };
+
+  const isVisible = (field) => {
+    const visibility = (user.privacySettings && user.privacySettings[field]) || "public";
+    return visibility === "public" || (visibility === "connections" && isConnection);
+  };
+
+  PROFILE_PRIVACY_FIELDS.forEach((field) => {
+    if (isVisible(field)) {
+      profile[field] = user[field];
+    } else if (field === "image") {
+      profile.image = DEFAULT_IMAGE_URL;
+    }
+  });
+
+  // The gallery follows the visibility of the profile picture
+  if (isVisible("image") && user.photos && user.photos.length) {
+    profile.photos = user.photos.map((photo) => ({ _id: photo._id, url: photo.url, isPrimary: photo.isPrimary }));
+  }
+
+  return profile;
+};
+
+/**
+ * Instance Method: Trust badges shown on profile cards and group member lists
+ * 
+ * Needs isEmailVerified and identityVerifiedAt to be selected.
+ * 
+ * @param {Object} options
+ * @param {number} options.completedTrips - Counted by utilis/trust.js
+ * @returns {{emailVerified: boolean, idVerified: boolean, completedTrips: number}}
+ */
+userSchema.methods.getTrustBadges = function ({ completedTrips = 0 } = {}) {
+  return {
+    emailVerified: Boolean(this.isEmailVerified),
+    idVerified: Boolean(this.identityVerifiedAt),
+    completedTrips: completedTrips,
+  };
+};
+
+userSchema.statics.PASSWORD_STRENGTH_MESSAGE = PASSWORD_STRENGTH_MESSAGE;
+userSchema.statics.PRIVACY_LEVELS = PRIVACY_LEVELS;
+userSchema.statics.PROFILE_PRIVACY_FIELDS = PROFILE_PRIVACY_FIELDS;
+
 /**
  * Virtual Fields (Optional Enhancement)
  * 
@@ -240,10 +974,5 @@ module.exports = mongoose.model("User", userSchema);
  * 
  * PRODUCTION IMPROVEMENTS NEEDED:
  * 
- * 1. 🔒 Move JWT secret to environment variables
- * 2. 🔒 Add rate limiting for login attempts
- * 3. 🔒 Implement password reset functionality
- * 4. 🔒 Add email verification
- * 5. 🔒 Implement account lockout after failed attempts
- * 6. 🔒 Add audit logging for security events
+ * 1. 🔒 Add audit logging for security events
  */
@@ -0,0 +1,93 @@
+/**
+ * VerificationRequest Model - Identity Verification
+ *
+ * A user proves who they are by uploading a selfie and a photo of an
+ * identity document. A moderator compares the two and approves or rejects
+ * the request (see routes/admin.js). Approval sets identityVerifiedAt on the
+ * user, which shows up as the "ID verified" trust badge.
+ *
+ * The images are stored as private files (utilis/storage.js) and deleted as
+ * soon as the request has been reviewed - only the decision is kept.
+ *
+ * A user can have at most one pending request at a time.
+ */
+
+const mongoose = require("mongoose");
+
+// Identity documents we accept
+const DOCUMENT_TYPES = ["passport", "national_id", "driving_license"];
+
+// A stored upload (private storage key - never exposed through a URL)
+const fileSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const verificationRequestSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    documentType: {
+      type: String,
+      required: [true, "Document type is required"],
+      enum: {
+        values: DOCUMENT_TYPES,
+        message: "Document type must be one of: passport, national_id, or driving_license",
+      },
+    },
+
+    // Cleared once the request has been reviewed
+    selfie: { type: fileSchema, default: null },
+    document: { type: fileSchema, default: null },
+
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+
+    // Moderator who made the decision
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Shown to the user so they know what to fix before trying again
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxLength: [300, "Rejection reason cannot exceed 300 characters"],
+    },
+  },
+  { timestamps: true }
+);
+
+// One open request per user
+verificationRequestSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+// A user's request history, newest first
+verificationRequestSchema.index({ userId: 1, createdAt: -1 });
+
+// Moderation queue: oldest pending requests first
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+
+verificationRequestSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = mongoose.model("VerificationRequest", verificationRequestSchema);
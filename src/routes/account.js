@@ -0,0 +1,218 @@
+/**
+ * Account Routes (Deletion and Data Export)
+ *
+ * - GET /user/me/export: JSON archive of everything Trawell holds about the user
+ * - DELETE /user/me: schedules the account for deletion
+ *
+ * DELETION FLOW:
+ * 1. The user confirms with their password (or their email address for
+ *    accounts that only sign in through an identity provider)
+ * 2. Every session is revoked and every API key disabled immediately, and the
+ *    account disappears from feeds and can no longer receive requests
+ * 3. Logging in again within ACCOUNT_DELETION_GRACE_DAYS cancels the deletion
+ * 4. Afterwards jobs/accountDeletion.js purges the account and all references
+ *    to it (see utilis/accountDeletion.js)
+ */
+
+const express = require("express");
+const { userAuth, requireSession } = require("../middlewares/auth.js"); // Authentication middleware
+const User = require("../models/user.js");
+const ConnectionRequest = require("../models/connectionRequest.js");
+const Group = require("../models/group.js");
+const Session = require("../models/session.js");
+const ApiKey = require("../models/apiKey.js");
+const AuditLog = require("../models/auditLog.js");
+const VerificationRequest = require("../models/verificationRequest.js");
+const Block = require("../models/block.js");
+const Report = require("../models/report.js");
+const Review = require("../models/review.js");
+const { ACCOUNT_DELETION_GRACE_DAYS } = require("../config/auth");
+const { revokeAllSessions, clearAuthCookies } = require("../utilis/session");
+const { sendAccountDeletionEmail } = require("../utilis/emails");
+const { recordAuditEvent } = require("../utilis/audit");
+const accountRouter = express.Router();
+
+// Fields never included in the export (hashes, secrets, internal bookkeeping)
+const EXPORT_EXCLUDED_FIELDS = ["password", "__v"];
+
+/**
+ * GET /user/me/export - Download Personal Data
+ *
+ * @route GET /user/me/export
+ * @middleware userAuth, requireSession
+ * @returns {Object} JSON archive (sent as a file download)
+ */
+accountRouter.get("/user/me/export", userAuth, requireSession, async (req, res) => {
+  try {
+    const user = req.user;
+
+    const profile = user.toObject();
+    EXPORT_EXCLUDED_FIELDS.forEach((field) => delete profile[field]);
+
+    const [connectionRequests, groups, sessions, apiKeys, securityActivity, verificationRequests, blocks, reports, reviews] = await Promise.all([
+      ConnectionRequest.find({
+        $or: [{ fromUserId: user._id }, { toUserId: user._id }],
+      }).sort({ createdAt: 1 }),
+      Group.find({
+        $or: [{ groupAdmin: user._id }, { "groupMembers.user": user._id }],
+      }).sort({ createdAt: 1 }),
+      Session.find({ userId: user._id })
+        .select("userAgent ip lastIp lastActiveAt expiresAt revokedAt revokedReason createdAt")
+        .sort({ createdAt: 1 }),
+      ApiKey.find({ userId: user._id })
+        .select("name prefix scope lastUsedAt revokedAt createdAt")
+        .sort({ createdAt: 1 }),
+      AuditLog.find({ userId: user._id })
+        .select("event userId actorId ip userAgent metadata createdAt")
+        .sort({ createdAt: 1 }),
+      VerificationRequest.find({ userId: user._id })
+        .select("documentType status rejectionReason reviewedAt createdAt")
+        .sort({ createdAt: 1 }),
+      Block.find({ blockerId: user._id })
+        .select("blockedId createdAt")
+        .sort({ createdAt: 1 }),
+      Report.find({ reporterId: user._id })
+        .select("targetType targetId reason details status resolvedAt createdAt")
+        .sort({ createdAt: 1 }),
+      Review.find({
+        $or: [{ reviewerId: user._id }, { revieweeId: user._id }],
+      }).sort({ createdAt: 1 }),
+    ]);
+
+    const archive = {
+      exportedAt: new Date(),
+      profile,
+      connectionRequests: connectionRequests.map((request) => {
+        const sent = request.fromUserId.equals(user._id);
+        return {
+          direction: sent ? "sent" : "received",
+          otherUserId: sent ? request.toUserId : request.fromUserId,
+          status: request.status,
+          createdAt: request.createdAt,
+          updatedAt: request.updatedAt,
+        };
+      }),
+      groups: groups.map((group) => {
+        const membership = group.groupMembers.find(
+          (member) => member.user && member.user.equals(user._id)
+        );
+        return {
+          _id: group._id,
+          groupName: group.groupName,
+          description: group.description,
+          destination: group.destination,
+          travelDate: group.travelDate,
+          status: group.status,
+          role: group.groupAdmin.equals(user._id) ? "admin" : "member",
+          isVerified: membership ? membership.isVerified : false,
+          createdAt: group.createdAt,
+        };
+      }),
+      sessions,
+      apiKeys,
+      // Staff actions leave out the moderator's IP and device
+      securityActivity: securityActivity.map((entry) => {
+        const byStaff = entry.isByStaff();
+        return {
+          _id: entry._id,
+          event: entry.event,
+          ip: byStaff ? null : entry.ip,
+          userAgent: byStaff ? null : entry.userAgent,
+          metadata: entry.metadata,
+          byStaff: byStaff,
+          createdAt: entry.createdAt,
+        };
+      }),
+      verificationRequests,
+      blockedUsers: blocks.map((block) => ({ userId: block.blockedId, blockedAt: block.createdAt })),
+      reports,
+      reviews: {
+        written: reviews.filter((review) => review.reviewerId.equals(user._id)),
+        received: reviews.filter((review) => review.revieweeId.equals(user._id)),
+      },
+    };
+
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="trawell-export-${user._id}.json"`
+    );
+    res.status(200).json(archive);
+
+  } catch (err) {
+    console.error("❌ Data export error:", err.message);
+    res.status(500).json({
+      message: "Failed to export your data",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /user/me - Delete Account
+ *
+ * @route DELETE /user/me
+ * @middleware userAuth, requireSession
+ * @param {string} req.body.password - Current password (accounts with a password)
+ * @param {string} req.body.confirmEmail - Account email (accounts without a password)
+ * @returns {Object} 202 with the date the account will be purged
+ *
+ * @example
+ * DELETE /user/me
+ * { "password": "MyPassword123!" }
+ */
+accountRouter.delete("/user/me", userAuth, requireSession, async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, confirmEmail } = req.body || {};
+
+    // Step 1: Confirm the request
+    if (user.password) {
+      if (!password || !(await user.validatePassword(password))) {
+        return res.status(401).json({
+          message: "Password is incorrect",
+          error: "INVALID_PASSWORD"
+        });
+      }
+    } else if (!confirmEmail || String(confirmEmail).toLowerCase() !== user.emailId) {
+      return res.status(400).json({
+        message: "Please confirm by entering your email address",
+        error: "CONFIRMATION_REQUIRED"
+      });
+    }
+
+    // Step 2: Schedule the purge
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { deletionRequestedAt: now, deletionScheduledFor: scheduledFor } }
+    );
+
+    // Step 3: Sign out everywhere and disable API keys right away
+    await revokeAllSessions(user._id, "account_deleted");
+    await ApiKey.revokeAllForUser(user._id);
+    clearAuthCookies(res);
+
+    // Not awaited: a mail failure must not undo the request
+    sendAccountDeletionEmail(user, scheduledFor).catch((mailErr) => {
+      console.error("❌ Failed to send account deletion email:", mailErr.message);
+    });
+
+    console.log(`🗑️ Account deletion scheduled for ${user.emailId} on ${scheduledFor.toISOString()}`);
+    recordAuditEvent(req, "account.deletion_requested", { metadata: { scheduledFor } });
+
+    res.status(202).json({
+      message: `Your account will be deleted on ${scheduledFor.toUTCString()}. Log in again before then to cancel.`,
+      deletionScheduledFor: scheduledFor
+    });
+
+  } catch (err) {
+    console.error("❌ Account deletion error:", err.message);
+    res.status(500).json({
+      message: "Failed to delete account",
+      error: err.message
+    });
+  }
+});
+
+module.exports = accountRouter;
@@ -0,0 +1,941 @@
+/**
+ * Admin Routes
+ *
+ * This module exposes moderation and administration endpoints:
+ * - Listing and searching users
+ * - Changing user roles
+ * - Suspending, banning and reinstating accounts
+ * - Forcing a user to log out everywhere
+ * - Deleting abusive groups
+ * - Reviewing identity verification requests
+ * - Working through the report queue
+ * - Querying the security audit log
+ *
+ * Every moderation action is recorded in the audit log (see utilis/audit.js)
+ * with the moderator as actor and the affected user as subject.
+ *
+ * Every route requires authentication (userAuth), a real login session
+ * (requireSession) and a role check (authorize). API keys are refused, so a
+ * leaked key of a staff member can neither moderate nor read verification
+ * documents, emails or the audit log. Moderators handle day-to-day
+ * moderation; only admins can change roles and ban accounts.
+ *
+ * SAFETY RULES:
+ * - Nobody can moderate their own account
+ * - Moderators can only act on regular users, not on staff accounts
+ */
+
+const express = require("express");
+const { userAuth, requireSession, authorize } = require("../middlewares/auth.js"); // Authentication + role checks
+const { revokeAllSessions } = require("../utilis/session.js");     // Force logout
+const User = require("../models/user.js");                         // User model
+const Group = require("../models/group.js");                       // Group model
+const AuditLog = require("../models/auditLog.js");                 // Audit log model
+const VerificationRequest = require("../models/verificationRequest.js"); // Identity verification
+const Report = require("../models/report.js");                     // User reports
+const { recordAuditEvent } = require("../utilis/audit.js");        // Security audit log
+const { readFile, removeFile } = require("../utilis/storage.js");  // Private verification images
+const { sendVerificationDecisionEmail, sendReportResolvedEmail } = require("../utilis/emails.js");
+const { liftAutoHide } = require("../utilis/moderation.js");       // Automatic hiding of reported targets
+const adminRouter = express.Router();                              // Express router instance
+
+// Fields returned in admin user listings
+const ADMIN_USER_DATA = [
+  "firstName", "lastName", "emailId", "role", "accountStatus", "suspendedUntil",
+  "suspensionReason", "isEmailVerified", "createdAt",
+];
+
+// Ordered from least to most privileged
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+/**
+ * Load the target user of a moderation action and check the actor may act on it
+ *
+ * Sends the error response itself and returns null when the action is not allowed.
+ *
+ * @param {Object} req - Express request (req.user is the actor)
+ * @param {Object} res - Express response
+ * @returns {Promise<User|null>}
+ */
+const loadModerationTarget = async (req, res) => {
+  const target = await User.findById(req.params.userId);
+
+  if (!target) {
+    res.status(404).json({ message: "User not found", error: "USER_NOT_FOUND" });
+    return null;
+  }
+
+  if (target._id.equals(req.user._id)) {
+    res.status(400).json({
+      message: "You cannot perform moderation actions on your own account",
+      error: "SELF_MODERATION"
+    });
+    return null;
+  }
+
+  if (req.user.role !== "admin" && ROLE_RANK[target.role] >= ROLE_RANK[req.user.role]) {
+    res.status(403).json({
+      message: "You cannot moderate an account with an equal or higher role",
+      error: "FORBIDDEN"
+    });
+    return null;
+  }
+
+  return target;
+};
+
+/**
+ * Escape user input before using it inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * GET /admin/users - List and Search Users
+ *
+ * @route GET /admin/users
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ * @query {string} search - Matches first name, last name or email (case-insensitive)
+ * @query {string} role - Filter by role
+ * @query {string} status - Filter by account status (active/suspended/banned)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Users per page (default: 20, max: 100)
+ *
+ * @example
+ * GET /admin/users?search=john&status=suspended
+ */
+adminRouter.get("/admin/users", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    page = page < 1 ? 1 : page;
+    let limit = parseInt(req.query.limit) || 20;
+    limit = limit > 100 ? 100 : limit;
+    limit = limit < 1 ? 20 : limit;
+    const skip = (page - 1) * limit;
+
+    // Build the filter from the query parameters
+    const filter = {};
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(String(req.query.search)), "i");
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { emailId: pattern }];
+    }
+    if (req.query.role) {
+      filter.role = String(req.query.role);
+    }
+    if (req.query.status) {
+      filter.accountStatus = String(req.query.status);
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(ADMIN_USER_DATA).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Users retrieved successfully",
+      data: users.map((user) => user.toPrivateJSON()),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: total
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin list users error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve users",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /admin/users/:userId - Get a Single User
+ *
+ * @route GET /admin/users/:userId
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ */
+adminRouter.get("/admin/users/:userId", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select(ADMIN_USER_DATA);
+    if (!user) {
+      return res.status(404).json({ message: "User not found", error: "USER_NOT_FOUND" });
+    }
+
+    res.status(200).json({
+      message: "User retrieved successfully",
+      data: user.toPrivateJSON()
+    });
+
+  } catch (err) {
+    console.error("❌ Admin get user error:", err.message);
+    res.status(400).json({
+      message: "Failed to retrieve user",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * PATCH /admin/users/:userId/role - Change a User's Role
+ *
+ * @route PATCH /admin/users/:userId/role
+ * @middleware userAuth, requireSession, authorize("admin")
+ * @param {string} req.body.role - New role: user, moderator or admin
+ */
+adminRouter.patch("/admin/users/:userId/role", userAuth, requireSession, authorize("admin"), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!Object.keys(ROLE_RANK).includes(role)) {
+      return res.status(400).json({
+        message: "Role must be one of: user, moderator, or admin",
+        error: "INVALID_ROLE"
+      });
+    }
+
+    const target = await loadModerationTarget(req, res);
+    if (!target) return;
+
+    const previousRole = target.role;
+    target.role = role;
+    await target.save();
+    console.log(`👮 ${req.user.emailId} changed role of ${target.emailId} to ${role}`);
+    recordAuditEvent(req, "admin.role_changed", {
+      userId: target._id,
+      metadata: { from: previousRole, to: role }
+    });
+
+    res.status(200).json({
+      message: `${target.firstName} is now ${role}`,
+      data: { _id: target._id, role: target.role }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin change role error:", err.message);
+    res.status(400).json({
+      message: "Failed to change role",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /admin/users/:userId/suspend - Suspend an Account
+ *
+ * Suspends the account (optionally for a limited time) and ends all of its
+ * sessions so the suspension takes effect immediately.
+ *
+ * @route POST /admin/users/:userId/suspend
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ * @param {string} req.body.reason - Reason shown to the user
+ * @param {number} req.body.durationHours - Optional suspension length (omit for indefinite)
+ */
+adminRouter.post("/admin/users/:userId/suspend", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    const { reason, durationHours } = req.body;
+    if (durationHours !== undefined && !(Number(durationHours) > 0)) {
+      return res.status(400).json({
+        message: "durationHours must be a positive number",
+        error: "INVALID_DURATION"
+      });
+    }
+
+    const target = await loadModerationTarget(req, res);
+    if (!target) return;
+
+    if (target.accountStatus === "banned") {
+      return res.status(400).json({
+        message: "User is already banned",
+        error: "ALREADY_BANNED"
+      });
+    }
+
+    target.accountStatus = "suspended";
+    target.suspensionReason = reason;
+    target.suspendedUntil = durationHours
+      ? new Date(Date.now() + Number(durationHours) * 60 * 60 * 1000)
+      : undefined;
+    await target.save();
+
+    const revoked = await revokeAllSessions(target._id, "admin");
+    console.log(`⛔ ${req.user.emailId} suspended ${target.emailId} (${revoked} session(s) revoked)`);
+    recordAuditEvent(req, "admin.user_suspended", {
+      userId: target._id,
+      metadata: { reason: target.suspensionReason, suspendedUntil: target.suspendedUntil }
+    });
+
+    res.status(200).json({
+      message: `${target.firstName} has been suspended`,
+      data: {
+        _id: target._id,
+        accountStatus: target.accountStatus,
+        suspendedUntil: target.suspendedUntil,
+        suspensionReason: target.suspensionReason
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin suspend error:", err.message);
+    res.status(400).json({
+      message: "Failed to suspend user",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /admin/users/:userId/ban - Ban an Account
+ *
+ * Permanently blocks the account and ends all of its sessions.
+ *
+ * @route POST /admin/users/:userId/ban
+ * @middleware userAuth, requireSession, authorize("admin")
+ * @param {string} req.body.reason - Reason shown to the user
+ */
+adminRouter.post("/admin/users/:userId/ban", userAuth, requireSession, authorize("admin"), async (req, res) => {
+  try {
+    const target = await loadModerationTarget(req, res);
+    if (!target) return;
+
+    target.accountStatus = "banned";
+    target.suspensionReason = req.body.reason;
+    target.suspendedUntil = undefined;
+    await target.save();
+
+    const revoked = await revokeAllSessions(target._id, "admin");
+    console.log(`⛔ ${req.user.emailId} banned ${target.emailId} (${revoked} session(s) revoked)`);
+    recordAuditEvent(req, "admin.user_banned", {
+      userId: target._id,
+      metadata: { reason: target.suspensionReason }
+    });
+
+    res.status(200).json({
+      message: `${target.firstName} has been banned`,
+      data: { _id: target._id, accountStatus: target.accountStatus }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin ban error:", err.message);
+    res.status(400).json({
+      message: "Failed to ban user",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /admin/users/:userId/reinstate - Lift a Suspension or Ban
+ *
+ * Moderators can lift suspensions; lifting a ban requires an admin.
+ *
+ * @route POST /admin/users/:userId/reinstate
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ */
+adminRouter.post("/admin/users/:userId/reinstate", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    const target = await loadModerationTarget(req, res);
+    if (!target) return;
+
+    if (target.accountStatus === "banned" && req.user.role !== "admin") {
+      return res.status(403).json({
+        message: "Only admins can lift a ban",
+        error: "FORBIDDEN"
+      });
+    }
+
+    const previousStatus = target.accountStatus;
+    target.accountStatus = "active";
+    target.suspendedUntil = undefined;
+    target.suspensionReason = undefined;
+    await target.save();
+    console.log(`✅ ${req.user.emailId} reinstated ${target.emailId}`);
+    recordAuditEvent(req, "admin.user_reinstated", {
+      userId: target._id,
+      metadata: { from: previousStatus }
+    });
+
+    res.status(200).json({
+      message: `${target.firstName} has been reinstated`,
+      data: { _id: target._id, accountStatus: target.accountStatus }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin reinstate error:", err.message);
+    res.status(400).json({
+      message: "Failed to reinstate user",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /admin/users/:userId/logout - Force Logout
+ *
+ * Revokes every session of the user. Their access tokens stop working on
+ * the next request and their refresh tokens can no longer be rotated.
+ *
+ * @route POST /admin/users/:userId/logout
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ */
+adminRouter.post("/admin/users/:userId/logout", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    const target = await loadModerationTarget(req, res);
+    if (!target) return;
+
+    const revoked = await revokeAllSessions(target._id, "admin");
+    console.log(`🚪 ${req.user.emailId} forced logout of ${target.emailId} (${revoked} session(s))`);
+    recordAuditEvent(req, "admin.user_logged_out", {
+      userId: target._id,
+      metadata: { sessionsRevoked: revoked }
+    });
+
+    res.status(200).json({
+      message: `${target.firstName} has been logged out of all devices`,
+      revokedSessions: revoked
+    });
+
+  } catch (err) {
+    console.error("❌ Admin force logout error:", err.message);
+    res.status(400).json({
+      message: "Failed to log out user",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/groups/:groupId - Delete an Abusive Group
+ *
+ * @route DELETE /admin/groups/:groupId
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ */
+adminRouter.delete("/admin/groups/:groupId", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    const group = await Group.findByIdAndDelete(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found", error: "GROUP_NOT_FOUND" });
+    }
+
+    console.log(`🗑️ ${req.user.emailId} deleted group "${group.groupName}" (${group._id})`);
+    recordAuditEvent(req, "admin.group_deleted", {
+      userId: group.groupAdmin,
+      metadata: { groupId: group._id, groupName: group.groupName }
+    });
+    res.status(200).json({
+      message: `Group "${group.groupName}" has been deleted`,
+      data: { _id: group._id }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin delete group error:", err.message);
+    res.status(400).json({
+      message: "Failed to delete group",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /admin/verifications - Identity Verification Queue
+ *
+ * Oldest requests first. The images are not public; each entry links to
+ * GET /admin/verifications/:requestId/selfie and .../document.
+ *
+ * @route GET /admin/verifications
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ * @query {string} status - pending (default), approved or rejected
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Requests per page (default: 20, max: 100)
+ */
+adminRouter.get("/admin/verifications", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    page = page < 1 ? 1 : page;
+    let limit = parseInt(req.query.limit) || 20;
+    limit = limit > 100 ? 100 : limit;
+    limit = limit < 1 ? 20 : limit;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: String(req.query.status || "pending") };
+
+    const [requests, total] = await Promise.all([
+      VerificationRequest.find(filter)
+        .populate("userId", "firstName lastName emailId image createdAt")
+        .populate("reviewedBy", "firstName lastName emailId")
+        .sort({ createdAt: filter.status === "pending" ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(), // plain objects: the User toJSON transform would hide the emails
+      VerificationRequest.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Verification requests retrieved successfully",
+      data: requests.map(({ selfie, document, ...request }) => ({
+        ...request,
+        files: selfie && document
+          ? {
+              selfie: `/admin/verifications/${request._id}/selfie`,
+              document: `/admin/verifications/${request._id}/document`,
+            }
+          : null,
+      })),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: total
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin verification queue error:", err.message);
+    res.status(400).json({
+      message: "Failed to retrieve verification requests",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /admin/verifications/:requestId/:file - View a Verification Image
+ *
+ * Only available while the request is pending; the images are deleted once
+ * it has been reviewed.
+ *
+ * @route GET /admin/verifications/:requestId/:file
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ * @param {string} file - selfie or document
+ */
+adminRouter.get("/admin/verifications/:requestId/:file(selfie|document)", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    const request = await VerificationRequest.findById(req.params.requestId);
+    const file = request && request[req.params.file];
+    if (!file) {
+      return res.status(404).json({ message: "File not found", error: "FILE_NOT_FOUND" });
+    }
+
+    const content = await readFile(file.key);
+
+    // Identity documents must never end up in a shared cache
+    res.set({
+      "Content-Type": file.contentType,
+      "Cache-Control": "no-store",
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.status(200).send(content);
+
+  } catch (err) {
+    console.error("❌ Admin verification file error:", err.message);
+    res.status(400).json({
+      message: "Failed to load verification file",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Approve or reject a pending verification request
+ *
+ * Only one moderator can decide: the status change is conditional on the
+ * request still being pending. The images are deleted afterwards.
+ *
+ * @param {Object} req - Express request (req.user is the moderator)
+ * @param {Object} res - Express response
+ * @param {"approved"|"rejected"} status - Decision
+ */
+const reviewVerificationRequest = async (req, res, status) => {
+  const reason = req.body.reason;
+  if (status === "rejected" && !reason) {
+    return res.status(400).json({
+      message: "A reason is required so the user knows what to fix",
+      error: "REASON_REQUIRED"
+    });
+  }
+
+  const pending = await VerificationRequest.findById(req.params.requestId);
+  if (!pending) {
+    return res.status(404).json({ message: "Verification request not found", error: "REQUEST_NOT_FOUND" });
+  }
+  if (pending.userId.equals(req.user._id)) {
+    return res.status(400).json({
+      message: "You cannot review your own verification request",
+      error: "SELF_MODERATION"
+    });
+  }
+
+  const request = await VerificationRequest.findOneAndUpdate(
+    { _id: pending._id, status: "pending" },
+    {
+      $set: {
+        status,
+        rejectionReason: status === "rejected" ? reason : undefined,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        selfie: null,
+        document: null,
+      },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!request) {
+    return res.status(409).json({
+      message: "This request has already been reviewed",
+      error: "ALREADY_REVIEWED"
+    });
+  }
+
+  // The decision is stored, so the documents are no longer needed
+  Promise.all([pending.selfie, pending.document].filter(Boolean).map((file) => removeFile(file.key)))
+    .catch((removeErr) => console.error("❌ Failed to remove verification files:", removeErr.message));
+
+  const user = status === "approved"
+    ? await User.findByIdAndUpdate(request.userId, { $set: { identityVerifiedAt: request.reviewedAt } }, { new: true })
+    : await User.findById(request.userId);
+
+  console.log(`🪪 ${req.user.emailId} ${status} verification request ${request._id}`);
+  recordAuditEvent(req, status === "approved" ? "admin.identity_verified" : "admin.identity_rejected", {
+    userId: request.userId,
+    metadata: { requestId: request._id, reason: request.rejectionReason }
+  });
+
+  if (user) {
+    sendVerificationDecisionEmail(user, request).catch((mailErr) => {
+      console.error("❌ Failed to send verification decision email:", mailErr.message);
+    });
+  }
+
+  res.status(200).json({
+    message: `Verification request ${status}`,
+    data: {
+      _id: request._id,
+      userId: request.userId,
+      status: request.status,
+      rejectionReason: request.rejectionReason,
+      reviewedAt: request.reviewedAt
+    }
+  });
+};
+
+/**
+ * POST /admin/verifications/:requestId/approve - Approve a Verification Request
+ *
+ * Gives the user the "ID verified" trust badge.
+ *
+ * @route POST /admin/verifications/:requestId/approve
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ */
+adminRouter.post("/admin/verifications/:requestId/approve", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    await reviewVerificationRequest(req, res, "approved");
+  } catch (err) {
+    console.error("❌ Admin approve verification error:", err.message);
+    res.status(400).json({
+      message: "Failed to approve verification request",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /admin/verifications/:requestId/reject - Reject a Verification Request
+ *
+ * @route POST /admin/verifications/:requestId/reject
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ * @param {string} req.body.reason - Shown to the user (e.g. "Document is unreadable")
+ */
+adminRouter.post("/admin/verifications/:requestId/reject", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    await reviewVerificationRequest(req, res, "rejected");
+  } catch (err) {
+    console.error("❌ Admin reject verification error:", err.message);
+    res.status(400).json({
+      message: "Failed to reject verification request",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /admin/reports - Report Queue
+ *
+ * Oldest open reports first. Each entry includes the reported user or group
+ * and how many distinct users currently have open reports against it.
+ *
+ * @route GET /admin/reports
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ * @query {string} status - open (default), actioned or dismissed
+ * @query {string} targetType - user or group
+ * @query {string} targetId - Only reports about this user/group
+ * @query {string} reason - Filter by reason
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Reports per page (default: 20, max: 100)
+ */
+adminRouter.get("/admin/reports", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    page = page < 1 ? 1 : page;
+    let limit = parseInt(req.query.limit) || 20;
+    limit = limit > 100 ? 100 : limit;
+    limit = limit < 1 ? 20 : limit;
+    const skip = (page - 1) * limit;
+
+    // Build the filter from the query parameters
+    const filter = { status: String(req.query.status || "open") };
+    if (req.query.targetType) {
+      filter.targetType = String(req.query.targetType);
+    }
+    if (req.query.targetId) {
+      filter.targetId = String(req.query.targetId);
+    }
+    if (req.query.reason) {
+      filter.reason = String(req.query.reason);
+    }
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .populate("reporterId", "firstName lastName emailId")
+        .populate("resolvedBy", "firstName lastName emailId")
+        .sort({ createdAt: filter.status === "open" ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(), // plain objects: the User toJSON transform would hide the emails
+      Report.countDocuments(filter),
+    ]);
+
+    // Load the reported users and groups in one query each
+    const idsOf = (type) => reports.filter((report) => report.targetType === type).map((report) => report.targetId);
+    const [users, groups, openReporters] = await Promise.all([
+      User.find({ _id: { $in: idsOf("user") } })
+        .select("firstName lastName emailId accountStatus hiddenUntil")
+        .lean(),
+      Group.find({ _id: { $in: idsOf("group") } })
+        .select("groupName groupAdmin status hiddenUntil")
+        .lean(),
+      Report.aggregate([
+        { $match: { status: "open", targetId: { $in: reports.map((report) => report.targetId) } } },
+        { $group: { _id: { type: "$targetType", id: "$targetId" }, reporters: { $addToSet: "$reporterId" } } },
+      ]),
+    ]);
+    const targets = new Map([
+      ...users.map((user) => [`user:${user._id}`, user]),
+      ...groups.map((group) => [`group:${group._id}`, group]),
+    ]);
+    const reporterCounts = new Map(
+      openReporters.map((row) => [`${row._id.type}:${row._id.id}`, row.reporters.length])
+    );
+
+    res.status(200).json({
+      message: "Reports retrieved successfully",
+      data: reports.map((report) => {
+        const targetKey = `${report.targetType}:${report.targetId}`;
+        return {
+          ...report,
+          target: targets.get(targetKey) || null, // null: the user/group no longer exists
+          openReporterCount: reporterCounts.get(targetKey) || 0,
+        };
+      }),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: total
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin report queue error:", err.message);
+    res.status(400).json({
+      message: "Failed to retrieve reports",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /admin/reports/:reportId/resolve - Resolve a Report
+ *
+ * Resolves every open report about the same user or group at once, and
+ * emails each reporter the outcome. The actual action (suspension, group
+ * deletion, ...) is taken with the other admin endpoints.
+ *
+ * - actioned: the target broke the rules and was dealt with
+ * - dismissed: no violation found; an automatic hiding is lifted
+ *
+ * @route POST /admin/reports/:reportId/resolve
+ * @middleware userAuth, requireSession, authorize("admin", "moderator")
+ * @param {string} req.body.status - "actioned" or "dismissed"
+ * @param {string} req.body.note - Internal note (not shown to reporters)
+ */
+adminRouter.post("/admin/reports/:reportId/resolve", userAuth, requireSession, authorize("admin", "moderator"), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!["actioned", "dismissed"].includes(status)) {
+      return res.status(400).json({
+        message: "Status must be either actioned or dismissed",
+        error: "INVALID_STATUS"
+      });
+    }
+
+    const report = await Report.findById(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ message: "Report not found", error: "REPORT_NOT_FOUND" });
+    }
+    if (report.status !== "open") {
+      return res.status(409).json({
+        message: `This report has already been ${report.status}`,
+        error: "ALREADY_RESOLVED"
+      });
+    }
+    if (report.targetType === "user" && report.targetId.equals(req.user._id)) {
+      return res.status(400).json({
+        message: "You cannot resolve reports about your own account",
+        error: "SELF_MODERATION"
+      });
+    }
+
+    // Resolve all open reports about this target together
+    const openReports = await Report.find({
+      targetType: report.targetType,
+      targetId: report.targetId,
+      status: "open",
+    }).populate("reporterId", "firstName emailId");
+
+    const resolvedAt = new Date();
+    await Report.updateMany(
+      { _id: { $in: openReports.map((openReport) => openReport._id) }, status: "open" },
+      { $set: { status, resolvedBy: req.user._id, resolvedAt, resolutionNote: note } },
+      { runValidators: true }
+    );
+
+    if (status === "dismissed") {
+      await liftAutoHide(report.targetType, report.targetId);
+    }
+
+    console.log(`🚩 ${req.user.emailId} ${status} ${openReports.length} report(s) about ${report.targetType} ${report.targetId}`);
+    recordAuditEvent(req, "admin.report_resolved", {
+      userId: report.targetType === "user" ? report.targetId : undefined,
+      metadata: {
+        targetType: report.targetType,
+        targetId: report.targetId,
+        status,
+        reports: openReports.length
+      }
+    });
+
+    // Not awaited: a mail failure must not undo the resolution
+    openReports
+      .filter((openReport) => openReport.reporterId)
+      .forEach((openReport) => {
+        openReport.status = status;
+        sendReportResolvedEmail(openReport.reporterId, openReport).catch((mailErr) => {
+          console.error("❌ Failed to send report resolution email:", mailErr.message);
+        });
+      });
+
+    res.status(200).json({
+      message: `${openReports.length} report(s) ${status}`,
+      data: {
+        targetType: report.targetType,
+        targetId: report.targetId,
+        status: status,
+        resolved: openReports.length
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin resolve report error:", err.message);
+    res.status(400).json({
+      message: "Failed to resolve report",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /admin/audit-logs - Query the Security Audit Log
+ *
+ * Entries are kept for AUDIT_LOG_RETENTION_DAYS and then pruned by
+ * jobs/auditLogRetention.js.
+ *
+ * @route GET /admin/audit-logs
+ * @middleware userAuth, requireSession, authorize("admin")
+ * @query {string} userId - Account the events are about
+ * @query {string} actorId - Who triggered the events
+ * @query {string} event - Event name, or several separated by commas
+ * @query {string} ip - Client IP address
+ * @query {string} from - ISO date, only entries at or after it
+ * @query {string} to - ISO date, only entries before it
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Entries per page (default: 50, max: 200)
+ *
+ * @example
+ * GET /admin/audit-logs?event=login.failure,login.locked&from=2024-05-01
+ */
+adminRouter.get("/admin/audit-logs", userAuth, requireSession, authorize("admin"), async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    page = page < 1 ? 1 : page;
+    let limit = parseInt(req.query.limit) || 50;
+    limit = limit > 200 ? 200 : limit;
+    limit = limit < 1 ? 50 : limit;
+    const skip = (page - 1) * limit;
+
+    // Build the filter from the query parameters
+    const filter = {};
+    if (req.query.userId) {
+      filter.userId = String(req.query.userId);
+    }
+    if (req.query.actorId) {
+      filter.actorId = String(req.query.actorId);
+    }
+    if (req.query.event) {
+      filter.event = { $in: String(req.query.event).split(",").map((event) => event.trim()) };
+    }
+    if (req.query.ip) {
+      filter.ip = String(req.query.ip);
+    }
+    if (req.query.from || req.query.to) {
+      const from = req.query.from && new Date(String(req.query.from));
+      const to = req.query.to && new Date(String(req.query.to));
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          message: "from and to must be valid dates",
+          error: "INVALID_DATE"
+        });
+      }
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lt = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate("userId", "firstName lastName emailId")
+        .populate("actorId", "firstName lastName emailId")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(), // plain objects: the User toJSON transform would hide the emails
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Audit log retrieved successfully",
+      data: entries,
+      pagination: {
+        page: page,
+        limit: limit,
+        total: total
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Admin audit log error:", err.message);
+    res.status(400).json({
+      message: "Failed to retrieve audit log",
+      error: err.message
+    });
+  }
+});
+
+// Export the router for use in the main application
+module.exports = adminRouter;
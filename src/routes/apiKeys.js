@@ -0,0 +1,150 @@
+/**
+ * Personal API Key Routes
+ *
+ * Lets users create, list and revoke API keys for scripts and integrations.
+ * A key is sent as "Authorization: Bearer trw_..." and is accepted by
+ * userAuth on every protected route (read-only keys: GET requests only).
+ *
+ * Managing keys always requires a real login session (requireSession), so a
+ * leaked key cannot be used to mint new keys.
+ */
+
+const express = require("express");
+const { userAuth, requireSession } = require("../middlewares/auth.js"); // Authentication middleware
+const ApiKey = require("../models/apiKey.js");                          // API key model
+const { recordAuditEvent } = require("../utilis/audit.js");             // Security audit log
+const apiKeysRouter = express.Router();                                 // Express router instance
+
+// Maximum number of active keys per user
+const MAX_API_KEYS = 10;
+
+// Fields that are safe to return (never the hash)
+const API_KEY_SAFE_DATA = ["name", "prefix", "scope", "lastUsedAt", "createdAt"];
+
+/**
+ * GET /user/api-keys - List Active API Keys
+ *
+ * @route GET /user/api-keys
+ * @middleware userAuth, requireSession
+ * @returns {Object} Active keys (prefix only, never the full key)
+ */
+apiKeysRouter.get("/user/api-keys", userAuth, requireSession, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id, revokedAt: null })
+      .select(API_KEY_SAFE_DATA)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: "API keys retrieved successfully",
+      data: apiKeys,
+      count: apiKeys.length
+    });
+
+  } catch (err) {
+    console.error("❌ List API keys error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve API keys",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /user/api-keys - Create an API Key
+ *
+ * The full key is only returned in this response - it cannot be retrieved later.
+ *
+ * @route POST /user/api-keys
+ * @middleware userAuth, requireSession
+ * @param {string} req.body.name - Label for the key
+ * @param {string} req.body.scope - "read" (default) or "full"
+ *
+ * @example
+ * POST /user/api-keys
+ * { "name": "Trip planner script", "scope": "read" }
+ */
+apiKeysRouter.post("/user/api-keys", userAuth, requireSession, async (req, res) => {
+  try {
+    const { name, scope = "read" } = req.body;
+
+    if (!["read", "full"].includes(scope)) {
+      return res.status(400).json({
+        message: "Scope must be either read or full",
+        error: "INVALID_SCOPE"
+      });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ userId: req.user._id, revokedAt: null });
+    if (activeKeys >= MAX_API_KEYS) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_API_KEYS} active API keys. Revoke one first.`,
+        error: "API_KEY_LIMIT_REACHED"
+      });
+    }
+
+    const { apiKey, rawKey } = await ApiKey.issue({ userId: req.user._id, name, scope });
+    console.log(`🔑 API key "${apiKey.name}" (${apiKey.scope}) created for ${req.user.emailId}`);
+    recordAuditEvent(req, "api_key.created", {
+      metadata: { keyId: apiKey._id, name: apiKey.name, prefix: apiKey.prefix, scope: apiKey.scope }
+    });
+
+    res.status(201).json({
+      message: "API key created. Copy it now - it will not be shown again.",
+      key: rawKey,
+      data: {
+        _id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scope: apiKey.scope,
+        createdAt: apiKey.createdAt
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Create API key error:", err.message);
+    res.status(400).json({
+      message: "Failed to create API key",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /user/api-keys/:keyId - Revoke an API Key
+ *
+ * @route DELETE /user/api-keys/:keyId
+ * @middleware userAuth, requireSession
+ */
+apiKeysRouter.delete("/user/api-keys/:keyId", userAuth, requireSession, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.keyId, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        message: "API key not found",
+        error: "API_KEY_NOT_FOUND"
+      });
+    }
+
+    recordAuditEvent(req, "api_key.revoked", {
+      metadata: { keyId: apiKey._id, name: apiKey.name, prefix: apiKey.prefix }
+    });
+
+    res.status(200).json({
+      message: `API key "${apiKey.name}" revoked`
+    });
+
+  } catch (err) {
+    console.error("❌ Revoke API key error:", err.message);
+    res.status(400).json({
+      message: "Failed to revoke API key",
+      error: err.message
+    });
+  }
+});
+
+module.exports = apiKeysRouter;
@@ -3,7 +3,10 @@
  * 
  * This module handles all authentication-related endpoints:
  * - User registration (signup)
+ * - Email verification (verify / resend)
+ * - Password recovery (forgot / reset)
  * - User login
+ * - Access token refresh (refresh token rotation)
  * - User logout
  * 
  * Each route includes:
@@ -14,15 +17,37 @@
  * 
  * SECURITY FEATURES:
  * - Password hashing with bcrypt
- * - JWT token generation and validation
+ * - Short-lived JWT access tokens bound to server-side sessions
+ * - Rotating refresh tokens with reuse detection
  * - HTTP-only cookies for token storage
  * - Input validation and sanitization
  */
 
 const express = require("express");
+const jwt = require("jsonwebtoken");                         // Verification token decoding
+const crypto = require("crypto");                            // Reset token hashing
 const { validSignUpData } = require("../utilis/validation"); // Input validation utility
 const bcrypt = require("bcrypt");                            // Password hashing (though not used directly here)
+const validator = require("validator");                      // Email format validation
 const User = require("../models/user");                      // User model for database operations
+const ApiKey = require("../models/apiKey");                  // Revoked on password reset
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  revokeAllSessions,
+  setAuthCookies,
+  clearAuthCookies,
+} = require("../utilis/session");                            // Session / token helpers
+const { userAuth } = require("../middlewares/auth");         // Authentication middleware
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../utilis/emails"); // Transactional emails
+const { JWT_SECRET, EMAIL_RESEND_COOLDOWN_SECONDS } = require("../config/auth");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../utilis/loginProtection");                    // Brute-force protection
+const { recordAuditEvent } = require("../utilis/audit");     // Security audit log
 
 // Create Express router instance for authentication routes
 const authRouter = express.Router();
@@ -33,7 +58,7 @@ const authRouter = express.Router();
  * This route allows new users to create accounts. It includes:
  * - Input validation
  * - Password hashing (handled by User model middleware)
- * - JWT token generation
+ * - Session creation (access + refresh token)
  * - Secure cookie setting
  * 
  * @route POST /signup
@@ -48,7 +73,7 @@ const authRouter = express.Router();
  * @param {string} req.body.about - User's bio/description
  * 
  * @returns {Object} JSON response with success message and user data
- * @returns {string} Cookie with JWT token (HTTP-only, expires in 7 days)
+ * @returns {string} Cookies with access token and refresh token (HTTP-only)
  * 
  * @example
  * // Request body
@@ -91,30 +116,33 @@ authRouter.post("/signup", async (req, res) => {
       about
     });
 
-    // Step 4: Save user to database
-    // This will trigger the pre-save middleware for password hashing
+    // Step 4: Generate the email verification token and save user to database
+    // Saving triggers the pre-save middleware for password hashing
+    const verificationToken = await newUser.createEmailVerificationToken();
     const newUserSaved = await newUser.save();
     console.log("✅ New user created:", newUserSaved.emailId);
+    recordAuditEvent(req, "signup", { userId: newUserSaved._id });
 
-    // Step 5: Generate JWT token for automatic login
+    // Send the verification email - a mail failure must not break signup,
+    // the user can always ask for a new one via /auth/resend-verification
+    sendVerificationEmail(newUserSaved, verificationToken).catch((mailErr) => {
+      console.error("❌ Verification email failed:", mailErr.message);
+    });
+
+    // Step 5: Create a session for automatic login
     // The user is automatically logged in after successful registration
-    const token = await newUser.getJWT();
+    const { accessToken, refreshToken } = await createSession(newUser, req);
     
-    // Step 6: Set JWT token in HTTP-only cookie
+    // Step 6: Set access and refresh tokens in HTTP-only cookies
     // HTTP-only prevents JavaScript access (XSS protection)
-    // 7 days expiration for user convenience
-    res.cookie("token", token, {
-      expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days from now
-      httpOnly: true,    // Prevents JavaScript access to the cookie
-      secure: false,     // Set to true in production with HTTPS
-      sameSite: 'strict' // CSRF protection
-    });
+    setAuthCookies(res, { accessToken, refreshToken });
 
     // Step 7: Send success response
     res.status(201).json({
       message: "User created successfully",
-      data: newUserSaved,
-      token: token // Also send token in response for immediate use
+      data: newUserSaved.toPrivateJSON(),
+      token: accessToken,        // Also send tokens in response for immediate use
+      refreshToken: refreshToken
     });
     
   } catch (err) {
@@ -149,8 +177,10 @@ authRouter.post("/signup", async (req, res) => {
  * This route authenticates existing users and provides access tokens.
  * It includes:
  * - Credential validation
+ * - Brute-force protection (per-account and per-IP backoff, account lockout)
  * - Password verification
- * - JWT token generation
+ * - Two-factor hand-off (see routes/twoFactor.js)
+ * - Session creation (access + refresh token)
  * - Secure cookie setting
  * 
  * @route POST /login
@@ -159,7 +189,15 @@ authRouter.post("/signup", async (req, res) => {
  * @param {string} req.body.password - User's password
  * 
  * @returns {Object} JSON response with user data
- * @returns {string} Cookie with JWT token (HTTP-only, expires in 7 days)
+ * @returns {string} Cookies with access token and refresh token (HTTP-only)
+ * 
+ * If the account has 2FA enabled, the response is { mfaRequired: true, mfaToken }
+ * instead and no cookies are set until POST /auth/2fa/verify succeeds.
+ * 
+ * ERROR RESPONSES:
+ * - 401 AUTHENTICATION_FAILED: wrong email or password
+ * - 429 TOO_MANY_ATTEMPTS: backoff window or IP block active (Retry-After header set)
+ * - 423 ACCOUNT_LOCKED: too many consecutive failures (Retry-After header set)
  * 
  * @example
  * // Request body
@@ -183,38 +221,101 @@ authRouter.post("/login", async (req, res) => {
     // This matches the schema validation which converts emails to lowercase
     const user = await User.findOne({ emailId: emailId.toLowerCase() });
 
-    // Step 4: Check if user exists
+    // Step 4: Refuse the attempt while the IP or account is throttled/locked
+    // This happens before the password check so blocked guesses are never evaluated
+    const blocked = await checkLoginAllowed(user, req.ip);
+    if (blocked) {
+      recordAuditEvent(req, "login.failure", {
+        userId: user ? user._id : null,
+        metadata: { emailId: emailId.toLowerCase(), reason: blocked.error }
+      });
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        message: blocked.message,
+        error: blocked.error,
+        retryAfter: blocked.retryAfter
+      });
+    }
+
+    // Step 5: Check if user exists
     if (!user) {
+      await recordLoginFailure(null, req.ip);
+      recordAuditEvent(req, "login.failure", {
+        userId: null,
+        metadata: { emailId: emailId.toLowerCase(), reason: "unknown_email" }
+      });
       throw new Error("Invalid credentials"); // Generic message for security
     }
 
-    // Step 5: Validate password
+    // Step 6: Validate password
     // This uses the instance method from the User model
     // It compares the provided password with the stored hash
     const isValidPassword = await user.validatePassword(password);
 
     if (!isValidPassword) {
+      const { locked, lockUntil } = await recordLoginFailure(user, req.ip);
+      recordAuditEvent(req, "login.failure", {
+        userId: user._id,
+        metadata: { reason: "invalid_password" }
+      });
+      if (locked) {
+        recordAuditEvent(req, "login.locked", { userId: user._id, metadata: { lockUntil } });
+        const retryAfter = Math.ceil((lockUntil.getTime() - Date.now()) / 1000);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(423).json({
+          message: "Too many failed attempts. Your account is temporarily locked, reset your password to unlock it now.",
+          error: "ACCOUNT_LOCKED",
+          retryAfter
+        });
+      }
       throw new Error("Invalid credentials"); // Generic message for security
     }
 
-    // Step 6: Generate JWT token for authenticated session
-    const token = await user.getJWT();
+    // Step 7: Clear the failed attempt counters
+    await recordLoginSuccess(user);
 
-    // Step 7: Set token in HTTP-only cookie
-    // Same security settings as signup
-    res.cookie("token", token, {
-      expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      httpOnly: true,
-      secure: false,     // Set to true in production with HTTPS
-      sameSite: 'strict'
+    // Suspended or banned accounts cannot start new sessions
+    const restriction = user.getAccountRestriction();
+    if (restriction) {
+      recordAuditEvent(req, "login.failure", {
+        userId: user._id,
+        metadata: { reason: restriction.error }
+      });
+      return res.status(restriction.status).json({
+        message: restriction.message,
+        error: restriction.error
+      });
+    }
+
+    // Two-factor accounts stop here: the client gets a short-lived "mfa pending"
+    // token that only POST /auth/2fa/verify accepts (no session, no cookies)
+    if (user.twoFactorEnabled) {
+      const mfaToken = await user.getMfaPendingToken();
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        mfaRequired: true,
+        mfaToken: mfaToken
+      });
+    }
+
+    // Step 8: Create a new session for this login
+    const { accessToken, refreshToken, session } = await createSession(user, req);
+    recordAuditEvent(req, "login.success", {
+      userId: user._id,
+      metadata: { method: "password", sessionId: session._id }
     });
 
-    // Step 8: Send user data (excluding sensitive information)
-    // Note: password is automatically excluded by Mongoose
+    // Step 9: Set tokens in HTTP-only cookies
+    // Same security settings as signup
+    setAuthCookies(res, { accessToken, refreshToken });
+
+    // Step 10: Send user data (excluding sensitive information)
+    // toPrivateJSON strips the password hash and other secrets
     res.status(200).json({
       message: "Login successful",
-      user: user,
-      token: token
+      user: user.toPrivateJSON(),
+      token: accessToken,
+      refreshToken: refreshToken
     });
     
   } catch (err) {
@@ -229,28 +330,359 @@ authRouter.post("/login", async (req, res) => {
   }
 });
 
+/**
+ * POST /auth/verify-email - Confirm Email Ownership
+ * 
+ * Marks the account as verified using the token from the verification email.
+ * Tokens are signed, expire after EMAIL_VERIFICATION_TTL_HOURS and are
+ * single-use: the nonce they carry is cleared as soon as one is accepted.
+ * 
+ * @route POST /auth/verify-email
+ * @param {string} req.body.token - Token from the verification link
+ * 
+ * @returns {Object} Success message
+ */
+authRouter.post("/auth/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        message: "Verification token is required",
+        error: "MISSING_TOKEN"
+      });
+    }
+
+    // Step 1: Check signature, expiry and purpose of the token
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (tokenErr) {
+      payload = null;
+    }
+    if (!payload || payload.purpose !== "verify-email") {
+      return res.status(400).json({
+        message: "Verification link is invalid or has expired",
+        error: "INVALID_VERIFICATION_TOKEN"
+      });
+    }
+
+    // Step 2: Consume the nonce atomically so the token cannot be used twice
+    const user = await User.findOneAndUpdate(
+      { _id: payload._id, emailVerificationNonce: payload.nonce },
+      {
+        $set: { isEmailVerified: true },
+        $unset: { emailVerificationNonce: "" }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        message: "Verification link is invalid or has already been used",
+        error: "INVALID_VERIFICATION_TOKEN"
+      });
+    }
+
+    console.log("✅ Email verified:", user.emailId);
+    recordAuditEvent(req, "email.verified", { userId: user._id });
+    res.status(200).json({
+      message: "Email verified successfully"
+    });
+
+  } catch (err) {
+    console.error("❌ Email verification error:", err.message);
+    res.status(500).json({
+      message: "Email verification failed",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /auth/resend-verification - Send a New Verification Email
+ * 
+ * Issues a new verification token (invalidating older ones) and emails it.
+ * Limited to one email per EMAIL_RESEND_COOLDOWN_SECONDS per account.
+ * 
+ * @route POST /auth/resend-verification
+ * @middleware userAuth - Requires authentication
+ * 
+ * @returns {Object} Success message
+ */
+authRouter.post("/auth/resend-verification", userAuth, async (req, res) => {
+  try {
+    // req.user does not include the select:false verification fields
+    const user = await User.findById(req.user._id).select("+emailVerificationSentAt");
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        message: "Your email is already verified",
+        error: "ALREADY_VERIFIED"
+      });
+    }
+
+    // Throttle resends to protect the mail transport and the user's inbox
+    const lastSent = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const waitSeconds = Math.ceil((lastSent + EMAIL_RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000);
+    if (waitSeconds > 0) {
+      return res.status(429).json({
+        message: `Please wait ${waitSeconds} seconds before requesting another email`,
+        error: "TOO_MANY_REQUESTS"
+      });
+    }
+
+    const token = await user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, token);
+
+    res.status(200).json({
+      message: `Verification email sent to ${user.emailId}`
+    });
+
+  } catch (err) {
+    console.error("❌ Resend verification error:", err.message);
+    res.status(500).json({
+      message: "Failed to send verification email",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /auth/forgot-password - Request a Password Reset Email
+ * 
+ * Emails a single-use reset link if an account exists for the address.
+ * The response is identical whether or not the email is registered, so this
+ * endpoint cannot be used to find out who has a Trawell account.
+ * 
+ * @route POST /auth/forgot-password
+ * @param {string} req.body.emailId - Email address of the account
+ * 
+ * @returns {Object} Generic confirmation message
+ */
+authRouter.post("/auth/forgot-password", async (req, res) => {
+  const genericResponse = {
+    message: "If an account exists for this email, a password reset link has been sent"
+  };
+
+  try {
+    const { emailId } = req.body;
+    if (!emailId || !validator.isEmail(String(emailId))) {
+      return res.status(400).json({
+        message: "Please provide a valid email address",
+        error: "INVALID_EMAIL"
+      });
+    }
+
+    const user = await User.findOne({ emailId: String(emailId).toLowerCase() });
+
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      recordAuditEvent(req, "password.reset_requested", { userId: user._id });
+
+      // Not awaited: response time must not depend on whether the account exists
+      sendPasswordResetEmail(user, token).catch((mailErr) => {
+        console.error("❌ Password reset email failed:", mailErr.message);
+      });
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (err) {
+    // Still answer generically - errors must not reveal account existence either
+    console.error("❌ Forgot password error:", err.message);
+    res.status(200).json(genericResponse);
+  }
+});
+
+/**
+ * POST /auth/reset-password - Set a New Password Using a Reset Token
+ * 
+ * Consumes the emailed reset token, sets the new password (same strength
+ * rules as the User schema) and revokes every existing session, so anyone
+ * who had access to the account is signed out.
+ * 
+ * @route POST /auth/reset-password
+ * @param {string} req.body.token - Token from the reset link
+ * @param {string} req.body.newPassword - New password
+ * @param {string} req.body.confirmPassword - Confirmation of the new password
+ * 
+ * @returns {Object} Success message
+ */
+authRouter.post("/auth/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword, confirmPassword } = req.body;
+
+    // Step 1: Validate the input before touching the database
+    if (!token || !newPassword || !confirmPassword) {
+      return res.status(400).json({
+        message: "Token, new password and confirmation are required",
+        error: "MISSING_FIELDS"
+      });
+    }
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({
+        message: "New password and confirmation password must match",
+        error: "PASSWORD_MISMATCH"
+      });
+    }
+    if (!User.isStrongPassword(newPassword)) {
+      return res.status(400).json({
+        message: User.PASSWORD_STRENGTH_MESSAGE,
+        error: "WEAK_PASSWORD"
+      });
+    }
+
+    // Step 2: Find the account by token hash (only unexpired tokens match)
+    const tokenHash = crypto.createHash("sha256").update(String(token)).digest("hex");
+    const user = await User.findOne({
+      passwordResetTokenHash: tokenHash,
+      passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        message: "Reset link is invalid or has expired",
+        error: "INVALID_RESET_TOKEN"
+      });
+    }
+
+    // Step 3: Set the new password, burn the token and lift any lockout
+    // Receiving the reset email also proves ownership of the address
+    user.password = newPassword;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.isEmailVerified = true;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    user.lastFailedLoginAt = undefined;
+    await user.save();
+
+    // Step 4: Sign the account out everywhere and disable its API keys
+    const revoked = await revokeAllSessions(user._id, "password_reset");
+    const apiKeysRevoked = await ApiKey.revokeAllForUser(user._id);
+    clearAuthCookies(res);
+    console.log(`🔑 Password reset for ${user.emailId}, ${revoked} session(s) and ${apiKeysRevoked} API key(s) revoked`);
+    recordAuditEvent(req, "password.reset", {
+      userId: user._id,
+      metadata: { sessionsRevoked: revoked, apiKeysRevoked }
+    });
+
+    res.status(200).json({
+      message: "Password has been reset. Please login with your new password."
+    });
+
+  } catch (err) {
+    console.error("❌ Reset password error:", err.message);
+    res.status(500).json({
+      message: "Password reset failed",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /auth/refresh - Access Token Refresh Endpoint
+ * 
+ * Exchanges a refresh token for a new access token AND a new refresh token
+ * (rotation). The presented refresh token can never be used again.
+ * 
+ * If an already-rotated refresh token is presented, someone else holds a copy
+ * of it, so the whole session (token family) is revoked and both parties have
+ * to login again.
+ * 
+ * @route POST /auth/refresh
+ * @param {string} req.cookies.refreshToken - Refresh token cookie (browsers)
+ * @param {string} req.body.refreshToken - Refresh token in body (non-browser clients)
+ * 
+ * @returns {Object} JSON response with the new token pair
+ * @returns {string} Cookies with the new access token and refresh token
+ */
+authRouter.post("/auth/refresh", async (req, res) => {
+  try {
+    // Step 1: Read the refresh token from the cookie or the request body
+    const presentedToken = req.cookies.refreshToken || (req.body && req.body.refreshToken);
+    if (!presentedToken) {
+      return res.status(401).json({
+        message: "Refresh token is required",
+        error: "MISSING_REFRESH_TOKEN"
+      });
+    }
+
+    // Step 2: Rotate the refresh token (throws on invalid, revoked or reused tokens)
+    const { refreshToken, session } = await rotateRefreshToken(presentedToken, req.ip);
+
+    // Step 3: Make sure the user still exists
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await session.revoke("logout");
+      clearAuthCookies(res);
+      return res.status(401).json({
+        message: "User not found. Please login again.",
+        error: "USER_NOT_FOUND"
+      });
+    }
+
+    // Step 4: Issue a new access token for the same session
+    const accessToken = await user.getJWT(session._id);
+    setAuthCookies(res, { accessToken, refreshToken });
+
+    res.status(200).json({
+      message: "Session refreshed",
+      token: accessToken,
+      refreshToken: refreshToken
+    });
+
+  } catch (err) {
+    console.error("❌ Token refresh error:", err.message);
+    clearAuthCookies(res);
+
+    if (err.code === "REFRESH_TOKEN_REUSED") {
+      recordAuditEvent(req, "refresh_token.reused", {
+        userId: err.userId,
+        actorId: null,
+        metadata: { sessionId: err.sessionId }
+      });
+    }
+
+    // Errors raised by rotateRefreshToken carry a machine readable code
+    if (err.code) {
+      return res.status(401).json({
+        message: err.message,
+        error: err.code
+      });
+    }
+
+    res.status(500).json({
+      message: "Token refresh failed",
+      error: "REFRESH_ERROR"
+    });
+  }
+});
+
 /**
  * POST /logout - User Logout Endpoint
  * 
- * This route logs out the user by clearing the authentication cookie.
- * It's a simple but effective way to end user sessions.
+ * This route logs out the user by revoking the server-side session and
+ * clearing the authentication cookies. Once the session is revoked, neither
+ * the refresh token nor any access token issued for it can be used again.
  * 
  * @route POST /logout
  * @returns {string} Success message
- * @returns {string} Cleared cookie (expires immediately)
- * 
- * Note: For enhanced security, consider implementing token blacklisting
- * in production to prevent reuse of logged-out tokens.
+ * @returns {string} Cleared cookies (expire immediately)
  */
 authRouter.post("/logout", async (req, res) => {
   try {
-    // Clear the authentication cookie by setting it to expire immediately
-    res.cookie("token", null, {
-      expires: new Date(Date.now()), // Expires now
-      httpOnly: true,
-      secure: false,
-      sameSite: 'strict'
-    });
+    // Revoke the session the refresh token belongs to (ignored if missing/invalid)
+    const refreshToken = req.cookies.refreshToken || (req.body && req.body.refreshToken);
+    const session = await revokeSessionByToken(refreshToken, "logout");
+    if (session) {
+      recordAuditEvent(req, "logout", { userId: session.userId, metadata: { sessionId: session._id } });
+    }
+
+    // Clear the authentication cookies by setting them to expire immediately
+    clearAuthCookies(res);
     
     res.status(200).json({
       message: "Logout successful"
@@ -277,7 +709,9 @@ module.exports = authRouter;
  *    - Plain text passwords are never stored
  * 
  * 2. ✅ Token Security:
- *    - JWT tokens have expiration (7 days)
+ *    - Access tokens are short-lived (15 minutes by default)
+ *    - Refresh tokens rotate on every use and are stored hashed
+ *    - Reusing a rotated refresh token revokes the whole session
  *    - Tokens are stored in HTTP-only cookies
  *    - SameSite attribute prevents CSRF attacks
  * 
@@ -291,27 +725,21 @@ module.exports = authRouter;
  *    - Proper HTTP status codes
  *    - Comprehensive error logging
  * 
- * PRODUCTION ENHANCEMENTS:
+ * 5. ✅ Brute-force Protection:
+ *    - Exponential backoff per account and per IP (429)
+ *    - Temporary account lockout after repeated failures (423)
+ *    - Password reset lifts the lockout immediately
  * 
- * 1. 🔒 Environment Variables:
- *    - Move JWT secret to process.env
- *    - Configure cookie settings based on environment
+ * PRODUCTION ENHANCEMENTS:
  * 
- * 2. 🔒 Rate Limiting:
- *    - Implement login attempt limits
+ * 1. 🔒 Rate Limiting:
  *    - Add CAPTCHA for multiple failed attempts
  * 
- * 3. 🔒 Enhanced Security:
- *    - Email verification for new accounts
- *    - Password reset functionality
- *    - Account lockout after failed attempts
- * 
- * 4. 🔒 Monitoring:
+ * 2. 🔒 Monitoring:
  *    - Log authentication events
  *    - Monitor for suspicious activity
  *    - Implement audit trails
  * 
- * 5. 🔒 HTTPS:
- *    - Enable secure cookies in production
+ * 3. 🔒 HTTPS:
  *    - Use HTTPS for all communications
  */
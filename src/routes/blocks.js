@@ -0,0 +1,163 @@
+/**
+ * Block Routes
+ *
+ * Lets users block and unblock other travelers. A block works in both
+ * directions and is enforced across the API:
+ * - GET /user/feed, /user/connections, /user/connections/pending and
+ *   GET /user/:id no longer show the other user
+ * - POST /request/send/... and /request/review/... are rejected
+ * - The blocked user cannot join groups the blocker administers, and is
+ *   removed from the ones they are already in
+ *
+ * The blocked user is not told about the block.
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { userAuth } = require("../middlewares/auth.js");   // Authentication middleware
+const Block = require("../models/block.js");              // Block model
+const Group = require("../models/group.js");              // Group model
+const User = require("../models/user.js");                // User model
+const blocksRouter = express.Router();                    // Express router instance
+
+/**
+ * GET /user/blocks - List Blocked Users
+ *
+ * @route GET /user/blocks
+ * @middleware userAuth
+ * @returns {Object} Users blocked by the logged-in user, newest first
+ */
+blocksRouter.get("/user/blocks", userAuth, async (req, res) => {
+  try {
+    const blocks = await Block.find({ blockerId: req.user._id })
+      .populate("blockedId", "firstName lastName image")
+      .sort({ createdAt: -1 });
+
+    const data = blocks
+      .filter((block) => block.blockedId)
+      .map((block) => ({
+        user: {
+          _id: block.blockedId._id,
+          firstName: block.blockedId.firstName,
+          lastName: block.blockedId.lastName,
+          image: block.blockedId.image,
+        },
+        blockedAt: block.createdAt,
+      }));
+
+    res.status(200).json({
+      message: "Blocked users retrieved successfully",
+      data: data,
+      count: data.length
+    });
+
+  } catch (err) {
+    console.error("❌ List blocks error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve blocked users",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /user/blocks/:userId - Block a User
+ *
+ * Blocking someone who is already blocked is a no-op.
+ *
+ * @route POST /user/blocks/:userId
+ * @middleware userAuth
+ * @param {string} userId - User to block
+ */
+blocksRouter.post("/user/blocks/:userId", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({
+        message: "User not found",
+        error: "USER_NOT_FOUND"
+      });
+    }
+    if (loggedUser._id.equals(userId)) {
+      return res.status(400).json({
+        message: "You can't block yourself",
+        error: "SELF_BLOCK"
+      });
+    }
+
+    // Upsert keeps a repeated (or concurrent) block idempotent
+    const result = await Block.updateOne(
+      { blockerId: loggedUser._id, blockedId: userId },
+      { $setOnInsert: { blockerId: loggedUser._id, blockedId: userId } },
+      { upsert: true }
+    );
+    const created = result.upsertedCount > 0;
+
+    // Take them out of the groups we administer
+    const groups = await Group.updateMany(
+      { groupAdmin: loggedUser._id, "groupMembers.user": userId },
+      { $pull: { groupMembers: { user: userId } } }
+    );
+
+    if (created) {
+      console.log(`🚫 ${loggedUser.emailId} blocked user ${userId} (removed from ${groups.modifiedCount} group(s))`);
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? "User blocked" : "User was already blocked",
+      data: { userId: userId, removedFromGroups: groups.modifiedCount }
+    });
+
+  } catch (err) {
+    console.error("❌ Block user error:", err.message);
+    res.status(400).json({
+      message: "Failed to block user",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /user/blocks/:userId - Unblock a User
+ *
+ * Earlier connections become visible again; removed group memberships are
+ * not restored.
+ *
+ * @route DELETE /user/blocks/:userId
+ * @middleware userAuth
+ * @param {string} userId - User to unblock
+ */
+blocksRouter.delete("/user/blocks/:userId", userAuth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const block = mongoose.Types.ObjectId.isValid(userId)
+      ? await Block.findOneAndDelete({ blockerId: req.user._id, blockedId: userId })
+      : null;
+
+    if (!block) {
+      return res.status(404).json({
+        message: "You have not blocked this user",
+        error: "BLOCK_NOT_FOUND"
+      });
+    }
+
+    console.log(`✅ ${req.user.emailId} unblocked user ${userId}`);
+
+    res.status(200).json({
+      message: "User unblocked",
+      data: { userId: userId }
+    });
+
+  } catch (err) {
+    console.error("❌ Unblock user error:", err.message);
+    res.status(400).json({
+      message: "Failed to unblock user",
+      error: err.message
+    });
+  }
+});
+
+module.exports = blocksRouter;
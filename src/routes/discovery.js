@@ -0,0 +1,376 @@
+/**
+ * Geospatial Discovery Routes
+ *
+ * Optional locations and the map-based ways to find travel companions:
+ * - PATCH /user/location: set home, current location and pinned destinations
+ * - GET /user/nearby: travelers near your current (or home) location
+ * - GET /discover/destination: travelers and open groups heading to places
+ *   near a destination
+ *
+ * PRIVACY:
+ * User positions are snapped to a grid of LOCATION_GRID_DEGREES before they
+ * are stored (see utilis/geo.js). Other users never get coordinates, only a
+ * distance rounded up to DISTANCE_STEP_KM. Results are ordered (and paged
+ * with cursors, see utilis/pagination.js) by that rounded distance.
+ */
+
+const express = require("express");
+const { userAuth } = require("../middlewares/auth.js");   // Authentication middleware
+const User = require("../models/user.js");                // User model
+const Group = require("../models/group.js");              // Group model
+const Block = require("../models/block.js");              // Blocks between users
+const { notHiddenFilter, activeAccountFilter } = require("../utilis/moderation.js"); // Hidden, suspended and banned users
+const { TRUST_BADGE_FIELDS, toPublicProfiles } = require("../utilis/trust.js"); // Trust badges
+const { parseCoordinates, toPoint, fuzzyDistanceKmExpression, parseRadiusKm } = require("../utilis/geo.js");
+const { parseCursorPagination, cursorFilter, toCursorPage } = require("../utilis/pagination.js");
+const { MAX_PLACE_NAME_LENGTH } = require("../config/travel");
+const { CURRENT_LOCATION_MAX_AGE_HOURS, MAX_DESTINATION_LOCATIONS } = require("../config/geo");
+const discoveryRouter = express.Router();                 // Express router instance
+
+// Fields needed to build public profile cards (see User.toPublicProfile)
+const USER_CARD_DATA = [
+  "firstName", "lastName", "age", "gender", "image", "photos", "about",
+  "interests", "budget", "languages", "homeCity", "preferredDestinations", "availability",
+  "privacySettings", "ratingAverage", "reviewCount", ...TRUST_BADGE_FIELDS,
+];
+
+// Group fields shown in destination discovery
+const GROUP_CARD_DATA = ["groupName", "description", "destination", "travelDate", "maxMembers", "status"];
+
+// Nearest first; rounded distances tie often, _id keeps pages stable
+const DISTANCE_SORT = { distanceKm: 1, _id: 1 };
+
+/**
+ * Conditions shared by every user search: not yourself, nobody you blocked
+ * (or who blocked you), no accounts pending deletion, hidden after reports,
+ * suspended or banned
+ *
+ * @param {User} loggedUser
+ * @param {ObjectId[]} blockedUserIds - From Block.blockedUserIds()
+ */
+const discoverableUsersQuery = (loggedUser, blockedUserIds) => {
+  return {
+    $and: [
+      { _id: { $nin: [loggedUser._id, ...blockedUserIds] } },
+      { deletionScheduledFor: null },
+      notHiddenFilter(),
+      activeAccountFilter(),
+    ],
+  };
+};
+
+/**
+ * Find users around a point, nearest first
+ *
+ * @param {Object} options
+ * @param {Object} options.near - GeoJSON point
+ * @param {string} options.key - Indexed location field to search
+ * @param {number} options.radiusKm
+ * @param {Object} options.query - Extra conditions
+ * @param {Object} options.pagination - { limit, after } from parseCursorPagination
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} - Public profiles with distanceKm
+ */
+const findUsersNear = async ({ near, key, radiusKm, query, pagination }) => {
+  const rows = await User.aggregate([
+    {
+      $geoNear: {
+        near,
+        key,
+        distanceField: "distance",
+        maxDistance: radiusKm * 1000,   // meters
+        spherical: true,
+        query,
+      },
+    },
+    { $addFields: { distanceKm: fuzzyDistanceKmExpression("$distance") } },
+    { $match: cursorFilter(DISTANCE_SORT, pagination.after) }, // Continue after the previous page
+    { $sort: DISTANCE_SORT },
+    { $limit: pagination.limit + 1 },     // One extra row tells whether there is a next page
+    { $project: Object.fromEntries([...USER_CARD_DATA, "distanceKm"].map((field) => [field, 1])) },
+  ]);
+  const { items: users, nextCursor } = toCursorPage(rows, { sort: DISTANCE_SORT, limit: pagination.limit });
+
+  // Discovered users are not treated as connections, so only public fields are shown
+  const profiles = await toPublicProfiles(users.map((user) => User.hydrate(user)));
+  return {
+    items: profiles.map((profile, index) => ({ ...profile, distanceKm: users[index].distanceKm })),
+    nextCursor,
+  };
+};
+
+/**
+ * PATCH /user/location - Set Locations
+ *
+ * Every field is optional; send null to remove a location.
+ *
+ * @route PATCH /user/location
+ * @middleware userAuth
+ * @param {Object|null} req.body.home - { lat, lng }
+ * @param {Object|null} req.body.current - { lat, lng }
+ * @param {Array|null} req.body.destinations - [{ name, lat, lng }] (replaces the pinned destinations)
+ *
+ * @example
+ * PATCH /user/location
+ * { "current": { "lat": 15.4909, "lng": 73.8278 }, "destinations": [{ "name": "Hampi", "lat": 15.335, "lng": 76.46 }] }
+ */
+discoveryRouter.patch("/user/location", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+    const { home, current, destinations } = req.body || {};
+
+    if (home === undefined && current === undefined && destinations === undefined) {
+      return res.status(400).json({
+        message: "Provide home, current or destinations",
+        error: "NOTHING_TO_UPDATE"
+      });
+    }
+
+    // Step 1: Validate everything before changing anything
+    const updates = {};
+    if (home !== undefined) {
+      updates.homeLocation = home === null ? undefined : toPoint(parseCoordinates(home, "home"), { fuzz: true });
+    }
+    if (current !== undefined) {
+      updates.currentLocation = current === null
+        ? undefined
+        : toPoint(parseCoordinates(current, "current"), { fuzz: true });
+      updates.currentLocationUpdatedAt = current === null ? undefined : new Date();
+    }
+    if (destinations !== undefined) {
+      if (destinations !== null && !Array.isArray(destinations)) {
+        throw new Error("destinations must be a list of { name, lat, lng }");
+      }
+      if (destinations && destinations.length > MAX_DESTINATION_LOCATIONS) {
+        throw new Error(`You can pin at most ${MAX_DESTINATION_LOCATIONS} destinations`);
+      }
+      updates.destinationLocations = destinations === null ? undefined : destinations.map((destination, index) => {
+        const name = destination && typeof destination.name === "string" ? destination.name.trim() : "";
+        if (!name || name.length > MAX_PLACE_NAME_LENGTH) {
+          throw new Error(`destinations[${index}].name must be text of 1 to ${MAX_PLACE_NAME_LENGTH} characters`);
+        }
+        // Destinations are public places, but pins can still point at someone's address
+        return { name, location: toPoint(parseCoordinates(destination, `destinations[${index}]`), { fuzz: true }) };
+      });
+    }
+
+    // Step 2: Apply and save
+    Object.entries(updates).forEach(([field, value]) => {
+      loggedUser[field] = value;
+    });
+    await loggedUser.save();
+
+    res.status(200).json({
+      message: "Location updated successfully",
+      data: {
+        homeLocation: loggedUser.homeLocation,
+        currentLocation: loggedUser.currentLocation,
+        currentLocationUpdatedAt: loggedUser.currentLocationUpdatedAt,
+        destinationLocations: loggedUser.destinationLocations
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Location update error:", err.message);
+    res.status(400).json({
+      message: "Location update failed",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /user/nearby - Travelers Near Me
+ *
+ * Searches around your current location (if updated within
+ * CURRENT_LOCATION_MAX_AGE_HOURS), otherwise around your home, and compares it
+ * with the same kind of location of other users.
+ *
+ * @route GET /user/nearby
+ * @middleware userAuth
+ * @query {number} radiusKm - Search radius (default: 25, max: MAX_DISCOVERY_RADIUS_KM)
+ * @query {string} from - "current" or "home" to choose explicitly
+ * @query {string} cursor - pagination.nextCursor of the previous page
+ * @query {number} limit - Page size (default: 10, max: 50)
+ * @returns {Object} Public profiles with distanceKm, nearest first
+ *
+ * @example
+ * GET /user/nearby?radiusKm=10
+ */
+discoveryRouter.get("/user/nearby", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+
+    let radiusKm;
+    let pagination;
+    try {
+      radiusKm = parseRadiusKm(req.query.radiusKm);
+      pagination = parseCursorPagination(req.query, DISTANCE_SORT);
+    } catch (err) {
+      return res.status(400).json({ message: err.message, error: err.code || "INVALID_RADIUS" });
+    }
+
+    // Step 1: Pick the location to search around
+    const freshSince = new Date(Date.now() - CURRENT_LOCATION_MAX_AGE_HOURS * 60 * 60 * 1000);
+    const hasFreshCurrent = Boolean(loggedUser.currentLocation) &&
+      Boolean(loggedUser.currentLocationUpdatedAt) && loggedUser.currentLocationUpdatedAt >= freshSince;
+
+    if (req.query.from && !["current", "home"].includes(req.query.from)) {
+      return res.status(400).json({ message: "from must be current or home", error: "INVALID_FROM" });
+    }
+    const from = req.query.from || (hasFreshCurrent ? "current" : "home");
+    if ((from === "current" && !hasFreshCurrent) || (from === "home" && !loggedUser.homeLocation)) {
+      return res.status(400).json({
+        message: from === "current"
+          ? "Share your current location first (PATCH /user/location)"
+          : "Set your home location first (PATCH /user/location)",
+        error: "LOCATION_REQUIRED"
+      });
+    }
+
+    // Step 2: Search, leaving out stale current locations of others too
+    const query = discoverableUsersQuery(loggedUser, await Block.blockedUserIds(loggedUser._id));
+    if (from === "current") {
+      query.$and.push({ currentLocationUpdatedAt: { $gte: freshSince } });
+    }
+
+    const { items, nextCursor } = await findUsersNear({
+      near: from === "current" ? loggedUser.currentLocation : loggedUser.homeLocation,
+      key: from === "current" ? "currentLocation" : "homeLocation",
+      radiusKm,
+      query,
+      pagination,
+    });
+
+    res.status(200).json({
+      message: "Nearby travelers retrieved successfully",
+      from: from,
+      radiusKm: radiusKm,
+      data: items,
+      pagination: {
+        limit: pagination.limit,
+        nextCursor: nextCursor
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Nearby travelers error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve nearby travelers",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /discover/destination - Travelers and Groups Heading Near a Place
+ *
+ * Finds users with a pinned destination and open groups whose destination
+ * lies within radiusKm of the given place.
+ *
+ * @route GET /discover/destination
+ * @middleware userAuth
+ * @query {number} lat, lng - The place
+ * @query {string} destination - Or the name of one of your pinned destinations
+ * @query {number} radiusKm - Search radius (default: 25, max: MAX_DISCOVERY_RADIUS_KM)
+ * @query {string} usersCursor, groupsCursor - pagination.nextUsersCursor /
+ *        nextGroupsCursor of the previous page (the two lists page independently)
+ * @query {number} limit - Page size of each list (default: 10, max: 50)
+ * @returns {Object} { users, groups }, nearest first, each with distanceKm
+ *
+ * @example
+ * GET /discover/destination?lat=15.335&lng=76.46&radiusKm=50
+ */
+discoveryRouter.get("/discover/destination", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+
+    // Step 1: Work out the place to search around
+    let radiusKm;
+    let near;
+    let usersPagination;
+    let groupsPagination;
+    try {
+      usersPagination = parseCursorPagination({ limit: req.query.limit, cursor: req.query.usersCursor }, DISTANCE_SORT);
+      groupsPagination = parseCursorPagination({ limit: req.query.limit, cursor: req.query.groupsCursor }, DISTANCE_SORT);
+      radiusKm = parseRadiusKm(req.query.radiusKm);
+
+      if (req.query.destination) {
+        const wanted = String(req.query.destination).trim().toLowerCase();
+        const pinned = (loggedUser.destinationLocations || []).find(
+          (destination) => destination.name.toLowerCase() === wanted
+        );
+        if (!pinned) {
+          throw new Error("destination must be the name of one of your pinned destinations");
+        }
+        near = pinned.location.toObject();
+      } else {
+        near = toPoint(parseCoordinates(req.query, "The destination"));
+      }
+    } catch (err) {
+      return res.status(400).json({ message: err.message, error: err.code || "INVALID_LOCATION" });
+    }
+
+    // Step 2: Travelers heading there
+    const blockedUserIds = await Block.blockedUserIds(loggedUser._id);
+    const users = await findUsersNear({
+      near,
+      key: "destinationLocations.location",
+      radiusKm,
+      query: discoverableUsersQuery(loggedUser, blockedUserIds),
+      pagination: usersPagination,
+    });
+
+    // Step 3: Open groups heading there (not those run by someone in a block with you)
+    const groupRows = await Group.aggregate([
+      {
+        $geoNear: {
+          near,
+          key: "destinationLocation",
+          distanceField: "distance",
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: {
+            $and: [
+              { status: "open" },
+              { groupAdmin: { $nin: blockedUserIds } },
+              notHiddenFilter(),
+            ],
+          },
+        },
+      },
+      { $addFields: { distanceKm: fuzzyDistanceKmExpression("$distance") } },
+      { $match: cursorFilter(DISTANCE_SORT, groupsPagination.after) },
+      { $sort: DISTANCE_SORT },
+      { $limit: groupsPagination.limit + 1 },
+      {
+        $project: {
+          ...Object.fromEntries(GROUP_CARD_DATA.map((field) => [field, 1])),
+          memberCount: { $size: "$groupMembers" },
+          distanceKm: 1,
+        },
+      },
+    ]);
+    const groups = toCursorPage(groupRows, { sort: DISTANCE_SORT, limit: groupsPagination.limit });
+
+    res.status(200).json({
+      message: "Destination discovery retrieved successfully",
+      radiusKm: radiusKm,
+      users: users.items,
+      groups: groups.items,
+      pagination: {
+        limit: usersPagination.limit,
+        nextUsersCursor: users.nextCursor,
+        nextGroupsCursor: groups.nextCursor
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Destination discovery error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve destination discovery",
+      error: err.message
+    });
+  }
+});
+
+module.exports = discoveryRouter;
@@ -1,8 +1,23 @@
 const express = require("express");
-const { userAuth } = require("../middlewares/auth");
+const { userAuth, requireVerifiedEmail } = require("../middlewares/auth");
 const Group = require("../models/group.js");
+const Block = require("../models/block.js");
+const { notHiddenFilter, isHidden } = require("../utilis/moderation.js");
+const { TRUST_BADGE_FIELDS, withMemberBadges } = require("../utilis/trust.js");
+const { parseCoordinates, toPoint } = require("../utilis/geo.js");
+const { parseCursorPagination, cursorFilter, toCursorPage } = require("../utilis/pagination.js");
 const groupRouter = express.Router();
 
+// Populated for group admins and members and serialized with toPublicProfile
+// (see withMemberBadges), which needs privacySettings; the trust fields feed their badges
+const GROUP_MEMBER_DATA = [
+  "firstName", "lastName", "image", "privacySettings", "ratingAverage", "reviewCount",
+  ...TRUST_BADGE_FIELDS,
+].join(" ");
+
+// GET /groups lists the newest groups first (see utilis/pagination.js)
+const GROUPS_SORT = { _id: -1 };
+
 groupRouter.post("/group/create", userAuth, async (req, res) => {
   try {
     const {
@@ -12,6 +27,7 @@ groupRouter.post("/group/create", userAuth, async (req, res) => {
       destination,
       travelDate,
       status,
+      location,
     } = req.body;
 
     if (!groupName || !maxMembers || !destination || !travelDate) {
@@ -30,37 +46,55 @@ groupRouter.post("/group/create", userAuth, async (req, res) => {
       travelDate,
       groupMembers: [{ user: req.user._id, isVerified: true }],
       status,
+      // Optional { lat, lng } of the destination, used by destination discovery
+      destinationLocation: location ? toPoint(parseCoordinates(location)) : undefined,
     });
 
     await group.save();
     const populatedGroup = await Group.findById(group._id)
-      .populate("groupAdmin", "firstName lastName emailId")
-      .populate("groupMembers.user", "firstName lastName emailId");
+      .populate("groupAdmin", GROUP_MEMBER_DATA)
+      .populate("groupMembers.user", GROUP_MEMBER_DATA);
+
+    const [groupWithBadges] = await withMemberBadges([populatedGroup]);
 
     res
       .status(201)
-      .json({ group: populatedGroup, message: "Group created successfully" });
+      .json({ group: groupWithBadges, message: "Group created successfully" });
   } catch (err) {
     res.status(400).send("ERROR :" + err.message);
   }
 });
 
+// Paged with ?cursor=&limit= (default 10, max 50)
 groupRouter.get("/groups", async (req, res) => {
   try {
-    const groups = await Group.find()
-      .populate("groupMembers.user", "firstName lastName emailId")
-      .populate("groupAdmin", "firstName lastName emailId");
-    res.json(groups);
+    const { limit, after } = parseCursorPagination(req.query, GROUPS_SORT);
+
+    // Groups hidden after reports are left out until a moderator has looked at them
+    const groups = await Group.find({ $and: [notHiddenFilter(), cursorFilter(GROUPS_SORT, after)] })
+      .sort(GROUPS_SORT)
+      .limit(limit + 1)
+      .populate("groupMembers.user", GROUP_MEMBER_DATA)
+      .populate("groupAdmin", GROUP_MEMBER_DATA);
+
+    const { items, nextCursor } = toCursorPage(groups, { sort: GROUPS_SORT, limit });
+    res.json({
+      data: await withMemberBadges(items),
+      pagination: { limit, nextCursor },
+    });
   } catch (err) {
+    if (err.code === "INVALID_CURSOR") {
+      return res.status(400).json({ message: err.message, error: err.code });
+    }
     res.status(400).send("ERROR :" + err.message);
   }
 });
 
-groupRouter.post("/:groupId/join", userAuth, async (req, res) => {
+groupRouter.post("/:groupId/join", userAuth, requireVerifiedEmail, async (req, res) => {
   try {
     const { groupId } = req.params;
     const group = await Group.findById(groupId);
-    if (!group) {
+    if (!group || isHidden(group)) {
       return res.status(404).json({ message: "Group not found" });
     }
     const existingMember = group.groupMembers.find(
@@ -72,6 +106,11 @@ groupRouter.post("/:groupId/join", userAuth, async (req, res) => {
         .json({ message: "You are already a member of this group" });
     }
 
+    // Group admins can keep people they blocked out of their groups
+    if (await Block.exists({ blockerId: group.groupAdmin, blockedId: req.user._id })) {
+      return res.status(403).json({ message: "You can't join this group", error: "USER_BLOCKED" });
+    }
+
     if (group.status === "closed") {
       return res.status(400).json({ message: "Group is Closed" });
     }
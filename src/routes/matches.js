@@ -3,6 +3,7 @@
  * 
  * This module handles the core matching functionality of the Trawell application:
  * - Sending connection requests (like/pass)
+ * - Undoing the last like/pass (rewind)
  * - Reviewing and responding to connection requests (accept/reject)
  * - Managing user interactions and relationships
  * 
@@ -20,11 +21,51 @@
  */
 
 const express = require("express");
-const { userAuth } = require("../middlewares/auth.js");           // Authentication middleware
+const { userAuth, requireVerifiedEmail } = require("../middlewares/auth.js"); // Authentication middleware
 const User = require("../models/user.js");                       // User model for validation
 const ConnectionRequest = require("../models/connectionRequest.js"); // Connection request model
+const Block = require("../models/block.js");                     // Blocks between users
+const { isHidden } = require("../utilis/moderation.js");         // Reported users hidden by moderation
+const { toPublicProfiles } = require("../utilis/trust.js");       // Profile cards with trust badges
+const { UNDO_WINDOW_MINUTES, DAILY_UNDO_LIMIT } = require("../config/matching");
 const matchesRouter = express.Router();                          // Express router instance
 
+/**
+ * Turn the other user's pending like into an accepted match
+ * 
+ * Done in a single atomic update, so it works the same when both users like
+ * each other at the same time.
+ * 
+ * @param {ObjectId} fromUserId - User liking back
+ * @param {ObjectId|string} toUserId - User who liked first
+ * @returns {Promise<ConnectionRequest|null>} - The accepted request, or null if there was no pending like
+ */
+const acceptReciprocalLike = (fromUserId, toUserId) =>
+  ConnectionRequest.findOneAndUpdate(
+    { fromUserId: toUserId, toUserId: fromUserId, status: "like" },
+    { $set: { status: "accept" } },
+    { new: true }
+  );
+
+/**
+ * Remember a like/pass as the user's last swipe (see POST /request/undo)
+ * 
+ * @param {ObjectId} userId - User who swiped
+ * @param {ConnectionRequest} request - The request that was saved, or the
+ *                                      other user's accepted request for a match
+ * @param {boolean} isMatch
+ * @returns {Promise<void>}
+ */
+const recordLastSwipe = async (userId, request, isMatch) => {
+  const lastSwipe = {
+    requestId: request._id,
+    toUserId: isMatch ? request.fromUserId : request.toUserId,
+    isMatch,
+    at: new Date(),
+  };
+  await User.updateOne({ _id: userId }, { $set: { lastSwipe } });
+};
+
 /**
  * POST /request/send/:status/:toUserId - Send Connection Request
  * 
@@ -33,6 +74,7 @@ const matchesRouter = express.Router();                          // Express rout
  * 
  * @route POST /request/send/:status/:toUserId
  * @middleware userAuth - Requires authentication
+ * @middleware requireVerifiedEmail - Requires a verified email address
  * @param {string} status - The action to take: "like" or "pass"
  * @param {string} toUserId - ID of the user to send the request to
  * 
@@ -40,10 +82,13 @@ const matchesRouter = express.Router();                          // Express rout
  * 
  * BUSINESS LOGIC:
  * 1. Validate the requested status (like/pass only)
- * 2. Verify the target user exists
- * 3. Check for existing connection requests (prevent duplicates)
- * 4. Create and save the connection request
- * 5. Return appropriate response message
+ * 2. Verify the target user exists and neither user blocked the other
+ * 3. A like in return to the other user's pending like is an instant match:
+ *    their request becomes "accept" and the response says isMatch: true
+ * 4. Check for existing connection requests (prevent duplicates)
+ * 5. Create and save the connection request (the unique pairKey index
+ *    rejects a second request for the same two users, whatever the direction)
+ * 6. Return appropriate response message
  * 
  * @example
  * POST /request/send/like/507f1f77bcf86cd799439011
@@ -52,6 +97,7 @@ const matchesRouter = express.Router();                          // Express rout
 matchesRouter.post(
   "/request/send/:status/:toUserId",
   userAuth,
+  requireVerifiedEmail,
   async (req, res) => {
     try {
       // Extract data from request parameters and authenticated user
@@ -67,16 +113,59 @@ matchesRouter.post(
       }
 
       // Step 2: Verify the target user exists in the database
+      // (accounts pending deletion, hidden after reports, suspended or banned are treated as already gone)
       const findToUserId = await User.findById(toUserId);
-      if (!findToUserId) {
+      if (
+        !findToUserId ||
+        findToUserId.deletionScheduledFor ||
+        isHidden(findToUserId) ||
+        findToUserId.getAccountRestriction()
+      ) {
         return res.status(404).json({ 
           message: "User not found",
           error: "USER_NOT_FOUND"
         });
       }
 
-      // Step 3: Check for existing connection requests to prevent duplicates
+      // Blocks apply in both directions
+      if (await Block.isBlockedBetween(fromUserId, findToUserId._id)) {
+        return res.status(403).json({
+          message: "You can't send a connection request to this user",
+          error: "USER_BLOCKED"
+        });
+      }
+
+      // Responds with the match once a like has been returned
+      const sendMatch = async (match) => {
+        await recordLastSwipe(fromUserId, match, true);
+        console.log(`💞 It's a match: ${req.user.firstName} and ${findToUserId.firstName}`);
+        return res.status(200).json({
+          message: `It's a match! ${req.user.firstName} and ${findToUserId.firstName} are now connected`,
+          data: match,
+          status: "accept",
+          isMatch: true,
+          fromUser: {
+            firstName: req.user.firstName,
+            lastName: req.user.lastName
+          },
+          toUser: {
+            firstName: findToUserId.firstName,
+            lastName: findToUserId.toPublicProfile({ isConnection: true }).lastName // respects privacy settings
+          }
+        });
+      };
+
+      // Step 3: Liking someone who already liked you is a match
+      if (status === "like") {
+        const match = await acceptReciprocalLike(fromUserId, findToUserId._id);
+        if (match) {
+          return await sendMatch(match);
+        }
+      }
+
+      // Step 4: Check for existing connection requests to prevent duplicates
       // This prevents users from sending multiple requests to the same person
+      // (expired likes and passes are history and don't count)
       const existingRequest = await ConnectionRequest.findOne({
         $or: [
           {
@@ -88,6 +177,7 @@ matchesRouter.post(
             toUserId: fromUserId,
           },
         ],
+        status: { $ne: "expired" },
       });
       
       if (existingRequest) {
@@ -97,17 +187,34 @@ matchesRouter.post(
         });
       }
 
-      // Step 4: Create and save the new connection request
+      // Step 5: Create and save the new connection request
       const connectionRequest = new ConnectionRequest({
         fromUserId,    // Who sent the request
         toUserId,      // Who received the request
         status,        // The action taken (like/pass)
       });
       
-      const data = await connectionRequest.save();
+      let data;
+      try {
+        data = await connectionRequest.save();
+      } catch (err) {
+        if (err.code !== 11000) {
+          throw err;
+        }
+        // The other user's request was saved in the meantime - if it was a like, it's a match
+        const match = status === "like" ? await acceptReciprocalLike(fromUserId, findToUserId._id) : null;
+        if (match) {
+          return await sendMatch(match);
+        }
+        return res.status(400).json({
+          message: "A connection request already exists between these users",
+          error: "DUPLICATE_REQUEST"
+        });
+      }
+      await recordLastSwipe(fromUserId, data, false);
       console.log(`🔗 Connection request created: ${status} from ${req.user.firstName} to ${findToUserId.firstName}`);
 
-      // Step 5: Generate appropriate response message based on status
+      // Step 6: Generate appropriate response message based on status
       let message;
       if (status === "like") {
         message = `${req.user.firstName} is interested in connecting with ${findToUserId.firstName}`;
@@ -115,18 +222,19 @@ matchesRouter.post(
         message = `${req.user.firstName} has passed on connecting with ${findToUserId.firstName}`;
       }
 
-      // Step 6: Send success response
+      // Step 7: Send success response
       res.status(201).json({
         message: message,
         data: data,
         status: status,
+        isMatch: false,
         fromUser: {
           firstName: req.user.firstName,
           lastName: req.user.lastName
         },
         toUser: {
           firstName: findToUserId.firstName,
-          lastName: findToUserId.lastName
+          lastName: findToUserId.toPublicProfile().lastName // respects privacy settings
         }
       });
       
@@ -140,6 +248,136 @@ matchesRouter.post(
   }
 );
 
+/**
+ * Use one of the user's daily undos
+ * 
+ * A single conditional update, so parallel undos can't go over the limit.
+ * 
+ * @param {ObjectId} userId
+ * @returns {Promise<number|null>} - Undos left today, or null if none were left
+ */
+const consumeDailyUndo = async (userId) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const isToday = { $eq: ["$undoQuota.day", today] };
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, $or: [{ "undoQuota.day": { $ne: today } }, { "undoQuota.used": { $lt: DAILY_UNDO_LIMIT } }] },
+    [{ $set: { undoQuota: { day: today, used: { $cond: [isToday, { $add: ["$undoQuota.used", 1] }, 1] } } } }],
+    { new: true, projection: { undoQuota: 1 } }
+  );
+  return user ? DAILY_UNDO_LIMIT - user.undoQuota.used : null;
+};
+
+/**
+ * POST /request/undo - Undo the Last Like or Pass
+ * 
+ * Reverts the logged-in user's most recent like/pass (User.lastSwipe) so the
+ * traveler shows up in the feed again. Only possible within UNDO_WINDOW_MINUTES,
+ * while the other user has not answered it yet, and DAILY_UNDO_LIMIT times a day.
+ * Mutual likes that became a match can't be undone, and only the last swipe
+ * can be undone - never an older one.
+ * 
+ * @route POST /request/undo
+ * @middleware userAuth - Requires authentication
+ * 
+ * @returns {Object} The undone request, the restored profile card and the undos left today
+ * 
+ * @example
+ * POST /request/undo
+ * // { "message": "Your pass on Maya was undone", "data": { "undone": {...}, "profile": {...} }, "undosLeft": 2 }
+ */
+matchesRouter.post("/request/undo", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+
+    // Step 1: Find the user's most recent like/pass
+    // (read fresh: req.user was loaded before any swipe made in parallel)
+    const { lastSwipe } = await User.findById(loggedUser._id).select("lastSwipe");
+    if (!lastSwipe || !lastSwipe.requestId) {
+      return res.status(404).json({ message: "Nothing to undo", error: "NOTHING_TO_UNDO" });
+    }
+    if (lastSwipe.isMatch) {
+      return res.status(409).json({
+        message: "Your last like became a match and can't be undone",
+        error: "ALREADY_MATCHED"
+      });
+    }
+    // Checked before the status, so old (e.g. expired) requests are reported as too old
+    if (Date.now() - lastSwipe.at.getTime() > UNDO_WINDOW_MINUTES * 60 * 1000) {
+      return res.status(403).json({
+        message: `Likes and passes can only be undone within ${UNDO_WINDOW_MINUTES} minutes`,
+        error: "UNDO_WINDOW_EXPIRED"
+      });
+    }
+    const lastRequest = await ConnectionRequest.findOne({ _id: lastSwipe.requestId, fromUserId: loggedUser._id });
+    if (!lastRequest) {
+      return res.status(404).json({ message: "Nothing to undo", error: "NOTHING_TO_UNDO" });
+    }
+    if (!["like", "pass"].includes(lastRequest.status)) {
+      return res.status(409).json({
+        message: "The other traveler has already answered your request",
+        error: "ALREADY_REVIEWED"
+      });
+    }
+
+    // Step 2: Use one of today's undos
+    const undosLeft = await consumeDailyUndo(loggedUser._id);
+    if (undosLeft === null) {
+      return res.status(429).json({
+        message: `You have used all ${DAILY_UNDO_LIMIT} undos for today`,
+        error: "UNDO_LIMIT_REACHED"
+      });
+    }
+
+    // Step 3: Delete the request, unless it was answered in the meantime
+    const undone = await ConnectionRequest.findOneAndDelete({
+      _id: lastRequest._id,
+      status: { $in: ["like", "pass"] },
+    });
+    if (!undone) {
+      await User.updateOne({ _id: loggedUser._id }, { $inc: { "undoQuota.used": -1 } }); // give the undo back
+      return res.status(409).json({
+        message: "The other traveler has already answered your request",
+        error: "ALREADY_REVIEWED"
+      });
+    }
+
+    // Nothing left to undo until the next swipe
+    await User.updateOne(
+      { _id: loggedUser._id, "lastSwipe.requestId": undone._id },
+      { $unset: { lastSwipe: "" } }
+    );
+
+    // Step 4: Send back the traveler's card so the client can show it again
+    // (none if the account is going away or hidden after reports)
+    const toUser = await User.findById(undone.toUserId);
+    const canShow = toUser && !toUser.deletionScheduledFor && !isHidden(toUser);
+    const [profile] = canShow ? await toPublicProfiles([toUser]) : [null];
+    console.log(`↩️ ${loggedUser.firstName} undid their ${undone.status} on ${undone.toUserId}`);
+
+    res.status(200).json({
+      message: `Your ${undone.status} on ${toUser ? toUser.firstName : "this traveler"} was undone`,
+      data: {
+        undone: {
+          _id: undone._id,
+          toUserId: undone.toUserId,
+          status: undone.status,
+          createdAt: undone.createdAt
+        },
+        profile: profile
+      },
+      undosLeft: undosLeft
+    });
+
+  } catch (err) {
+    console.error("❌ Undo request error:", err.message);
+    res.status(400).json({
+      message: "Failed to undo",
+      error: err.message
+    });
+  }
+});
+
 /**
  * POST /request/review/:status/:requestId - Review Connection Request
  * 
@@ -200,6 +438,14 @@ matchesRouter.post(
         });
       }
 
+      // A request from someone either side has blocked can't be answered
+      if (await Block.isBlockedBetween(loggedUser._id, connectionRequest.fromUserId)) {
+        return res.status(403).json({
+          message: "You can't respond to a request from this user",
+          error: "USER_BLOCKED"
+        });
+      }
+
       // Step 4: Get the sender's information for the response message
       const fromUser = await User.findById(connectionRequest.fromUserId).select(
         "firstName lastName"
@@ -256,6 +502,7 @@ module.exports = matchesRouter;
  * 3. 🤝 CONNECTION REVIEW:
  *    - Users receive notifications of "like" requests
  *    - They can accept (mutual connection) or reject
+ *    - Liking back someone who liked you accepts their request right away ("it's a match")
  *    - Accepted requests create mutual connections
  * 
  * 4. 🔗 CONNECTION MANAGEMENT:
@@ -289,9 +536,8 @@ module.exports = matchesRouter;
  *    - Prevent spam and abuse
  * 
  * 2. 🔒 Enhanced Security:
- *    - Request expiration for old "like" requests
- *    - User blocking functionality
- *    - Report inappropriate behavior
+ *    - (Done) Unanswered likes expire and passes have a cool-down
+ *      (jobs/connectionRequestExpiry.js)
  * 
  * 3. 🔒 Performance Optimization:
  *    - Database indexing for connection queries
@@ -313,7 +559,7 @@ module.exports = matchesRouter;
  * ConnectionRequest Schema:
  * - fromUserId: References User (who sent the request)
  * - toUserId: References User (who received the request)
- * - status: String (like, pass, accept, reject)
+ * - status: String (like, pass, accept, reject, expired)
  * - timestamps: Created and updated timestamps
  * 
  * User Schema:
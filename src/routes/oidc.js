@@ -0,0 +1,313 @@
+/**
+ * OpenID Connect Login Routes
+ *
+ * Lets users sign in with an external identity provider (Google, Microsoft,
+ * a company IdP, or a local mock IdP during development) instead of a
+ * Trawell password. Providers are configured in config/oidc.js.
+ *
+ * FLOW (authorization code + PKCE):
+ * 1. GET /auth/oidc/:provider/start
+ *    - creates state, nonce and a PKCE code_verifier
+ *    - stores them in a short-lived signed cookie
+ *    - redirects the browser to the provider
+ * 2. GET /auth/oidc/:provider/callback?code=...&state=...
+ *    - checks state against the cookie
+ *    - exchanges the code (with the code_verifier) for an ID token
+ *    - verifies the ID token and finds, links or creates the Trawell account
+ *    - starts a normal session and redirects back to the frontend
+ *
+ * ACCOUNT LINKING:
+ * - An identity already linked to a user logs that user in
+ * - Otherwise a user with the same email is linked, but only if the provider
+ *   says the email is verified
+ * - Otherwise a new account without a local password is created
+ */
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user");
+const ApiKey = require("../models/apiKey");
+const {
+  JWT_SECRET,
+  COOKIE_OPTIONS,
+  MFA_TOKEN_TTL_MINUTES,
+  MFA_COOKIE,
+  MFA_COOKIE_OPTIONS,
+} = require("../config/auth");
+const {
+  OIDC_PROVIDERS,
+  OIDC_SUCCESS_REDIRECT,
+  OIDC_FAILURE_REDIRECT,
+} = require("../config/oidc");
+const { createSession, setAuthCookies, revokeAllSessions } = require("../utilis/session");
+const { recordAuditEvent } = require("../utilis/audit");
+const {
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+} = require("../utilis/oidc");
+
+const oidcRouter = express.Router();
+
+// Cookie holding the in-flight login (state, nonce, code_verifier)
+const TRANSACTION_COOKIE = "oidc_tx";
+const TRANSACTION_TTL_MINUTES = 10;
+
+// The provider redirects back with a cross-site top-level navigation, which
+// only carries "lax" cookies - "strict" would drop the transaction cookie
+const TRANSACTION_COOKIE_OPTIONS = {
+  ...COOKIE_OPTIONS,
+  sameSite: "lax",
+  path: "/auth/oidc",
+};
+
+/**
+ * Append query parameters to a redirect target
+ */
+const withParams = (target, params) => {
+  const url = new URL(target);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Pick a first name that satisfies the User schema (4-40 characters)
+ *
+ * @param {Object} claims - Verified ID token claims
+ * @returns {string}
+ */
+const pickFirstName = (claims) => {
+  const candidates = [
+    claims.given_name,
+    claims.name,
+    claims.preferred_username,
+    claims.email && claims.email.split("@")[0],
+  ];
+  const name = candidates.find((value) => value && value.trim().length >= 4);
+  return name ? name.trim().slice(0, 40) : "Traveler";
+};
+
+/**
+ * Find, link or create the Trawell account for a provider identity
+ *
+ * @param {Object} req - Express request (for the audit log)
+ * @param {Object} provider - Provider config
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<User>}
+ * @throws {Error} - error.code OIDC_EMAIL_REQUIRED / OIDC_EMAIL_NOT_VERIFIED
+ */
+const findOrCreateUser = async (req, provider, claims) => {
+  // Step 1: Identity already linked
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: { provider: provider.name, subject: claims.sub } },
+  });
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  // Step 2: Everything else relies on the email, which must be verified by the provider
+  const email = claims.email && String(claims.email).toLowerCase();
+  if (!email) {
+    const error = new Error("The identity provider did not share an email address");
+    error.code = "OIDC_EMAIL_REQUIRED";
+    throw error;
+  }
+  if (claims.email_verified !== true && claims.email_verified !== "true") {
+    const error = new Error("The identity provider has not verified this email address");
+    error.code = "OIDC_EMAIL_NOT_VERIFIED";
+    throw error;
+  }
+
+  const identity = { provider: provider.name, subject: claims.sub, email };
+
+  // Step 3: Link to an existing account with the same email
+  const existingUser = await User.findOne({ emailId: email });
+  if (existingUser) {
+    existingUser.identities.push(identity);
+
+    // Someone may have registered this email without owning it ("pre-hijacking").
+    // The provider just proved ownership, so drop the unverified password and
+    // any sessions or API keys it created before handing the account over.
+    if (!existingUser.isEmailVerified) {
+      existingUser.password = undefined;
+      existingUser.isEmailVerified = true;
+      await revokeAllSessions(existingUser._id, "account_linked");
+      await ApiKey.revokeAllForUser(existingUser._id);
+    }
+
+    await existingUser.save();
+    console.log(`🔗 Linked ${provider.name} identity to ${existingUser.emailId}`);
+    recordAuditEvent(req, "oidc.linked", {
+      userId: existingUser._id,
+      metadata: { provider: provider.name, passwordRemoved: !existingUser.password }
+    });
+    return existingUser;
+  }
+
+  // Step 4: Create a new passwordless account
+  const newUser = new User({
+    firstName: pickFirstName(claims),
+    lastName: claims.family_name || "",
+    emailId: email,
+    isEmailVerified: true,
+    identities: [identity],
+  });
+  await newUser.save();
+  console.log(`✅ New user created via ${provider.name}:`, newUser.emailId);
+  recordAuditEvent(req, "signup", { userId: newUser._id, metadata: { provider: provider.name } });
+  return newUser;
+};
+
+/**
+ * GET /auth/oidc/providers - List Enabled Identity Providers
+ *
+ * @route GET /auth/oidc/providers
+ * @returns {Object} Providers the frontend can offer as login buttons
+ */
+oidcRouter.get("/auth/oidc/providers", (req, res) => {
+  res.status(200).json({
+    data: Object.values(OIDC_PROVIDERS).map((provider) => ({
+      name: provider.name,
+      displayName: provider.displayName,
+      loginUrl: `/auth/oidc/${provider.name}/start`,
+    })),
+  });
+});
+
+/**
+ * GET /auth/oidc/:provider/start - Begin Provider Login
+ *
+ * @route GET /auth/oidc/:provider/start
+ * @param {string} provider - Provider name from OIDC_PROVIDERS
+ * @returns Redirect (302) to the provider's authorization endpoint
+ */
+oidcRouter.get("/auth/oidc/:provider/start", async (req, res) => {
+  try {
+    const provider = OIDC_PROVIDERS[req.params.provider];
+    if (!provider) {
+      return res.status(404).json({
+        message: "Unknown identity provider",
+        error: "OIDC_UNKNOWN_PROVIDER"
+      });
+    }
+
+    const request = createAuthorizationRequest();
+
+    // Remember the values needed by the callback in a signed, short-lived cookie
+    const transaction = jwt.sign(
+      {
+        purpose: "oidc",
+        provider: provider.name,
+        state: request.state,
+        nonce: request.nonce,
+        codeVerifier: request.codeVerifier,
+      },
+      JWT_SECRET,
+      { expiresIn: `${TRANSACTION_TTL_MINUTES}m` }
+    );
+    res.cookie(TRANSACTION_COOKIE, transaction, {
+      ...TRANSACTION_COOKIE_OPTIONS,
+      expires: new Date(Date.now() + TRANSACTION_TTL_MINUTES * 60 * 1000),
+    });
+
+    res.redirect(await buildAuthorizationUrl(provider, request));
+
+  } catch (err) {
+    console.error("❌ OIDC start error:", err.message);
+    res.status(502).json({
+      message: "Could not reach the identity provider",
+      error: err.code || "OIDC_ERROR"
+    });
+  }
+});
+
+/**
+ * GET /auth/oidc/:provider/callback - Finish Provider Login
+ *
+ * @route GET /auth/oidc/:provider/callback
+ * @query {string} code - Authorization code
+ * @query {string} state - Must match the value stored at /start
+ * @returns Redirect to OIDC_SUCCESS_REDIRECT (session cookies set), or to
+ *          OIDC_FAILURE_REDIRECT with ?error=CODE (or ?mfaRequired=true for 2FA
+ *          accounts, with the mfa pending token in the MFA_COOKIE cookie)
+ */
+oidcRouter.get("/auth/oidc/:provider/callback", async (req, res) => {
+  const fail = (code) => res.redirect(withParams(OIDC_FAILURE_REDIRECT, { error: code }));
+
+  // The transaction cookie is single-use whatever the outcome
+  const transactionToken = req.cookies[TRANSACTION_COOKIE];
+  res.clearCookie(TRANSACTION_COOKIE, TRANSACTION_COOKIE_OPTIONS);
+
+  try {
+    const provider = OIDC_PROVIDERS[req.params.provider];
+    if (!provider) {
+      return fail("OIDC_UNKNOWN_PROVIDER");
+    }
+
+    // The user cancelled or the provider refused
+    if (req.query.error) {
+      console.error(`❌ OIDC provider ${provider.name} returned error:`, req.query.error);
+      return fail("OIDC_ACCESS_DENIED");
+    }
+
+    // Step 1: Check the transaction cookie and the state (CSRF protection)
+    let transaction;
+    try {
+      transaction = jwt.verify(transactionToken, JWT_SECRET);
+    } catch (tokenErr) {
+      transaction = null;
+    }
+    if (
+      !transaction ||
+      transaction.purpose !== "oidc" ||
+      transaction.provider !== provider.name ||
+      !req.query.state ||
+      transaction.state !== req.query.state
+    ) {
+      return fail("OIDC_INVALID_STATE");
+    }
+
+    // Step 2: Exchange the code and verify the ID token
+    const tokens = await exchangeCode(provider, String(req.query.code || ""), transaction.codeVerifier);
+    const claims = await verifyIdToken(provider, tokens.id_token, transaction.nonce);
+
+    // Step 3: Resolve the Trawell account
+    const user = await findOrCreateUser(req, provider, claims);
+
+    const restriction = user.getAccountRestriction();
+    if (restriction) {
+      recordAuditEvent(req, "login.failure", {
+        userId: user._id,
+        metadata: { method: `oidc:${provider.name}`, reason: restriction.error }
+      });
+      return fail(restriction.error);
+    }
+
+    // Step 4: Two-factor accounts still need their second factor
+    if (user.twoFactorEnabled) {
+      const mfaToken = await user.getMfaPendingToken();
+      res.cookie(MFA_COOKIE, mfaToken, {
+        ...MFA_COOKIE_OPTIONS,
+        expires: new Date(Date.now() + MFA_TOKEN_TTL_MINUTES * 60 * 1000),
+      });
+      return res.redirect(withParams(OIDC_FAILURE_REDIRECT, { mfaRequired: "true" }));
+    }
+
+    // Step 5: Start a regular session
+    const { accessToken, refreshToken, session } = await createSession(user, req);
+    setAuthCookies(res, { accessToken, refreshToken });
+    recordAuditEvent(req, "login.success", {
+      userId: user._id,
+      metadata: { method: `oidc:${provider.name}`, sessionId: session._id }
+    });
+
+    res.redirect(OIDC_SUCCESS_REDIRECT);
+
+  } catch (err) {
+    console.error("❌ OIDC callback error:", err.message);
+    fail(err.code && String(err.code).startsWith("OIDC_") ? err.code : "OIDC_ERROR");
+  }
+});
+
+module.exports = oidcRouter;
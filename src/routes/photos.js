@@ -0,0 +1,314 @@
+/**
+ * Photo Gallery Routes
+ *
+ * Lets users upload up to MAX_PHOTOS_PER_USER profile photos, reorder them,
+ * choose the primary one and delete them. The primary photo is also the
+ * user's `image`, which is what feeds, connections and groups display.
+ *
+ * UPLOADS:
+ * - multipart/form-data with one or more files in the "photos" field
+ * - JPEG, PNG or WebP only, at most MAX_PHOTO_SIZE_MB each
+ * - the declared MIME type must match the file's actual signature
+ * - files are stored through utilis/storage.js (local disk by default)
+ *
+ * Every change goes through User.updatePhotos, a single conditional update,
+ * so parallel requests never overwrite each other's photos.
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { userAuth } = require("../middlewares/auth.js");         // Authentication middleware
+const { imageUpload, findInvalidImage } = require("../middlewares/upload.js"); // Multipart image parsing
+const User = require("../models/user.js");                      // User model
+const { saveFile, removeFile } = require("../utilis/storage.js"); // File storage adapter
+const { recordAuditEvent } = require("../utilis/audit.js");      // Security audit log
+const { MAX_PHOTOS_PER_USER, ALLOWED_PHOTO_TYPES } = require("../config/uploads");
+const photosRouter = express.Router();                          // Express router instance
+
+/**
+ * Shape the gallery for the API response
+ */
+const toGalleryResponse = (user) => ({
+  photos: user.photos.map((photo) => ({
+    _id: photo._id,
+    url: photo.url,
+    isPrimary: photo.isPrimary,
+    uploadedAt: photo.uploadedAt,
+  })),
+  image: user.image,
+  maxPhotos: MAX_PHOTOS_PER_USER,
+});
+
+/**
+ * GET /user/photos - List Own Photos
+ *
+ * @route GET /user/photos
+ * @middleware userAuth
+ * @returns {Object} Photos in display order and the resulting profile image
+ */
+photosRouter.get("/user/photos", userAuth, async (req, res) => {
+  res.status(200).json({
+    message: "Photos retrieved successfully",
+    data: toGalleryResponse(req.user)
+  });
+});
+
+/**
+ * POST /user/photos - Upload Photos
+ *
+ * New photos are added at the end of the gallery. The first photo a user
+ * uploads becomes their primary photo.
+ *
+ * @route POST /user/photos
+ * @middleware userAuth
+ * @param {File[]} photos - multipart/form-data field with the image files
+ *
+ * @example
+ * curl -X POST -b cookies.txt -F "photos=@beach.jpg" -F "photos=@hike.png" \
+ *   http://localhost:7777/user/photos
+ */
+photosRouter.post("/user/photos", userAuth, imageUpload([{ name: "photos", maxCount: MAX_PHOTOS_PER_USER }]), async (req, res) => {
+  const files = req.files.photos || [];
+  const stored = [];
+
+  try {
+    // Step 1: Validate the files
+    if (files.length === 0) {
+      return res.status(400).json({
+        message: 'Attach at least one image in the "photos" field',
+        error: "NO_FILES"
+      });
+    }
+    const fakeFile = findInvalidImage(files);
+    if (fakeFile) {
+      return res.status(415).json({
+        message: `${fakeFile.originalname} is not a valid ${ALLOWED_PHOTO_TYPES[fakeFile.mimetype].toUpperCase()} image`,
+        error: "INVALID_FILE_TYPE"
+      });
+    }
+    if (req.user.photos.length + files.length > MAX_PHOTOS_PER_USER) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_PHOTOS_PER_USER} photos (you have ${req.user.photos.length})`,
+        error: "PHOTO_LIMIT_REACHED"
+      });
+    }
+
+    // Step 2: Store the files
+    for (const file of files) {
+      const { key, url } = await saveFile({
+        buffer: file.buffer,
+        contentType: file.mimetype,
+        extension: ALLOWED_PHOTO_TYPES[file.mimetype],
+        folder: req.user._id.toString(),
+      });
+      stored.push({
+        _id: new mongoose.Types.ObjectId(),
+        key,
+        url,
+        contentType: file.mimetype,
+        size: file.size,
+        isPrimary: false,
+        uploadedAt: new Date(),
+      });
+    }
+
+    // Step 3: Append them and pick the primary photo (the first one a user uploads)
+    // The condition keeps parallel uploads within the limit
+    const updated = await User.updatePhotos(
+      {
+        _id: req.user._id,
+        [`photos.${MAX_PHOTOS_PER_USER - stored.length}`]: { $exists: false },
+      },
+      { $concatArrays: [{ $ifNull: ["$photos", []] }, { $literal: stored }] }
+    );
+    if (!updated) {
+      await Promise.all(stored.map((photo) => removeFile(photo.key)));
+      return res.status(400).json({
+        message: `You can have at most ${MAX_PHOTOS_PER_USER} photos`,
+        error: "PHOTO_LIMIT_REACHED"
+      });
+    }
+
+    recordAuditEvent(req, "profile.updated", { metadata: { photos: "uploaded", count: stored.length } });
+
+    res.status(201).json({
+      message: `${stored.length} photo(s) uploaded successfully`,
+      data: toGalleryResponse(updated)
+    });
+
+  } catch (err) {
+    // Do not leave orphaned files behind
+    await Promise.all(stored.map((photo) => removeFile(photo.key).catch(() => {})));
+    console.error("❌ Photo upload error:", err.message);
+    res.status(500).json({
+      message: "Photo upload failed",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * PATCH /user/photos/order - Reorder Photos
+ *
+ * @route PATCH /user/photos/order
+ * @middleware userAuth
+ * @param {string[]} req.body.photoIds - Every photo id, in the new order
+ */
+photosRouter.patch("/user/photos/order", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+    const { photoIds } = req.body;
+
+    const currentIds = loggedUser.photos.map((photo) => photo._id.toString());
+    const isPermutation =
+      Array.isArray(photoIds) &&
+      photoIds.length === currentIds.length &&
+      new Set(photoIds.map(String)).size === currentIds.length &&
+      photoIds.every((id) => currentIds.includes(String(id)));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        message: "photoIds must list every photo id exactly once",
+        error: "INVALID_ORDER"
+      });
+    }
+
+    // Only applies while the gallery still holds exactly these photos
+    const orderedIds = photoIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+    const updated = await User.updatePhotos(
+      { _id: loggedUser._id, photos: { $size: orderedIds.length }, "photos._id": { $all: orderedIds } },
+      {
+        $map: {
+          input: { $literal: orderedIds },
+          as: "photoId",
+          in: { $first: { $filter: { input: "$photos", cond: { $eq: ["$$this._id", "$$photoId"] } } } },
+        },
+      }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        message: "Your photos changed in the meantime. Reload them and try again.",
+        error: "PHOTOS_CHANGED"
+      });
+    }
+
+    res.status(200).json({
+      message: "Photos reordered successfully",
+      data: toGalleryResponse(updated)
+    });
+
+  } catch (err) {
+    console.error("❌ Photo reorder error:", err.message);
+    res.status(400).json({
+      message: "Failed to reorder photos",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * PATCH /user/photos/:photoId/primary - Choose the Primary Photo
+ *
+ * @route PATCH /user/photos/:photoId/primary
+ * @middleware userAuth
+ * @param {string} photoId - Photo to show as the profile picture
+ */
+photosRouter.patch("/user/photos/:photoId/primary", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+    const photo = loggedUser.photos.id(req.params.photoId);
+
+    if (!photo) {
+      return res.status(404).json({
+        message: "Photo not found",
+        error: "PHOTO_NOT_FOUND"
+      });
+    }
+
+    const updated = await User.updatePhotos(
+      { _id: loggedUser._id, "photos._id": photo._id },
+      {
+        $map: {
+          input: "$photos",
+          in: { $mergeObjects: ["$$this", { isPrimary: { $eq: ["$$this._id", { $literal: photo._id }] } }] },
+        },
+      }
+    );
+    if (!updated) {
+      return res.status(404).json({
+        message: "Photo not found",
+        error: "PHOTO_NOT_FOUND"
+      });
+    }
+
+    recordAuditEvent(req, "profile.updated", { metadata: { photos: "primary_changed" } });
+
+    res.status(200).json({
+      message: "Primary photo updated",
+      data: toGalleryResponse(updated)
+    });
+
+  } catch (err) {
+    console.error("❌ Primary photo error:", err.message);
+    res.status(400).json({
+      message: "Failed to set primary photo",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /user/photos/:photoId - Delete a Photo
+ *
+ * Deleting the primary photo promotes the next one; deleting the last photo
+ * restores the default avatar.
+ *
+ * @route DELETE /user/photos/:photoId
+ * @middleware userAuth
+ */
+photosRouter.delete("/user/photos/:photoId", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+    const photo = loggedUser.photos.id(req.params.photoId);
+
+    if (!photo) {
+      return res.status(404).json({
+        message: "Photo not found",
+        error: "PHOTO_NOT_FOUND"
+      });
+    }
+
+    const { key } = photo;
+    const updated = await User.updatePhotos(
+      { _id: loggedUser._id, "photos._id": photo._id },
+      { $filter: { input: "$photos", cond: { $ne: ["$$this._id", { $literal: photo._id }] } } }
+    );
+    if (!updated) {
+      return res.status(404).json({
+        message: "Photo not found",
+        error: "PHOTO_NOT_FOUND"
+      });
+    }
+
+    recordAuditEvent(req, "profile.updated", { metadata: { photos: "deleted" } });
+
+    // Remove the file only once no document references it any more
+    removeFile(key).catch((removeErr) => {
+      console.error("❌ Failed to remove photo file:", removeErr.message);
+    });
+
+    res.status(200).json({
+      message: "Photo deleted",
+      data: toGalleryResponse(updated)
+    });
+
+  } catch (err) {
+    console.error("❌ Photo delete error:", err.message);
+    res.status(400).json({
+      message: "Failed to delete photo",
+      error: err.message
+    });
+  }
+});
+
+module.exports = photosRouter;
@@ -0,0 +1,156 @@
+/**
+ * Report Routes
+ *
+ * Lets users report other users and groups for breaking the rules.
+ * Reports go to the moderation queue (GET /admin/reports, see routes/admin.js);
+ * the reporter gets an email once a moderator has resolved their report.
+ *
+ * RULES:
+ * - Only users with a verified email can report, so throwaway signups can't
+ *   hide someone by reaching the auto-hide threshold
+ * - You can't report yourself or a group you administer
+ * - One open report per target and reporter
+ * - Enough distinct reporters hide the target automatically (utilis/moderation.js)
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { userAuth, requireVerifiedEmail } = require("../middlewares/auth.js"); // Authentication middleware
+const Report = require("../models/report.js");              // Report model
+const { findReportTarget, applyAutoHide } = require("../utilis/moderation.js");
+const { recordAuditEvent } = require("../utilis/audit.js");  // Security audit log
+const { REPORT_TARGET_TYPES, REPORT_REASONS } = require("../config/moderation");
+const reportsRouter = express.Router();                     // Express router instance
+
+// Fields a reporter sees of their own reports (never the moderator's note)
+const REPORT_SAFE_DATA = ["targetType", "targetId", "reason", "details", "status", "resolvedAt", "createdAt"];
+
+/**
+ * POST /reports - Report a User or Group
+ *
+ * @route POST /reports
+ * @middleware userAuth, requireVerifiedEmail
+ * @param {string} req.body.targetType - "user" or "group"
+ * @param {string} req.body.targetId - Id of the reported user or group
+ * @param {string} req.body.reason - One of REPORT_REASONS (see config/moderation.js)
+ * @param {string} req.body.details - Optional description of what happened
+ *
+ * @example
+ * POST /reports
+ * { "targetType": "user", "targetId": "507f1f77bcf86cd799439011", "reason": "scam",
+ *   "details": "Asked me to pay for the trip upfront" }
+ */
+reportsRouter.post("/reports", userAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+    const { targetType, targetId, reason, details } = req.body;
+
+    // Step 1: Validate the input
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({
+        message: `targetType must be one of: ${REPORT_TARGET_TYPES.join(", ")}`,
+        error: "INVALID_TARGET_TYPE"
+      });
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        message: `reason must be one of: ${REPORT_REASONS.join(", ")}`,
+        error: "INVALID_REASON"
+      });
+    }
+
+    // Step 2: The target must exist and must not be the reporter's own
+    const target = mongoose.Types.ObjectId.isValid(targetId)
+      ? await findReportTarget(targetType, targetId)
+      : null;
+    if (!target) {
+      return res.status(404).json({
+        message: `Reported ${targetType} not found`,
+        error: "TARGET_NOT_FOUND"
+      });
+    }
+    const isOwnTarget = targetType === "user"
+      ? target._id.equals(loggedUser._id)
+      : target.groupAdmin.equals(loggedUser._id);
+    if (isOwnTarget) {
+      return res.status(400).json({
+        message: targetType === "user" ? "You can't report yourself" : "You can't report your own group",
+        error: "SELF_REPORT"
+      });
+    }
+
+    // Step 3: Save the report (the unique index rejects a second open report)
+    const report = new Report({
+      reporterId: loggedUser._id,
+      targetType,
+      targetId: target._id,
+      reason,
+      details,
+    });
+    await report.save();
+
+    console.log(`🚩 ${loggedUser.emailId} reported ${targetType} ${target._id} (${reason})`);
+    recordAuditEvent(req, "report.created", {
+      metadata: { reportId: report._id, targetType, targetId: target._id, reason }
+    });
+
+    // Step 4: Hide the target if enough people reported it
+    await applyAutoHide(targetType, target._id);
+
+    res.status(201).json({
+      message: "Thanks for your report. Our moderators will review it.",
+      data: {
+        _id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        message: "You have already reported this and it is still being reviewed",
+        error: "DUPLICATE_REPORT"
+      });
+    }
+
+    console.error("❌ Create report error:", err.message);
+    res.status(400).json({
+      message: "Failed to submit report",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /reports - My Reports
+ *
+ * @route GET /reports
+ * @middleware userAuth
+ * @returns {Object} Reports filed by the logged-in user, newest first
+ */
+reportsRouter.get("/reports", userAuth, async (req, res) => {
+  try {
+    const reports = await Report.find({ reporterId: req.user._id })
+      .select(REPORT_SAFE_DATA)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: "Reports retrieved successfully",
+      data: reports,
+      count: reports.length
+    });
+
+  } catch (err) {
+    console.error("❌ List reports error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve reports",
+      error: err.message
+    });
+  }
+});
+
+module.exports = reportsRouter;
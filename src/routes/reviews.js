@@ -0,0 +1,369 @@
+/**
+ * Review Routes
+ *
+ * Post-trip reviews between members of a group:
+ * - POST /groups/:groupId/reviews: review a fellow member once the trip is over
+ * - GET /user/:userId/reviews: a user's reviews and rating
+ * - PATCH / DELETE /reviews/:reviewId: the reviewer can change their mind
+ *   within REVIEW_EDIT_WINDOW_DAYS (moderators can delete at any time, from a
+ *   login session - like every moderation action, never with an API key)
+ * - POST /reviews/:reviewId/reply: the reviewee answers once
+ *
+ * WHO CAN REVIEW WHOM:
+ * Both users must be accepted (isVerified) members of the group, the
+ * group's travelDate must have passed, and neither may have blocked the other.
+ *
+ * Reviews of a user are only listed to those who may see their profile
+ * (same rules as GET /user/:id).
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { userAuth, requireVerifiedEmail } = require("../middlewares/auth.js"); // Authentication middleware
+const Review = require("../models/review.js");           // Review model
+const Group = require("../models/group.js");             // Group model
+const User = require("../models/user.js");               // User model
+const Block = require("../models/block.js");             // Blocks between users
+const { notHiddenFilter } = require("../utilis/moderation.js"); // Reported users hidden by moderation
+const { isTripCompleted } = require("../utilis/trust.js");
+const { recordAuditEvent } = require("../utilis/audit.js");  // Security audit log
+const { REVIEW_EDIT_WINDOW_DAYS } = require("../config/reviews");
+const reviewsRouter = express.Router();                  // Express router instance
+
+// Staff can remove abusive reviews regardless of the edit window
+const MODERATOR_ROLES = ["moderator", "admin"];
+
+/**
+ * Is the reviewer still allowed to edit or delete the review?
+ */
+const isWithinEditWindow = (review) =>
+  Date.now() - review.createdAt.getTime() <= REVIEW_EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Shape a review for API responses
+ *
+ * @param {Review} review - With reviewerId populated (firstName, image, privacySettings)
+ */
+const toReviewResponse = (review) => {
+  // Respects the reviewer's privacy settings for the picture; null if the account is gone
+  const profile = review.reviewerId ? review.reviewerId.toPublicProfile() : null;
+
+  return {
+    _id: review._id,
+    groupId: review.groupId,
+    reviewer: profile && { _id: profile._id, firstName: profile.firstName, image: profile.image },
+    revieweeId: review.revieweeId,
+    rating: review.rating,
+    text: review.text,
+    reply: review.reply,
+    editedAt: review.editedAt,
+    createdAt: review.createdAt,
+  };
+};
+
+/**
+ * POST /groups/:groupId/reviews - Review a Travel Companion
+ *
+ * @route POST /groups/:groupId/reviews
+ * @middleware userAuth, requireVerifiedEmail
+ * @param {string} req.body.revieweeId - Fellow group member
+ * @param {number} req.body.rating - 1 to 5 stars
+ * @param {string} req.body.text - Optional review text
+ *
+ * @example
+ * POST /groups/64f1.../reviews
+ * { "revieweeId": "507f1f77bcf86cd799439011", "rating": 5, "text": "Great trip planner!" }
+ */
+reviewsRouter.post("/groups/:groupId/reviews", userAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+    const { revieweeId, rating, text } = req.body;
+
+    // Step 1: Find the group and check the trip is over
+    const group = mongoose.Types.ObjectId.isValid(req.params.groupId)
+      ? await Group.findById(req.params.groupId)
+      : null;
+    if (!group) {
+      return res.status(404).json({ message: "Group not found", error: "GROUP_NOT_FOUND" });
+    }
+    if (!isTripCompleted(group)) {
+      return res.status(400).json({
+        message: "You can review your travel companions once the trip is over",
+        error: "TRIP_NOT_COMPLETED"
+      });
+    }
+
+    // Step 2: Both users must have been accepted members of the group
+    const isMember = (userId) => group.groupMembers.some(
+      (member) => member.isVerified && member.user && member.user.equals(userId)
+    );
+    if (!isMember(loggedUser._id)) {
+      return res.status(403).json({
+        message: "Only members of this trip can leave reviews",
+        error: "NOT_A_MEMBER"
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(revieweeId) || !isMember(revieweeId)) {
+      return res.status(400).json({
+        message: "You can only review members of this trip",
+        error: "INVALID_REVIEWEE"
+      });
+    }
+    if (loggedUser._id.equals(revieweeId)) {
+      return res.status(400).json({
+        message: "You can't review yourself",
+        error: "SELF_REVIEW"
+      });
+    }
+
+    // Blocks apply in both directions
+    if (await Block.isBlockedBetween(loggedUser._id, revieweeId)) {
+      return res.status(403).json({
+        message: "You can't review this user",
+        error: "USER_BLOCKED"
+      });
+    }
+
+    // Step 3: Save the review (the unique index rejects a second one)
+    const review = new Review({
+      groupId: group._id,
+      reviewerId: loggedUser._id,
+      revieweeId,
+      rating,
+      text,
+    });
+    await review.save();
+    await Review.refreshRating(review.revieweeId);
+
+    console.log(`⭐ ${loggedUser.emailId} reviewed ${revieweeId} (${rating}/5) for group ${group._id}`);
+
+    res.status(201).json({
+      message: "Review posted",
+      data: review
+    });
+
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        message: "You have already reviewed this person for this trip",
+        error: "DUPLICATE_REVIEW"
+      });
+    }
+
+    console.error("❌ Create review error:", err.message);
+    res.status(400).json({
+      message: "Failed to post review",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /user/:userId/reviews - Reviews About a User
+ *
+ * @route GET /user/:userId/reviews
+ * @middleware userAuth
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Reviews per page (default: 10, max: 50)
+ * @returns {Object} Rating summary and the reviews, newest first (404 for users
+ *                   whose profile the caller can't see, as in GET /user/:id)
+ */
+reviewsRouter.get("/user/:userId/reviews", userAuth, async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    page = page < 1 ? 1 : page;
+    let limit = parseInt(req.query.limit) || 10;
+    limit = limit > 50 ? 50 : limit;
+    limit = limit < 1 ? 10 : limit;
+    const skip = (page - 1) * limit;
+
+    // Banned, hidden and blocked users and accounts pending deletion are treated
+    // as not found, except for the user's own reviews
+    const loggedUser = req.user;
+    const isSelf = req.params.userId === loggedUser._id.toString();
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findOne(isSelf ? { _id: loggedUser._id } : {
+          _id: req.params.userId,
+          accountStatus: { $ne: "banned" },
+          deletionScheduledFor: null,
+          ...notHiddenFilter(),
+        }).select("ratingAverage reviewCount")
+      : null;
+    if (!user || (!isSelf && await Block.isBlockedBetween(loggedUser._id, user._id))) {
+      return res.status(404).json({ message: "User not found", error: "USER_NOT_FOUND" });
+    }
+
+    const reviews = await Review.find({ revieweeId: user._id })
+      .populate("reviewerId", "firstName image privacySettings")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      message: "Reviews retrieved successfully",
+      rating: { average: user.ratingAverage, count: user.reviewCount },
+      data: reviews.map(toReviewResponse),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: user.reviewCount
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ List reviews error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve reviews",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * PATCH /reviews/:reviewId - Edit a Review
+ *
+ * @route PATCH /reviews/:reviewId
+ * @middleware userAuth
+ * @param {number} req.body.rating - New star rating (optional)
+ * @param {string} req.body.text - New text (optional)
+ */
+reviewsRouter.patch("/reviews/:reviewId", userAuth, async (req, res) => {
+  try {
+    const { rating, text } = req.body;
+
+    const review = await Review.findOne({ _id: req.params.reviewId, reviewerId: req.user._id });
+    if (!review) {
+      return res.status(404).json({ message: "Review not found", error: "REVIEW_NOT_FOUND" });
+    }
+    if (!isWithinEditWindow(review)) {
+      return res.status(403).json({
+        message: `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_DAYS} days of posting`,
+        error: "EDIT_WINDOW_CLOSED"
+      });
+    }
+    if (rating === undefined && text === undefined) {
+      return res.status(400).json({
+        message: "Provide a new rating or text",
+        error: "NOTHING_TO_UPDATE"
+      });
+    }
+
+    if (rating !== undefined) review.rating = rating;
+    if (text !== undefined) review.text = text;
+    review.editedAt = new Date();
+    await review.save();
+    await Review.refreshRating(review.revieweeId);
+
+    res.status(200).json({
+      message: "Review updated",
+      data: review
+    });
+
+  } catch (err) {
+    console.error("❌ Edit review error:", err.message);
+    res.status(400).json({
+      message: "Failed to update review",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /reviews/:reviewId - Delete a Review
+ *
+ * Moderators deleting someone else's review need a login session, like every
+ * other moderation action (see routes/admin.js).
+ *
+ * @route DELETE /reviews/:reviewId
+ * @middleware userAuth
+ */
+reviewsRouter.delete("/reviews/:reviewId", userAuth, async (req, res) => {
+  try {
+    const isModerator = MODERATOR_ROLES.includes(req.user.role);
+
+    const review = await Review.findById(req.params.reviewId);
+    const isReviewer = review && review.reviewerId.equals(req.user._id);
+    if (!review || (!isReviewer && !isModerator)) {
+      return res.status(404).json({ message: "Review not found", error: "REVIEW_NOT_FOUND" });
+    }
+    if (!isReviewer && !req.authSession) {
+      return res.status(403).json({
+        message: "This action requires logging in; API keys cannot be used.",
+        error: "SESSION_REQUIRED"
+      });
+    }
+    if (!isModerator && !isWithinEditWindow(review)) {
+      return res.status(403).json({
+        message: `Reviews can only be deleted within ${REVIEW_EDIT_WINDOW_DAYS} days of posting`,
+        error: "EDIT_WINDOW_CLOSED"
+      });
+    }
+
+    await Review.deleteOne({ _id: review._id });
+    await Review.refreshRating(review.revieweeId);
+
+    // A moderator removing someone else's review is a moderation action
+    if (!isReviewer) {
+      console.log(`🗑️ ${req.user.emailId} removed review ${review._id} by ${review.reviewerId}`);
+      recordAuditEvent(req, "admin.review_deleted", {
+        userId: review.reviewerId,
+        metadata: { reviewId: review._id, revieweeId: review.revieweeId, groupId: review.groupId }
+      });
+    }
+
+    res.status(200).json({
+      message: "Review deleted",
+      data: { _id: review._id }
+    });
+
+  } catch (err) {
+    console.error("❌ Delete review error:", err.message);
+    res.status(400).json({
+      message: "Failed to delete review",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /reviews/:reviewId/reply - Reply to a Review
+ *
+ * The reviewee can reply once; the reply cannot be changed.
+ *
+ * @route POST /reviews/:reviewId/reply
+ * @middleware userAuth
+ * @param {string} req.body.text - Reply text
+ */
+reviewsRouter.post("/reviews/:reviewId/reply", userAuth, async (req, res) => {
+  try {
+    const filter = { _id: req.params.reviewId, revieweeId: req.user._id };
+
+    // Conditional on reply being empty so two parallel replies can't both succeed
+    const review = await Review.findOneAndUpdate(
+      { ...filter, reply: null },
+      { $set: { reply: { text: req.body.text, createdAt: new Date() } } },
+      { new: true, runValidators: true }
+    );
+
+    if (!review) {
+      const exists = await Review.exists(filter);
+      return res.status(exists ? 409 : 404).json(exists
+        ? { message: "You have already replied to this review", error: "ALREADY_REPLIED" }
+        : { message: "Review not found", error: "REVIEW_NOT_FOUND" });
+    }
+
+    res.status(201).json({
+      message: "Reply posted",
+      data: review
+    });
+
+  } catch (err) {
+    console.error("❌ Review reply error:", err.message);
+    res.status(400).json({
+      message: "Failed to post reply",
+      error: err.message
+    });
+  }
+});
+
+module.exports = reviewsRouter;
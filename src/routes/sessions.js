@@ -0,0 +1,260 @@
+/**
+ * Session (Device) Management and Security Activity Routes
+ *
+ * Lets users see where they are logged in and sign out devices they no longer
+ * use or do not recognise, and review the security events recorded for their
+ * account (logins, password changes, moderation actions, ...). Every login creates a Session (see models/session.js)
+ * that records the user agent, the IP address and the last time it was used.
+ *
+ * Revoking a session is enforced by userAuth: access tokens carry the session id,
+ * so they stop working immediately, and the refresh token can no longer be rotated.
+ *
+ * These routes need a real login session (requireSession) - API keys are not
+ * tied to a device and cannot sign devices out.
+ */
+
+const express = require("express");
+const { userAuth, requireSession } = require("../middlewares/auth.js"); // Authentication middleware
+const Session = require("../models/session.js");                        // Session model
+const AuditLog = require("../models/auditLog.js");                      // Audit log model
+const { clearAuthCookies, revokeAllSessions } = require("../utilis/session.js"); // Cookie and revocation helpers
+const { recordAuditEvent } = require("../utilis/audit.js");             // Security audit log
+const sessionsRouter = express.Router();                                 // Express router instance
+
+/**
+ * Turn a user agent string into a short label such as "Chrome on Windows"
+ *
+ * Deliberately simple - it only needs to help users recognise their devices.
+ *
+ * @param {string} userAgent - Raw User-Agent header captured at login
+ * @returns {string}
+ */
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ];
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent ? "Unknown device" : "Unknown device (no user agent)";
+  }
+  if (!system) {
+    return browser[0];
+  }
+  return browser ? `${browser[0]} on ${system[0]}` : system[0];
+};
+
+/**
+ * Shape a session for the API response (never the token hashes)
+ *
+ * @param {Session} session - Session document
+ * @param {Session} currentSession - Session of the request, to flag "this device"
+ * @returns {Object}
+ */
+const toSessionResponse = (session, currentSession) => ({
+  _id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.lastIp || session.ip,
+  createdAt: session.createdAt,
+  lastActiveAt: session.lastActiveAt || session.createdAt,
+  expiresAt: session.expiresAt,
+  current: session._id.equals(currentSession._id),
+});
+
+/**
+ * GET /user/sessions - List Active Sessions
+ *
+ * @route GET /user/sessions
+ * @middleware userAuth, requireSession
+ * @returns {Object} Active sessions, most recently used first; the session
+ *                   making the request has current: true
+ */
+sessionsRouter.get("/user/sessions", userAuth, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip lastIp lastActiveAt expiresAt createdAt")
+      .sort({ lastActiveAt: -1 });
+
+    res.status(200).json({
+      message: "Active sessions retrieved successfully",
+      data: sessions.map((session) => toSessionResponse(session, req.authSession)),
+      count: sessions.length
+    });
+
+  } catch (err) {
+    console.error("❌ List sessions error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve sessions",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /user/sessions - Log Out Everywhere
+ *
+ * Revokes every active session of the user. With ?keepCurrent=true the session
+ * making the request stays logged in ("log out all other devices").
+ *
+ * @route DELETE /user/sessions
+ * @middleware userAuth, requireSession
+ * @query {string} keepCurrent - "true" to keep the current session
+ */
+sessionsRouter.delete("/user/sessions", userAuth, requireSession, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
+
+    const revokedCount = await revokeAllSessions(req.user._id, "logout", {
+      exceptSessionId: keepCurrent ? req.authSession._id : null
+    });
+
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+
+    console.log(`🔒 ${req.user.emailId} logged out of ${revokedCount} session(s)`);
+    recordAuditEvent(req, "session.revoked_all", {
+      metadata: { keepCurrent, sessionsRevoked: revokedCount }
+    });
+
+    res.status(200).json({
+      message: keepCurrent
+        ? "Logged out of all other devices"
+        : "Logged out of all devices",
+      revokedCount: revokedCount
+    });
+
+  } catch (err) {
+    console.error("❌ Revoke all sessions error:", err.message);
+    res.status(500).json({
+      message: "Failed to log out of all devices",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /user/sessions/:sessionId - Log Out a Single Device
+ *
+ * Revoking the current session behaves like /logout and clears the cookies.
+ *
+ * @route DELETE /user/sessions/:sessionId
+ * @middleware userAuth, requireSession
+ * @param {string} sessionId - Id from GET /user/sessions
+ */
+sessionsRouter.delete("/user/sessions/:sessionId", userAuth, requireSession, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        message: "Session not found",
+        error: "SESSION_NOT_FOUND"
+      });
+    }
+
+    await session.revoke("logout");
+    recordAuditEvent(req, "session.revoked", {
+      metadata: { sessionId: session._id, device: describeDevice(session.userAgent) }
+    });
+
+    const isCurrent = session._id.equals(req.authSession._id);
+    if (isCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      message: isCurrent
+        ? "Logged out of this device"
+        : `Logged out of ${describeDevice(session.userAgent)}`,
+      current: isCurrent
+    });
+
+  } catch (err) {
+    console.error("❌ Revoke session error:", err.message);
+    res.status(400).json({
+      message: "Failed to revoke session",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /user/security-activity - Recent Security Events
+ *
+ * @route GET /user/security-activity
+ * @middleware userAuth, requireSession
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Events per page (default: 20, max: 100)
+ * @returns {Object} Events about the account, newest first; byStaff is true
+ *                   for actions taken by a moderator or admin (those come
+ *                   without the staff member's device and IP)
+ */
+sessionsRouter.get("/user/security-activity", userAuth, requireSession, async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    page = page < 1 ? 1 : page;
+    let limit = parseInt(req.query.limit) || 20;
+    limit = limit > 100 ? 100 : limit;
+    limit = limit < 1 ? 20 : limit;
+    const skip = (page - 1) * limit;
+
+    const filter = { userId: req.user._id };
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Security activity retrieved successfully",
+      data: entries.map((entry) => {
+        const byStaff = entry.isByStaff();
+        return {
+          _id: entry._id,
+          event: entry.event,
+          device: byStaff ? null : describeDevice(entry.userAgent),
+          ip: byStaff ? null : entry.ip,
+          metadata: entry.metadata,
+          byStaff: byStaff,
+          createdAt: entry.createdAt,
+        };
+      }),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: total
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Security activity error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve security activity",
+      error: err.message
+    });
+  }
+});
+
+module.exports = sessionsRouter;
@@ -0,0 +1,447 @@
+/**
+ * Two-factor Authentication Routes (TOTP)
+ *
+ * This module handles opt-in two-factor authentication:
+ * - Enrollment (setup + confirmation with a first code)
+ * - Second login stage (exchange the "mfa pending" token for a session)
+ * - Recovery code regeneration
+ * - Disabling 2FA
+ *
+ * LOGIN FLOW WITH 2FA ENABLED:
+ * 1. POST /login with email + password
+ *    → { mfaRequired: true, mfaToken } (no cookies, no session yet)
+ * 2. POST /auth/2fa/verify with mfaToken + code (or a recovery code)
+ *    → normal login response with access/refresh tokens
+ * OIDC logins of 2FA accounts get the mfa pending token as an httpOnly
+ * cookie scoped to /auth/2fa instead, so step 2 then needs only the code.
+ *
+ * Wrong codes count as failed logins, so the brute-force protection from
+ * /login (backoff, lockout) also protects the second factor.
+ */
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user");
+const { userAuth, requireSession } = require("../middlewares/auth");
+const { JWT_SECRET, MFA_COOKIE, MFA_COOKIE_OPTIONS } = require("../config/auth");
+const { createSession, setAuthCookies } = require("../utilis/session");
+const { recordAuditEvent } = require("../utilis/audit");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../utilis/loginProtection");
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpAuthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require("../utilis/totp");
+
+const twoFactorRouter = express.Router();
+
+// Hidden 2FA fields needed by these routes (select: false on the schema)
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+/**
+ * Check a TOTP code against the user's active secret and consume it
+ *
+ * The last used time step is updated atomically, so the same code cannot
+ * be accepted twice, not even by two parallel requests.
+ *
+ * @param {User} user - User loaded with TWO_FACTOR_FIELDS
+ * @param {string} code - 6 digit code from the authenticator app
+ * @returns {Promise<boolean>} - True if the code was valid and unused
+ */
+const consumeTotpCode = async (user, code) => {
+  const afterStep = user.twoFactorLastUsedStep == null ? -1 : user.twoFactorLastUsedStep;
+  const step = verifyTOTP(decryptSecret(user.twoFactorSecret), code, { afterStep });
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastUsedStep: { $lt: step } },
+        { twoFactorLastUsedStep: { $exists: false } },
+        { twoFactorLastUsedStep: null },
+      ],
+    },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Check a recovery code and remove it so it can never be used again
+ *
+ * @param {User} user - User whose recovery codes are checked
+ * @param {string} recoveryCode - Plain recovery code
+ * @returns {Promise<boolean>} - True if the code existed and was consumed
+ */
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  const codeHash = hashRecoveryCode(recoveryCode);
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: codeHash },
+    { $pull: { twoFactorRecoveryCodes: codeHash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * POST /auth/2fa/setup - Start 2FA Enrollment
+ *
+ * Generates a new secret and returns it as an otpauth:// URI (render it as a
+ * QR code) plus the raw Base32 secret for manual entry. 2FA is not enabled
+ * until the user proves the app works via POST /auth/2fa/confirm.
+ *
+ * @route POST /auth/2fa/setup
+ * @middleware userAuth, requireSession - Requires a login session (not an API key)
+ *
+ * @returns {Object} { secret, otpauthUri }
+ */
+twoFactorRouter.post("/auth/2fa/setup", userAuth, requireSession, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is already enabled",
+        error: "TWO_FACTOR_ALREADY_ENABLED"
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { twoFactorPendingSecret: encryptSecret(secret) } }
+    );
+
+    res.status(200).json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret: secret,
+      otpauthUri: buildOtpAuthUri(secret, req.user.emailId)
+    });
+
+  } catch (err) {
+    console.error("❌ 2FA setup error:", err.message);
+    res.status(500).json({
+      message: "Failed to start two-factor setup",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/confirm - Finish 2FA Enrollment
+ *
+ * Enables 2FA once the user submits a valid code for the pending secret and
+ * returns the one-time recovery codes. They are shown only this once - the
+ * server keeps nothing but their hashes.
+ *
+ * @route POST /auth/2fa/confirm
+ * @middleware userAuth, requireSession - Requires a login session (not an API key)
+ * @param {string} req.body.code - Current code from the authenticator app
+ *
+ * @returns {Object} { recoveryCodes }
+ */
+twoFactorRouter.post("/auth/2fa/confirm", userAuth, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is already enabled",
+        error: "TWO_FACTOR_ALREADY_ENABLED"
+      });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        message: "Start the setup first via POST /auth/2fa/setup",
+        error: "TWO_FACTOR_SETUP_REQUIRED"
+      });
+    }
+
+    const secret = decryptSecret(user.twoFactorPendingSecret);
+    const step = verifyTOTP(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: "Invalid code. Check the time on your device and try again.",
+        error: "INVALID_TWO_FACTOR_CODE"
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactorLastUsedStep = step;
+    await user.save();
+
+    console.log("🔐 Two-factor authentication enabled:", user.emailId);
+    recordAuditEvent(req, "two_factor.enabled");
+    res.status(200).json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes: recoveryCodes
+    });
+
+  } catch (err) {
+    console.error("❌ 2FA confirm error:", err.message);
+    res.status(500).json({
+      message: "Failed to enable two-factor authentication",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/verify - Second Login Stage
+ *
+ * Exchanges the "mfa pending" token returned by /login plus a TOTP code
+ * (or one of the recovery codes) for a regular session.
+ *
+ * @route POST /auth/2fa/verify
+ * @param {string} req.body.mfaToken - Token returned by /login (OIDC logins
+ *                                     send it in the MFA_COOKIE cookie instead)
+ * @param {string} [req.body.code] - Code from the authenticator app
+ * @param {string} [req.body.recoveryCode] - One-time recovery code
+ *
+ * @returns {Object} Same shape as the /login response
+ */
+twoFactorRouter.post("/auth/2fa/verify", async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const mfaToken = req.body.mfaToken || req.cookies[MFA_COOKIE];
+
+    // Step 1: Validate the mfa pending token
+    let payload;
+    try {
+      payload = jwt.verify(mfaToken, JWT_SECRET);
+    } catch (tokenErr) {
+      payload = null;
+    }
+    if (!payload || payload.purpose !== "mfa") {
+      return res.status(401).json({
+        message: "Your login attempt expired. Please login again.",
+        error: "INVALID_MFA_TOKEN"
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        message: "A code or a recovery code is required",
+        error: "MISSING_TWO_FACTOR_CODE"
+      });
+    }
+
+    const user = await User.findById(payload._id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        message: "Your login attempt expired. Please login again.",
+        error: "INVALID_MFA_TOKEN"
+      });
+    }
+
+    // Step 2: Same throttling as the password stage
+    const blocked = await checkLoginAllowed(user, req.ip);
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        message: blocked.message,
+        error: blocked.error,
+        retryAfter: blocked.retryAfter
+      });
+    }
+
+    // Step 3: Check the second factor
+    const isValid = code
+      ? await consumeTotpCode(user, code)
+      : await consumeRecoveryCode(user, recoveryCode);
+
+    if (!isValid) {
+      const { locked } = await recordLoginFailure(user, req.ip);
+      recordAuditEvent(req, "login.failure", {
+        userId: user._id,
+        metadata: { reason: "invalid_two_factor_code" }
+      });
+      if (locked) {
+        recordAuditEvent(req, "login.locked", { userId: user._id });
+      }
+      return res.status(locked ? 423 : 401).json({
+        message: locked
+          ? "Too many failed attempts. Your account is temporarily locked."
+          : "Invalid two-factor code",
+        error: locked ? "ACCOUNT_LOCKED" : "INVALID_TWO_FACTOR_CODE"
+      });
+    }
+
+    // Step 4: Complete the login exactly like /login does
+    await recordLoginSuccess(user);
+
+    // Suspended or banned since the password stage: no new session
+    const restriction = user.getAccountRestriction();
+    if (restriction) {
+      recordAuditEvent(req, "login.failure", {
+        userId: user._id,
+        metadata: { reason: restriction.error }
+      });
+      return res.status(restriction.status).json({
+        message: restriction.message,
+        error: restriction.error
+      });
+    }
+
+    const { accessToken, refreshToken, session } = await createSession(user, req);
+    setAuthCookies(res, { accessToken, refreshToken });
+    res.clearCookie(MFA_COOKIE, MFA_COOKIE_OPTIONS);
+    recordAuditEvent(req, "login.success", {
+      userId: user._id,
+      metadata: { method: code ? "password+totp" : "password+recovery_code", sessionId: session._id }
+    });
+
+    const response = {
+      message: "Login successful",
+      user: (await User.findById(user._id)).toPrivateJSON(),
+      token: accessToken,
+      refreshToken: refreshToken
+    };
+    if (!code) {
+      response.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length - 1;
+    }
+    res.status(200).json(response);
+
+  } catch (err) {
+    console.error("❌ 2FA verify error:", err.message);
+    res.status(500).json({
+      message: "Two-factor verification failed",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/recovery-codes - Regenerate Recovery Codes
+ *
+ * Replaces all recovery codes (used or not) with a fresh set.
+ *
+ * @route POST /auth/2fa/recovery-codes
+ * @middleware userAuth, requireSession - Requires a login session (not an API key)
+ * @param {string} req.body.code - Current code from the authenticator app
+ *
+ * @returns {Object} { recoveryCodes }
+ */
+twoFactorRouter.post("/auth/2fa/recovery-codes", userAuth, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is not enabled",
+        error: "TWO_FACTOR_NOT_ENABLED"
+      });
+    }
+
+    if (!(await consumeTotpCode(user, req.body.code))) {
+      return res.status(400).json({
+        message: "Invalid two-factor code",
+        error: "INVALID_TWO_FACTOR_CODE"
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) } }
+    );
+
+    recordAuditEvent(req, "two_factor.recovery_codes_regenerated");
+    res.status(200).json({
+      message: "New recovery codes generated. Previous codes no longer work.",
+      recoveryCodes: recoveryCodes
+    });
+
+  } catch (err) {
+    console.error("❌ Recovery code regeneration error:", err.message);
+    res.status(500).json({
+      message: "Failed to regenerate recovery codes",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/disable - Turn Off 2FA
+ *
+ * Requires both the password and a current code (or a recovery code), so a
+ * hijacked session alone cannot remove the second factor. Accounts without a
+ * local password (created through OIDC login) confirm with the code alone.
+ *
+ * @route POST /auth/2fa/disable
+ * @middleware userAuth, requireSession - Requires a login session (not an API key)
+ * @param {string} req.body.password - Current password (accounts with a password)
+ * @param {string} [req.body.code] - Code from the authenticator app
+ * @param {string} [req.body.recoveryCode] - One-time recovery code
+ */
+twoFactorRouter.post("/auth/2fa/disable", userAuth, requireSession, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is not enabled",
+        error: "TWO_FACTOR_NOT_ENABLED"
+      });
+    }
+
+    if (user.password && (!password || !(await user.validatePassword(password)))) {
+      return res.status(400).json({
+        message: "Password is incorrect",
+        error: "INVALID_PASSWORD"
+      });
+    }
+
+    const isValid = code
+      ? await consumeTotpCode(user, code)
+      : recoveryCode && (await consumeRecoveryCode(user, recoveryCode));
+    if (!isValid) {
+      return res.status(400).json({
+        message: "Invalid two-factor code",
+        error: "INVALID_TWO_FACTOR_CODE"
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+          twoFactorSecret: "",
+          twoFactorPendingSecret: "",
+          twoFactorRecoveryCodes: "",
+          twoFactorLastUsedStep: "",
+        },
+      }
+    );
+
+    console.log("🔓 Two-factor authentication disabled:", user.emailId);
+    recordAuditEvent(req, "two_factor.disabled");
+    res.status(200).json({
+      message: "Two-factor authentication disabled"
+    });
+
+  } catch (err) {
+    console.error("❌ 2FA disable error:", err.message);
+    res.status(500).json({
+      message: "Failed to disable two-factor authentication",
+      error: err.message
+    });
+  }
+});
+
+module.exports = twoFactorRouter;
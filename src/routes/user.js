@@ -5,73 +5,121 @@
  * - User feed generation (finding potential travel companions)
  * - Connection management (pending requests, accepted connections)
  * - Password updates
- * - Profile updates
- * - User data retrieval
+ * - Profile updates and privacy settings
+ * - User data retrieval (own profile, other travelers' public profiles)
  * 
  * All routes are protected with userAuth middleware to ensure
  * only authenticated users can access these endpoints.
  * 
  * FEATURES:
- * - Pagination for user feed
+ * - Compatibility-ranked, paginated user feed
  * - Connection filtering and management
  * - Secure password updates
  * - Profile data validation
+ * - Per-field privacy (public / connections / hidden) applied to every
+ *   profile shown to another user (see User.toPublicProfile)
  */
 
 const express = require("express");
-const { userAuth } = require("../middlewares/auth.js");           // Authentication middleware
-const { validUpdateData } = require("../utilis/validation.js");   // Input validation utility
+const mongoose = require("mongoose");
+const { userAuth, requireSession } = require("../middlewares/auth.js"); // Authentication middleware
+const { validUpdateData, validFeedFilters } = require("../utilis/validation.js"); // Input validation utility
 const userRouter = express.Router();                             // Express router instance
 const validator = require("validator");                          // Password validation
 const bcrypt = require("bcrypt");                                // Password hashing (though not used directly)
 const ConnectionRequest = require("../models/connectionRequest.js"); // Connection model
 const User = require("../models/user.js");                       // User model
+const Block = require("../models/block.js");                     // Blocks between users
+const { notHiddenFilter, activeAccountFilter } = require("../utilis/moderation.js"); // Reported, suspended and banned users
+const { recordAuditEvent } = require("../utilis/audit.js");      // Security audit log
+const { revokeAllSessions } = require("../utilis/session.js");   // Sign out other devices
+const ApiKey = require("../models/apiKey.js");                   // Revoked on password change
+const { TRUST_BADGE_FIELDS, toPublicProfiles, countCompletedTrips } = require("../utilis/trust.js"); // Trust badges
+const { mergeFeedFilters, buildFeedFilterQuery } = require("../utilis/feed.js"); // Feed filters
+const { buildCompatibilityStages, compatibilityReasons } = require("../utilis/compatibility.js"); // Feed ranking
+const { parseCursorPagination, cursorFilter, toCursorPage } = require("../utilis/pagination.js"); // Cursor pages
 
 // Fields that are safe to return in user feeds (excludes sensitive data)
-const USER_SAVE_DATA = ["firstName", "lastName", "age", "gender", "image", "about"];
+// privacySettings is needed to decide which of them the viewer may see,
+// the trust badge and rating fields to build the badges on each card
+const USER_SAVE_DATA = [
+  "firstName", "lastName", "age", "gender", "image", "photos", "about",
+  "interests", "budget", "languages", "homeCity", "preferredDestinations", "availability",
+  "privacySettings", "ratingAverage", "reviewCount", ...TRUST_BADGE_FIELDS,
+];
+
+// Sort orders of the cursor-paginated lists (see utilis/pagination.js)
+const FEED_SORT = { score: -1, _id: 1 };                 // Best match first
+const PENDING_SORT = { _id: -1 };                        // Newest request first
+const CONNECTIONS_SORT = { updatedAt: -1, _id: -1 };     // Most recently accepted first
 
 /**
  * GET /user/feed - User Discovery Feed
  * 
  * This endpoint generates a feed of potential travel companions for the logged-in user.
  * It excludes users that the logged-in user has already interacted with (liked, passed, etc.)
- * and implements pagination for better performance.
+ * until the like or pass expires (see jobs/connectionRequestExpiry.js)
+ * and implements cursor pagination for better performance.
  * 
  * @route GET /user/feed
  * @middleware userAuth - Requires authentication
- * @query {number} page - Page number for pagination (default: 1)
+ * @query {string} cursor - nextCursor of the previous page (omit for the first page)
  * @query {number} limit - Number of users per page (default: 10, max: 50)
+ * @query {number} minAge, maxAge - Age range
+ * @query {string} gender - Comma separated genders (male, female, others)
+ * @query {string} languages - Comma separated ISO 639-1 codes; matches any of them
+ * @query {string} destination - Text contained in one of the preferred destinations
+ * @query {string} travelFrom, travelTo - Dates the availability must overlap
+ * @query {string} filters - "none" to ignore the saved default filters
  * 
- * @returns {Array} Array of user objects (filtered and paginated)
+ * @returns {Array} Array of user objects (filtered, ranked and paginated), each with
+ *                  compatibility: { score: 0-100, reasons: [...] }
  * 
  * ALGORITHM:
  * 1. Get all connection requests involving the logged-in user
  * 2. Create a set of user IDs to exclude from the feed
- * 3. Query users excluding the logged-in user and connected users
- * 4. Apply pagination and field selection
+ * 3. Query users excluding the logged-in user and connected users,
+ *    narrowed by the saved filters (see PUT /user/feed/filters) and the query filters
+ * 4. Score each candidate (utilis/compatibility.js) and sort by score, then _id,
+ *    so pages are stable
+ * 5. Continue after the cursor and apply field selection
  * 
  * @example
- * GET /user/feed?page=1&limit=20
- * // Returns first 20 potential travel companions
+ * GET /user/feed?limit=20&minAge=25&maxAge=35&languages=en,es
+ * // Returns first 20 potential travel companions aged 25-35 speaking English or Spanish;
+ * // pass pagination.nextCursor as ?cursor= for the next 20
  */
 userRouter.get("/user/feed", userAuth, async (req, res) => {
   try {
     // Get the authenticated user from the request (set by userAuth middleware)
     const loggedUser = req.user;
 
-    // Extract pagination parameters from query string
-    const page = parseInt(req.query.page) || 1;           // Current page (default: 1)
-    let limit = parseInt(req.query.limit) || 10;          // Users per page (default: 10)
-    limit = limit > 50 ? 50 : limit;                      // Cap limit at 50 for performance
-    const skip = (page - 1) * limit;                      // Calculate offset for pagination
+    // Extract pagination parameters from query string (limit defaults to 10, max 50)
+    const { limit, after } = parseCursorPagination(req.query, FEED_SORT);
+
+    // Query filters override the user's saved defaults unless ?filters=none
+    let filters;
+    try {
+      const savedFilters = req.query.filters === "none" || !loggedUser.feedFilters
+        ? {}
+        : validFeedFilters(loggedUser.feedFilters.toObject());
+      filters = mergeFeedFilters(savedFilters, validFeedFilters(req.query));
+    } catch (err) {
+      return res.status(400).json({
+        message: err.message,
+        error: "INVALID_FILTERS"
+      });
+    }
 
     // Step 1: Find all connection requests involving the logged-in user
     // This includes both requests sent by and received by the user
+    // Expired likes and passes don't count, so those travelers resurface
     const connectionRequests = await ConnectionRequest.find({
       $or: [
         { fromUserId: loggedUser._id },  // Requests sent by the user
         { toUserId: loggedUser._id }     // Requests received by the user
       ],
+      status: { $ne: "expired" },
     }).select("fromUserId toUserId"); // Only select the user ID fields for efficiency
 
     // Step 2: Create a set of user IDs to exclude from the feed
@@ -82,31 +130,60 @@ userRouter.get("/user/feed", userAuth, async (req, res) => {
       hideUserFromFeed.add(req.toUserId.toString());
     });
 
-    console.log("🚫 Users to hide from feed:", hideUserFromFeed);
+    // Users blocked by (or blocking) the logged-in user never show up either
+    const blockedUserIds = await Block.blockedUserIds(loggedUser._id);
+    blockedUserIds.forEach((id) => hideUserFromFeed.add(id.toString()));
 
-    // Step 3: Query users for the feed with exclusions and pagination
-    const feed = await User.find({
-      $and: [
-        { _id: { $ne: loggedUser._id } },                           // Exclude the logged-in user
-        { _id: { $nin: Array.from(hideUserFromFeed) } },            // Exclude users with existing connections
-      ],
-    })
-      .select(USER_SAVE_DATA)  // Only return safe, non-sensitive fields
-      .skip(skip)              // Skip users for pagination
-      .limit(limit);           // Limit results per page
+    console.log("🚫 Users to hide from feed:", hideUserFromFeed);
 
-    // Step 4: Send the filtered and paginated user feed
+    // Step 3: Query users for the feed with exclusions, ranked by compatibility
+    // Aggregations don't cast like find(), so the ids are converted here
+    const hiddenIds = Array.from(hideUserFromFeed, (id) => new mongoose.Types.ObjectId(id));
+    const feed = await User.aggregate([
+      {
+        $match: {
+          $and: [
+            { _id: { $ne: loggedUser._id } },                       // Exclude the logged-in user
+            { _id: { $nin: hiddenIds } },                           // Exclude users with existing connections
+            { deletionScheduledFor: null },                         // Exclude accounts pending deletion
+            notHiddenFilter(),                                      // Exclude users hidden after reports
+            activeAccountFilter(),                                  // Exclude suspended and banned accounts
+            ...buildFeedFilterQuery(filters),                       // Age, gender, language, destination, dates
+          ],
+        },
+      },
+      ...buildCompatibilityStages(loggedUser),
+      { $match: cursorFilter(FEED_SORT, after) }, // Continue after the previous page
+      { $sort: FEED_SORT },               // _id breaks ties so pages never overlap
+      { $limit: limit + 1 },              // One extra row tells whether there is a next page
+      { $project: Object.fromEntries([...USER_SAVE_DATA, "score", "compatibility"].map((field) => [field, 1])) },
+    ]).allowDiskUse(true);                // Sorting every candidate can exceed the in-memory limit
+
+    // Step 4: Send the ranked and paginated user feed
+    // Feed users are never connections (connected users are excluded above)
+    const { items, nextCursor } = toCursorPage(feed, { sort: FEED_SORT, limit });
+    const profiles = await toPublicProfiles(items.map((doc) => User.hydrate(doc)));
     res.status(200).json({
       message: "User feed retrieved successfully",
-      feed: feed,
+      feed: profiles.map((profile, index) => ({
+        ...profile,
+        compatibility: {
+          score: items[index].score,
+          reasons: compatibilityReasons(loggedUser, items[index]),
+        },
+      })),
+      filters: filters,
       pagination: {
-        page: page,
         limit: limit,
-        total: feed.length
+        nextCursor: nextCursor
       }
     });
     
   } catch (err) {
+    if (err.code === "INVALID_CURSOR") {
+      return res.status(400).json({ message: err.message, error: err.code });
+    }
+
     console.error("❌ User feed error:", err.message);
     res.status(500).json({
       message: "Failed to retrieve user feed",
@@ -123,7 +200,9 @@ userRouter.get("/user/feed", userAuth, async (req, res) => {
  * 
  * @route GET /user/connections/pending
  * @middleware userAuth - Requires authentication
- * @returns {Object} Object containing message and array of pending requests
+ * @query {string} cursor - nextCursor of the previous page
+ * @query {number} limit - Requests per page (default: 10, max: 50)
+ * @returns {Object} Object containing message and array of pending requests, newest first
  * 
  * @example
  * // Response includes user details of those who sent requests
@@ -141,22 +220,44 @@ userRouter.get("/user/connections/pending", userAuth, async (req, res) => {
   try {
     // Get the authenticated user from the request
     const loggedUser = req.user;
+    const { limit, after } = parseCursorPagination(req.query, PENDING_SORT);
 
-    // Find all connection requests where:
+    // Find the connection requests where:
     // - The logged-in user is the recipient (toUserId)
     // - The status is "like" (pending request)
-    const connectionRequest = await ConnectionRequest.find({
+    // - The sender is not blocked (in either direction)
+    const blockedUserIds = await Block.blockedUserIds(loggedUser._id);
+    const connectionRequests = await ConnectionRequest.find({
       toUserId: loggedUser._id,
       status: "like",
-    }).populate("fromUserId", ["_id", "firstName", "lastName", "age", "gender", "image", "about"]);
+      fromUserId: { $nin: blockedUserIds },
+      ...cursorFilter(PENDING_SORT, after),
+    })
+      .sort(PENDING_SORT)
+      .limit(limit + 1)
+      .populate("fromUserId", USER_SAVE_DATA);
+
+    // Senders are not connections yet, so only their public fields are shown
+    const { items, nextCursor } = toCursorPage(connectionRequests, { sort: PENDING_SORT, limit });
+    const rows = items.filter((row) => row.fromUserId);
+    const senders = await toPublicProfiles(rows.map((row) => row.fromUserId));
+    const data = rows.map((row, index) => ({ ...row.toJSON(), fromUserId: senders[index] }));
 
     res.status(200).json({
       message: "All pending connections",
-      data: connectionRequest,
-      count: connectionRequest.length
+      data: data,
+      count: data.length,
+      pagination: {
+        limit: limit,
+        nextCursor: nextCursor
+      }
     });
     
   } catch (err) {
+    if (err.code === "INVALID_CURSOR") {
+      return res.status(400).json({ message: err.message, error: err.code });
+    }
+
     console.error("❌ Pending connections error:", err.message);
     res.status(500).json({
       message: "Failed to retrieve pending connections",
@@ -173,7 +274,9 @@ userRouter.get("/user/connections/pending", userAuth, async (req, res) => {
  * 
  * @route GET /user/connections
  * @middleware userAuth - Requires authentication
- * @returns {Object} Object containing array of connected users
+ * @query {string} cursor - nextCursor of the previous page
+ * @query {number} limit - Connections per page (default: 10, max: 50)
+ * @returns {Object} Object containing array of connected users, most recent first
  * 
  * ALGORITHM:
  * 1. Find all accepted connection requests involving the user
@@ -184,33 +287,54 @@ userRouter.get("/user/connections", userAuth, async (req, res) => {
   try {
     // Get the authenticated user from the request
     const loggedUser = req.user;
+    const { limit, after } = parseCursorPagination(req.query, CONNECTIONS_SORT);
 
-    // Find all accepted connection requests where the logged-in user is involved
+    // Find the accepted connection requests where the logged-in user is involved
+    // Blocked users are hidden (unblocking brings the connection back)
+    const blockedUserIds = await Block.blockedUserIds(loggedUser._id);
     const connectionRequests = await ConnectionRequest.find({
-      $or: [
-        { fromUserId: loggedUser._id, status: "accept" },  // Requests sent by user and accepted
-        { toUserId: loggedUser._id, status: "accept" }     // Requests received by user and accepted
+      $and: [
+        {
+          $or: [
+            { fromUserId: loggedUser._id, toUserId: { $nin: blockedUserIds }, status: "accept" },  // Requests sent by user and accepted
+            { toUserId: loggedUser._id, fromUserId: { $nin: blockedUserIds }, status: "accept" }   // Requests received by user and accepted
+          ],
+        },
+        cursorFilter(CONNECTIONS_SORT, after),
       ],
     })
-      .populate("fromUserId", ["firstName", "lastName", "age", "gender", "image", "about"])
-      .populate("toUserId", ["firstName", "lastName", "age", "gender", "image", "about"]);
+      .sort(CONNECTIONS_SORT)
+      .limit(limit + 1)
+      .populate("fromUserId", USER_SAVE_DATA)
+      .populate("toUserId", USER_SAVE_DATA);
 
     // Process the connections to return only the "other person" in each connection
     // This prevents showing the logged-in user in their own connections list
-    const data = connectionRequests.map((row) => {
-      if (row.fromUserId._id.toString() === loggedUser._id.toString()) {
-        return row.toUserId;    // If user sent the request, return the recipient
-      }
-      return row.fromUserId;    // If user received the request, return the sender
-    });
+    const { items, nextCursor } = toCursorPage(connectionRequests, { sort: CONNECTIONS_SORT, limit });
+    const otherUsers = items
+      .filter((row) => row.fromUserId && row.toUserId)
+      .map((row) => {
+        return row.fromUserId._id.toString() === loggedUser._id.toString()
+          ? row.toUserId      // If user sent the request, return the recipient
+          : row.fromUserId;   // If user received the request, return the sender
+      });
+    const data = await toPublicProfiles(otherUsers, { isConnection: true });
 
     res.status(200).json({
       message: "Connections retrieved successfully",
       data: data,
-      count: data.length
+      count: data.length,
+      pagination: {
+        limit: limit,
+        nextCursor: nextCursor
+      }
     });
     
   } catch (err) {
+    if (err.code === "INVALID_CURSOR") {
+      return res.status(400).json({ message: err.message, error: err.code });
+    }
+
     console.error("❌ Connections error:", err.message);
     res.status(500).json({
       message: "Failed to retrieve connections",
@@ -229,6 +353,7 @@ userRouter.get("/user/connections", userAuth, async (req, res) => {
  * 
  * @route PATCH /user/password
  * @middleware userAuth - Requires authentication
+ * @middleware requireSession - Not available to API keys
  * @param {Object} req.body - Request body containing password data
  * @param {string} req.body.currentPassword - User's current password
  * @param {string} req.body.newPassword - New password to set
@@ -240,8 +365,10 @@ userRouter.get("/user/connections", userAuth, async (req, res) => {
  * - Current password verification
  * - Strong password requirements
  * - Automatic password hashing (handled by User model)
+ * - Every other session and every API key is revoked, so credentials stolen
+ *   before the change stop working (this device stays logged in)
  */
-userRouter.patch("/user/password", userAuth, async (req, res) => {
+userRouter.patch("/user/password", userAuth, requireSession, async (req, res) => {
   try {
     // Extract password data from request body
     const { currentPassword, newPassword, confirmPassword } = req.body;
@@ -266,8 +393,9 @@ userRouter.patch("/user/password", userAuth, async (req, res) => {
     }
 
     // Step 4: Validate new password strength
-    if (!validator.isStrongPassword(newPassword)) {
-      throw new Error("New password must be strong: minimum 8 characters with 1 uppercase, 1 lowercase, 1 number, and 1 symbol");
+    // Same rules as the User schema (and /auth/reset-password)
+    if (!User.isStrongPassword(newPassword)) {
+      throw new Error(User.PASSWORD_STRENGTH_MESSAGE);
     }
 
     // Step 5: Update the user's password
@@ -275,6 +403,13 @@ userRouter.patch("/user/password", userAuth, async (req, res) => {
     loggedUser.password = newPassword;
     await loggedUser.save();
 
+    // Step 6: Sign out every other device and disable API keys
+    const sessionsRevoked = await revokeAllSessions(loggedUser._id, "password_changed", {
+      exceptSessionId: req.authSession._id
+    });
+    const apiKeysRevoked = await ApiKey.revokeAllForUser(loggedUser._id);
+    recordAuditEvent(req, "password.changed", { metadata: { sessionsRevoked, apiKeysRevoked } });
+
     res.status(200).json({
       message: "Password updated successfully",
       user: {
@@ -294,29 +429,184 @@ userRouter.patch("/user/password", userAuth, async (req, res) => {
   }
 });
 
+/**
+ * PATCH /user/privacy - Update Profile Privacy Settings
+ * 
+ * Sets who can see each optional profile field. Fields that are not sent
+ * keep their current setting.
+ * 
+ * @route PATCH /user/privacy
+ * @middleware userAuth - Requires authentication
+ * @param {Object} req.body - { <field>: "public" | "connections" | "hidden" }
+ *                            for fields in User.PROFILE_PRIVACY_FIELDS
+ * 
+ * @returns {Object} The updated privacy settings
+ * 
+ * @example
+ * PATCH /user/privacy
+ * { "age": "connections", "about": "hidden" }
+ */
+userRouter.patch("/user/privacy", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+    const updates = req.body || {};
+
+    // Step 1: Only known fields and levels are accepted
+    const fields = Object.keys(updates);
+    const unknownField = fields.find((field) => !User.PROFILE_PRIVACY_FIELDS.includes(field));
+    if (unknownField) {
+      throw new Error(`Privacy can only be set for: ${User.PROFILE_PRIVACY_FIELDS.join(", ")}`);
+    }
+    const invalidField = fields.find((field) => !User.PRIVACY_LEVELS.includes(updates[field]));
+    if (invalidField) {
+      throw new Error(`${invalidField} visibility must be one of: ${User.PRIVACY_LEVELS.join(", ")}`);
+    }
+
+    // Step 2: Apply and save
+    fields.forEach((field) => {
+      loggedUser.privacySettings[field] = updates[field];
+    });
+    await loggedUser.save();
+    recordAuditEvent(req, "profile.updated", { metadata: { privacySettings: updates } });
+
+    res.status(200).json({
+      message: "Privacy settings updated successfully",
+      privacySettings: loggedUser.privacySettings
+    });
+
+  } catch (err) {
+    console.error("❌ Privacy update error:", err.message);
+    res.status(400).json({
+      message: "Privacy update failed",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * GET /user/feed/filters - Saved Feed Filters
+ * 
+ * @route GET /user/feed/filters
+ * @middleware userAuth - Requires authentication
+ * @returns {Object} The default filters applied to GET /user/feed (empty if none)
+ */
+userRouter.get("/user/feed/filters", userAuth, async (req, res) => {
+  res.status(200).json({
+    message: "Feed filters retrieved successfully",
+    filters: req.user.feedFilters || {}
+  });
+});
+
+/**
+ * PUT /user/feed/filters - Save Default Feed Filters
+ * 
+ * Replaces the saved filters; send an empty object to clear them.
+ * 
+ * @route PUT /user/feed/filters
+ * @middleware userAuth - Requires authentication
+ * @param {Object} req.body - { minAge, maxAge, genders, languages, destination, travelFrom, travelTo }
+ * 
+ * @example
+ * PUT /user/feed/filters
+ * { "minAge": 25, "maxAge": 35, "genders": ["female"], "languages": ["en", "es"] }
+ */
+userRouter.put("/user/feed/filters", userAuth, async (req, res) => {
+  try {
+    const loggedUser = req.user;
+    const input = req.body || {};
+
+    const allowedFields = ["minAge", "maxAge", "genders", "languages", "destination", "travelFrom", "travelTo"];
+    const unknownField = Object.keys(input).find((field) => !allowedFields.includes(field));
+    if (unknownField) {
+      throw new Error(`Unknown filter "${unknownField}". Allowed: ${allowedFields.join(", ")}`);
+    }
+
+    const filters = validFeedFilters(input);
+    loggedUser.feedFilters = Object.keys(filters).length ? filters : undefined;
+    await loggedUser.save();
+
+    res.status(200).json({
+      message: "Feed filters saved successfully",
+      filters: loggedUser.feedFilters || {}
+    });
+
+  } catch (err) {
+    console.error("❌ Feed filters update error:", err.message);
+    res.status(400).json({
+      message: "Failed to save feed filters",
+      error: err.message
+    });
+  }
+});
+
 /**
  * GET /user/:id - Get User Profile
  * 
- * This endpoint returns the profile of the authenticated user.
- * The ID parameter is not used since we get the user from the auth token.
+ * Returns the full profile when the id is the logged-in user's own id (or "me"),
+ * and another traveler's public profile otherwise. Fields the other traveler
+ * made connections-only are included when the two users are connected; hidden
+ * fields never are. Email addresses and account internals are never included.
  * 
  * @route GET /user/:id
  * @middleware userAuth - Requires authentication
- * @param {string} id - User ID (not used, user comes from auth token)
+ * @param {string} id - User ID, or "me"
  * 
- * @returns {Object} User profile data
+ * @returns {Object} User profile data and whether the viewer is a connection
  * 
- * Note: This endpoint could be enhanced to allow viewing other users' profiles
- * by implementing proper authorization checks.
+ * @example
+ * GET /user/507f1f77bcf86cd799439011
+ * // { "user": { "_id": "...", "firstName": "Maya", "age": 27, ... }, "isConnection": false }
  */
 userRouter.get("/user/:id", userAuth, async (req, res) => {
   try {
     // Get the authenticated user from the request (set by userAuth middleware)
-    const user = req.user;
-    
+    const loggedUser = req.user;
+    const { id } = req.params;
+
+    // Step 1: Own profile - everything except secrets
+    if (id === "me" || id === loggedUser._id.toString()) {
+      return res.status(200).json({
+        message: "User profile retrieved successfully",
+        user: loggedUser.toPrivateJSON()
+      });
+    }
+
+    // Step 2: Find the other traveler
+    // Banned, hidden and blocked users and accounts pending deletion are treated as not found
+    const user = mongoose.Types.ObjectId.isValid(id)
+      ? await User.findOne({
+          _id: id,
+          accountStatus: { $ne: "banned" },
+          deletionScheduledFor: null,
+          ...notHiddenFilter(),
+        }).select(USER_SAVE_DATA)
+      : null;
+
+    // Blocked users (in either direction) are treated as not found too
+    if (!user || await Block.isBlockedBetween(loggedUser._id, user._id)) {
+      return res.status(404).json({
+        message: "User not found",
+        error: "USER_NOT_FOUND"
+      });
+    }
+
+    // Step 3: Connections may see "connections" fields
+    const [connection, trips] = await Promise.all([
+      ConnectionRequest.exists({
+        status: "accept",
+        $or: [
+          { fromUserId: loggedUser._id, toUserId: user._id },
+          { fromUserId: user._id, toUserId: loggedUser._id }
+        ],
+      }),
+      countCompletedTrips([user._id]),
+    ]);
+    const isConnection = Boolean(connection);
+
     res.status(200).json({
       message: "User profile retrieved successfully",
-      user: user
+      user: user.toPublicProfile({ isConnection, completedTrips: trips.get(user._id.toString()) || 0 }),
+      isConnection: isConnection
     });
     
   } catch (err) {
@@ -357,6 +647,14 @@ userRouter.patch("/user/:id", userAuth, async (req, res) => {
     const loggedUser = req.user;
     const updateUser = req.body;
 
+    // With a photo gallery, the profile image is always the primary photo
+    if (updateUser.image !== undefined && loggedUser.photos.length > 0) {
+      return res.status(409).json({
+        message: "Your profile image is your primary photo - change it with PATCH /user/photos/:photoId/primary",
+        error: "IMAGE_MANAGED_BY_GALLERY"
+      });
+    }
+
     // Step 2: Update user fields with new values
     // This approach allows partial updates (only specified fields are changed)
     Object.keys(updateUser).forEach((key) => {
@@ -365,10 +663,11 @@ userRouter.patch("/user/:id", userAuth, async (req, res) => {
 
     // Step 3: Save the updated user to the database
     await loggedUser.save();
+    recordAuditEvent(req, "profile.updated", { metadata: { fields: Object.keys(updateUser) } });
 
     res.status(200).json({
       message: `${loggedUser.firstName}, your profile updated successfully`,
-      user: loggedUser
+      user: loggedUser.toPrivateJSON()
     });
     
   } catch (err) {
@@ -0,0 +1,177 @@
+/**
+ * Identity Verification Routes
+ *
+ * Users ask to be verified by uploading a selfie and a photo of an identity
+ * document. Moderators review the request (GET/POST /admin/verifications...,
+ * see routes/admin.js); approval earns the "ID verified" trust badge.
+ *
+ * RULES:
+ * - The email address must be verified first
+ * - Only one pending request at a time; already verified users cannot submit
+ * - The images are stored privately and deleted once the request is reviewed
+ */
+
+const express = require("express");
+const { userAuth, requireSession, requireVerifiedEmail } = require("../middlewares/auth.js"); // Authentication middleware
+const { imageUpload, findInvalidImage } = require("../middlewares/upload.js"); // Multipart image parsing
+const VerificationRequest = require("../models/verificationRequest.js"); // Verification request model
+const { saveFile, removeFile } = require("../utilis/storage.js");         // File storage adapter
+const { recordAuditEvent } = require("../utilis/audit.js");              // Security audit log
+const { ALLOWED_PHOTO_TYPES } = require("../config/uploads");
+const verificationRouter = express.Router();                             // Express router instance
+
+/**
+ * Shape a request for its owner (no storage keys)
+ */
+const toVerificationResponse = (request) => ({
+  _id: request._id,
+  documentType: request.documentType,
+  status: request.status,
+  rejectionReason: request.rejectionReason,
+  reviewedAt: request.reviewedAt,
+  createdAt: request.createdAt,
+});
+
+/**
+ * GET /user/verification - Verification Status
+ *
+ * @route GET /user/verification
+ * @middleware userAuth
+ * @returns {Object} Whether the user is verified and their latest request, if any
+ */
+verificationRouter.get("/user/verification", userAuth, async (req, res) => {
+  try {
+    const latest = await VerificationRequest.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: "Verification status retrieved successfully",
+      data: {
+        isVerified: Boolean(req.user.identityVerifiedAt),
+        verifiedAt: req.user.identityVerifiedAt,
+        latestRequest: latest ? toVerificationResponse(latest) : null,
+      }
+    });
+
+  } catch (err) {
+    console.error("❌ Verification status error:", err.message);
+    res.status(500).json({
+      message: "Failed to retrieve verification status",
+      error: err.message
+    });
+  }
+});
+
+/**
+ * POST /user/verification - Submit a Verification Request
+ *
+ * @route POST /user/verification
+ * @middleware userAuth, requireSession, requireVerifiedEmail
+ * @param {File} selfie - multipart/form-data: a photo of the user's face
+ * @param {File} document - multipart/form-data: a photo of the identity document
+ * @param {string} req.body.documentType - passport, national_id or driving_license
+ *
+ * @example
+ * curl -X POST -b cookies.txt -F "selfie=@me.jpg" -F "document=@passport.jpg" \
+ *   -F "documentType=passport" http://localhost:7777/user/verification
+ */
+verificationRouter.post(
+  "/user/verification",
+  userAuth,
+  requireSession,
+  requireVerifiedEmail,
+  imageUpload([{ name: "selfie", maxCount: 1 }, { name: "document", maxCount: 1 }]),
+  async (req, res) => {
+    const stored = [];
+
+    try {
+      const loggedUser = req.user;
+      const { documentType } = req.body;
+      const [selfie] = req.files.selfie || [];
+      const [document] = req.files.document || [];
+
+      // Step 1: Validate the request
+      if (loggedUser.identityVerifiedAt) {
+        return res.status(409).json({
+          message: "Your identity is already verified",
+          error: "ALREADY_VERIFIED"
+        });
+      }
+      if (!VerificationRequest.DOCUMENT_TYPES.includes(documentType)) {
+        return res.status(400).json({
+          message: `documentType must be one of: ${VerificationRequest.DOCUMENT_TYPES.join(", ")}`,
+          error: "INVALID_DOCUMENT_TYPE"
+        });
+      }
+      if (!selfie || !document) {
+        return res.status(400).json({
+          message: 'Attach both a "selfie" and a "document" image',
+          error: "MISSING_FILES"
+        });
+      }
+      const fakeFile = findInvalidImage([selfie, document]);
+      if (fakeFile) {
+        return res.status(415).json({
+          message: `The ${fakeFile.fieldname} is not a valid ${ALLOWED_PHOTO_TYPES[fakeFile.mimetype].toUpperCase()} image`,
+          error: "INVALID_FILE_TYPE"
+        });
+      }
+      if (await VerificationRequest.exists({ userId: loggedUser._id, status: "pending" })) {
+        return res.status(409).json({
+          message: "You already have a verification request waiting for review",
+          error: "REQUEST_PENDING"
+        });
+      }
+
+      // Step 2: Store both images privately
+      const storeImage = async (file) => {
+        const { key } = await saveFile({
+          buffer: file.buffer,
+          contentType: file.mimetype,
+          extension: ALLOWED_PHOTO_TYPES[file.mimetype],
+          folder: `verification/${loggedUser._id}`,
+          isPrivate: true,
+        });
+        stored.push(key);
+        return { key, contentType: file.mimetype, size: file.size };
+      };
+
+      const request = new VerificationRequest({
+        userId: loggedUser._id,
+        documentType,
+        selfie: await storeImage(selfie),
+        document: await storeImage(document),
+      });
+      await request.save();
+
+      console.log(`🪪 Verification request submitted by ${loggedUser.emailId}`);
+      recordAuditEvent(req, "identity.verification_requested", {
+        metadata: { requestId: request._id, documentType }
+      });
+
+      res.status(201).json({
+        message: "Verification request submitted. A moderator will review it soon.",
+        data: toVerificationResponse(request)
+      });
+
+    } catch (err) {
+      // Do not leave orphaned documents behind
+      await Promise.all(stored.map((key) => removeFile(key).catch(() => {})));
+
+      // Two parallel submissions: the unique index lets only one through
+      if (err.code === 11000) {
+        return res.status(409).json({
+          message: "You already have a verification request waiting for review",
+          error: "REQUEST_PENDING"
+        });
+      }
+
+      console.error("❌ Verification request error:", err.message);
+      res.status(400).json({
+        message: "Failed to submit verification request",
+        error: err.message
+      });
+    }
+  }
+);
+
+module.exports = verificationRouter;
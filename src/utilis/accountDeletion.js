@@ -0,0 +1,170 @@
+/**
+ * Account Deletion Utilities
+ *
+ * Removes a user and every reference to them from the other collections.
+ * Used by the account deletion job once the grace period of DELETE /user/me
+ * has passed.
+ *
+ * WHAT HAPPENS TO THE USER'S DATA:
+ * - Connection requests sent or received: deleted
+ * - Blocks made by or against them: deleted
+ * - Reports they filed: deleted; reports about them: kept for moderators
+ * - Reviews they wrote or received: deleted (the other users' ratings are
+ *   recalculated)
+ * - Sessions and API keys: deleted
+ * - Uploaded photos: removed from storage
+ * - Identity verification requests and their images: deleted
+ * - Group memberships: removed
+ * - Groups they administer: handed over to the longest-standing remaining
+ *   member (verified members first), or deleted when nobody is left
+ * - The User document itself: deleted last, so an interrupted purge is
+ *   simply retried on the next run
+ * - Audit log entries: kept as a security record until the retention job
+ *   prunes them (see jobs/auditLogRetention.js)
+ */
+
+const User = require("../models/user");
+const ConnectionRequest = require("../models/connectionRequest");
+const Group = require("../models/group");
+const Session = require("../models/session");
+const ApiKey = require("../models/apiKey");
+const VerificationRequest = require("../models/verificationRequest");
+const Block = require("../models/block");
+const Report = require("../models/report");
+const Review = require("../models/review");
+const { removeFile } = require("./storage");
+
+/**
+ * Hand over or delete the groups a user administers
+ *
+ * @param {ObjectId} userId - Departing group admin
+ * @returns {Promise<{transferred: number, deleted: number}>}
+ */
+const releaseAdministeredGroups = async (userId) => {
+  const groups = await Group.find({ groupAdmin: userId });
+  let transferred = 0;
+  let deleted = 0;
+
+  for (const group of groups) {
+    const remainingMembers = group.groupMembers.filter(
+      (member) => member.user && !member.user.equals(userId)
+    );
+
+    if (remainingMembers.length === 0) {
+      await Group.deleteOne({ _id: group._id });
+      deleted += 1;
+      continue;
+    }
+
+    // groupMembers is in join order, so this picks the longest-standing member
+    const newAdmin = remainingMembers.find((member) => member.isVerified) || remainingMembers[0];
+    newAdmin.isVerified = true;
+
+    // updateOne rather than save(): older groups may not pass today's validators
+    await Group.updateOne(
+      { _id: group._id },
+      {
+        $set: {
+          groupAdmin: newAdmin.user,
+          groupMembers: remainingMembers.map((member) => member.toObject()),
+        },
+      }
+    );
+    transferred += 1;
+  }
+
+  return { transferred, deleted };
+};
+
+/**
+ * Permanently delete a user and everything that references them
+ *
+ * Every step is idempotent, so calling it again after a failure is safe.
+ *
+ * @param {ObjectId} userId - User to delete
+ * @returns {Promise<Object>} - Counts of what was removed, for logging
+ */
+const purgeUserData = async (userId) => {
+  const connectionRequests = await ConnectionRequest.deleteMany({
+    $or: [{ fromUserId: userId }, { toUserId: userId }],
+  });
+
+  const groups = await releaseAdministeredGroups(userId);
+  const memberships = await Group.updateMany(
+    { "groupMembers.user": userId },
+    { $pull: { groupMembers: { user: userId } } }
+  );
+
+  const blocks = await Block.deleteMany({
+    $or: [{ blockerId: userId }, { blockedId: userId }],
+  });
+
+  const reports = await Report.deleteMany({ reporterId: userId });
+
+  const reviewees = await Review.distinct("revieweeId", { reviewerId: userId });
+  const reviews = await Review.deleteMany({
+    $or: [{ reviewerId: userId }, { revieweeId: userId }],
+  });
+  for (const revieweeId of reviewees) {
+    await Review.refreshRating(revieweeId);
+  }
+
+  const sessions = await Session.deleteMany({ userId });
+  const apiKeys = await ApiKey.deleteMany({ userId });
+
+  const user = await User.findById(userId).select("photos");
+  const photos = user ? user.photos : [];
+  await Promise.all(photos.map((photo) => removeFile(photo.key)));
+
+  const verifications = await VerificationRequest.find({ userId });
+  await Promise.all(verifications
+    .flatMap((request) => [request.selfie, request.document])
+    .filter(Boolean)
+    .map((file) => removeFile(file.key)));
+  await VerificationRequest.deleteMany({ userId });
+
+  await User.deleteOne({ _id: userId });
+
+  return {
+    connectionRequests: connectionRequests.deletedCount,
+    blocks: blocks.deletedCount,
+    reports: reports.deletedCount,
+    reviews: reviews.deletedCount,
+    groupsTransferred: groups.transferred,
+    groupsDeleted: groups.deleted,
+    groupMemberships: memberships.modifiedCount,
+    sessions: sessions.deletedCount,
+    apiKeys: apiKeys.deletedCount,
+    photos: photos.length,
+    verificationRequests: verifications.length,
+  };
+};
+
+/**
+ * Purge every account whose deletion grace period has ended
+ *
+ * @returns {Promise<number>} - Number of accounts deleted
+ */
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } })
+    .select("_id emailId");
+
+  let purged = 0;
+  for (const user of dueUsers) {
+    try {
+      const summary = await purgeUserData(user._id);
+      purged += 1;
+      console.log(`🗑️ Deleted account ${user.emailId}:`, summary);
+    } catch (err) {
+      // Leave it scheduled - the next run retries
+      console.error(`❌ Failed to delete account ${user.emailId}:`, err.message);
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  purgeUserData,
+  purgeDueAccounts,
+};
@@ -0,0 +1,46 @@
+/**
+ * Audit Logging
+ *
+ * Records security events in the AuditLog collection together with the
+ * client IP and user agent of the request that caused them.
+ *
+ * Writing the log never fails or slows down the request: errors are only
+ * logged to the console, and callers do not need to await the result.
+ */
+
+const AuditLog = require("../models/auditLog");
+
+/**
+ * Record an audit event
+ *
+ * @param {Object} req - Express request (IP and user agent are taken from it)
+ * @param {string} event - One of AuditLog.AUDIT_EVENTS
+ * @param {Object} details
+ * @param {ObjectId} details.userId - Account the event is about (defaults to req.user)
+ * @param {ObjectId} details.actorId - Who caused it (defaults to req.user, else userId)
+ * @param {Object} details.metadata - Event specific details, never secrets
+ * @returns {Promise<void>} - Always resolves
+ *
+ * @example
+ * recordAuditEvent(req, "password.changed");
+ * recordAuditEvent(req, "admin.user_banned", { userId: target._id, metadata: { reason } });
+ */
+const recordAuditEvent = async (req, event, { userId, actorId, metadata = {} } = {}) => {
+  const currentUserId = req.user ? req.user._id : null;
+  const subjectId = userId !== undefined ? userId : currentUserId;
+
+  try {
+    await AuditLog.create({
+      event,
+      userId: subjectId,
+      actorId: actorId !== undefined ? actorId : currentUserId || subjectId,
+      ip: req.ip || "",
+      userAgent: req.get("user-agent") || "",
+      metadata,
+    });
+  } catch (err) {
+    console.error(`❌ Failed to record audit event ${event}:`, err.message);
+  }
+};
+
+module.exports = { recordAuditEvent };
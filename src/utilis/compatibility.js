@@ -0,0 +1,225 @@
+/**
+ * Compatibility Score
+ *
+ * Ranks discovery feed candidates for a viewer. Each factor yields a value
+ * between 0 and 1 that is multiplied by its weight (config/compatibility.js),
+ * so the score runs from 0 to 100:
+ * - destinations: preferred destinations in common (case-insensitive)
+ * - travelDates: an availability window overlapping one of the viewer's
+ * - interests: interests in common
+ * - age: 1 for the same age, dropping to 0 at AGE_PROXIMITY_YEARS apart
+ * - profile: share of the optional profile fields the candidate filled in
+ *
+ * List factors use the overlap coefficient (shared / size of the shorter
+ * list), so a viewer with a single destination fully matches anyone sharing it.
+ *
+ * The score is computed inside the aggregation pipeline, so the feed can be
+ * sorted by it in the database. Only fields the candidate made public count
+ * (feed users are never connections), otherwise the score would leak hidden data.
+ */
+
+const {
+  COMPATIBILITY_WEIGHTS,
+  AGE_PROXIMITY_YEARS,
+  MAX_COMPATIBILITY_REASONS,
+} = require("../config/compatibility");
+
+// Optional fields counted by the profile completeness factor
+const PROFILE_COMPLETENESS_FIELDS = [
+  "age", "about", "interests", "languages", "homeCity", "preferredDestinations", "availability", "photos",
+];
+
+const normalizePlace = (place) => String(place).trim().toLowerCase();
+
+/**
+ * Availability windows that have not ended yet
+ */
+const upcomingWindows = (availability, now) => (availability || []).filter((window) => window.to >= now);
+
+/**
+ * Expression: value if the candidate made the field public, 0 otherwise
+ */
+const ifPublic = (field, expression) => ({
+  $cond: [{ $eq: [{ $ifNull: [`$privacySettings.${field}`, "public"] }, "public"] }, expression, 0],
+});
+
+/**
+ * Expression: shared items / size of the shorter list
+ * The viewer's list goes in as a $literal, so values starting with "$" are
+ * never read as field paths.
+ *
+ * @param {Object} theirs - Expression for the candidate's list (unique values)
+ * @param {string[]} mine - Viewer's list (unique values)
+ */
+const overlapCoefficient = (theirs, mine) => {
+  if (mine.length === 0) {
+    return 0;
+  }
+  return {
+    $let: {
+      vars: { theirs },
+      in: {
+        $divide: [
+          { $size: { $setIntersection: ["$$theirs", { $literal: mine }] } },
+          { $max: [1, { $min: [{ $size: "$$theirs" }, mine.length] }] },
+        ],
+      },
+    },
+  };
+};
+
+/**
+ * Expression: 1 if the field holds a value, 0 otherwise
+ */
+const isFilled = (field) => ({
+  $cond: [
+    {
+      $switch: {
+        branches: [
+          { case: { $isArray: `$${field}` }, then: { $gt: [{ $size: `$${field}` }, 0] } },
+          { case: { $eq: [{ $type: `$${field}` }, "string"] }, then: { $gt: [{ $strLenCP: { $trim: { input: `$${field}` } } }, 0] } },
+        ],
+        default: { $isNumber: `$${field}` },
+      },
+    },
+    1,
+    0,
+  ],
+});
+
+/**
+ * Build the aggregation stages adding the score to each candidate
+ *
+ * Adds `compatibility` (each factor, 0-1) and `score` (0-100, rounded).
+ *
+ * @param {User} viewer - The logged-in user
+ * @returns {Object[]} - Stages to run after the feed's $match
+ */
+const buildCompatibilityStages = (viewer) => {
+  const now = new Date();
+  const myDestinations = [...new Set((viewer.preferredDestinations || []).map(normalizePlace))];
+  const myInterests = [...new Set(viewer.interests || [])];
+  const myWindows = upcomingWindows(viewer.availability, now);
+
+  const theirDestinations = {
+    $setUnion: [{
+      $map: {
+        input: { $ifNull: ["$preferredDestinations", []] },
+        as: "place",
+        in: { $toLower: { $trim: { input: "$$place" } } },
+      },
+    }],
+  };
+
+  // Two ranges overlap when each starts before the other ends
+  const travelDates = myWindows.length === 0 ? 0 : {
+    $cond: [
+      {
+        $anyElementTrue: [{
+          $map: {
+            input: { $ifNull: ["$availability", []] },
+            as: "window",
+            in: {
+              $or: myWindows.map((window) => ({
+                $and: [
+                  { $lte: ["$$window.from", window.to] },
+                  { $gte: ["$$window.to", window.from] },
+                  { $gte: ["$$window.to", now] },
+                ],
+              })),
+            },
+          },
+        }],
+      },
+      1,
+      0,
+    ],
+  };
+
+  const age = typeof viewer.age !== "number" ? 0 : {
+    $cond: [
+      { $isNumber: "$age" },
+      { $max: [0, { $subtract: [1, { $divide: [{ $abs: { $subtract: ["$age", viewer.age] } }, AGE_PROXIMITY_YEARS] }] }] },
+      0,
+    ],
+  };
+
+  // A field the candidate hides counts as not filled in
+  const profile = {
+    $divide: [
+      {
+        $add: PROFILE_COMPLETENESS_FIELDS.map((field) =>
+          ifPublic(field === "photos" ? "image" : field, isFilled(field))),
+      },
+      PROFILE_COMPLETENESS_FIELDS.length,
+    ],
+  };
+
+  return [
+    {
+      $addFields: {
+        compatibility: {
+          destinations: ifPublic("preferredDestinations", overlapCoefficient(theirDestinations, myDestinations)),
+          travelDates: ifPublic("availability", travelDates),
+          interests: ifPublic("interests", overlapCoefficient({ $setUnion: [{ $ifNull: ["$interests", []] }] }, myInterests)),
+          age: ifPublic("age", age),
+          profile,
+        },
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $round: [{
+            $add: Object.entries(COMPATIBILITY_WEIGHTS).map(([factor, weight]) => ({
+              $multiply: [`$compatibility.${factor}`, weight],
+            })),
+          }, 0],
+        },
+      },
+    },
+  ];
+};
+
+/**
+ * Explain a candidate's score, strongest factor first
+ *
+ * Only describes what the candidate's public profile already shows.
+ *
+ * @param {User} viewer - The logged-in user
+ * @param {Object} candidate - Aggregated candidate with `compatibility`
+ * @returns {string[]} - At most MAX_COMPATIBILITY_REASONS reasons
+ */
+const compatibilityReasons = (viewer, candidate) => {
+  const factors = candidate.compatibility || {};
+
+  const describe = {
+    destinations: () => {
+      const mine = new Set((viewer.preferredDestinations || []).map(normalizePlace));
+      const shared = (candidate.preferredDestinations || []).filter((place) => mine.has(normalizePlace(place)));
+      return `You both want to visit ${shared.slice(0, 3).join(", ")}`;
+    },
+    travelDates: () => "Your travel dates overlap",
+    interests: () => {
+      const shared = (candidate.interests || []).filter((interest) => (viewer.interests || []).includes(interest));
+      return `Shared interests: ${shared.slice(0, 3).join(", ")}`;
+    },
+    age: () => "Close in age",
+    profile: () => "Complete profile",
+  };
+
+  // A half-filled profile is not worth mentioning
+  const isWorthMentioning = (factor) => factor === "profile" ? factors.profile >= 0.75 : factors[factor] > 0;
+
+  return Object.entries(COMPATIBILITY_WEIGHTS)
+    .filter(([factor]) => isWorthMentioning(factor))
+    .map(([factor, weight]) => ({ factor, points: factors[factor] * weight }))
+    .sort((a, b) => b.points - a.points)
+    .slice(0, MAX_COMPATIBILITY_REASONS)
+    .map(({ factor }) => describe[factor]());
+};
+
+module.exports = {
+  buildCompatibilityStages,
+  compatibilityReasons,
+};
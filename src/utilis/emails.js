@@ -0,0 +1,150 @@
+/**
+ * Transactional Emails
+ *
+ * Builds the emails Trawell sends to its users and hands them to the mailer.
+ * Links point to the frontend, which calls the matching API endpoint.
+ */
+
+const { sendMail } = require("./mailer");
+const {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+} = require("../config/auth");
+
+// Base URL of the frontend application used in email links
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Send the "verify your email" message
+ *
+ * @param {User} user - Recipient
+ * @param {string} token - Token from user.createEmailVerificationToken()
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user, token) => {
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.emailId,
+    subject: "Verify your Trawell email address",
+    text: [
+      `Hi ${user.firstName},`,
+      "",
+      "Please confirm your email address to start connecting with travelers:",
+      link,
+      "",
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours and can only be used once.`,
+      "If you did not create a Trawell account, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
+/**
+ * Send the "reset your password" message
+ *
+ * @param {User} user - Recipient
+ * @param {string} token - Plain token from user.createPasswordResetToken()
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.emailId,
+    subject: "Reset your Trawell password",
+    text: [
+      `Hi ${user.firstName},`,
+      "",
+      "We received a request to reset your password. Choose a new one here:",
+      link,
+      "",
+      `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+      "Resetting your password signs you out of every device.",
+      "If you did not ask for this, you can safely ignore this email.",
+    ].join("\n"),
+  });
+};
+
+/**
+ * Send the "your account will be deleted" confirmation
+ *
+ * @param {User} user - Recipient
+ * @param {Date} scheduledFor - When the account will be purged
+ * @returns {Promise<void>}
+ */
+const sendAccountDeletionEmail = async (user, scheduledFor) => {
+  await sendMail({
+    to: user.emailId,
+    subject: "Your Trawell account is scheduled for deletion",
+    text: [
+      `Hi ${user.firstName},`,
+      "",
+      `Your account and all of its data will be permanently deleted on ${scheduledFor.toUTCString()}.`,
+      "You have been signed out of every device and your API keys were revoked.",
+      "",
+      `Changed your mind? Log in again before then to keep your account: ${FRONTEND_URL}/login`,
+    ].join("\n"),
+  });
+};
+
+/**
+ * Tell a user how their identity verification request was decided
+ *
+ * @param {User} user - Recipient
+ * @param {VerificationRequest} request - The reviewed request
+ * @returns {Promise<void>}
+ */
+const sendVerificationDecisionEmail = async (user, request) => {
+  const approved = request.status === "approved";
+  await sendMail({
+    to: user.emailId,
+    subject: approved ? "Your identity is verified" : "We could not verify your identity",
+    text: [
+      `Hi ${user.firstName},`,
+      "",
+      ...(approved
+        ? ["A moderator approved your identity verification. Your profile now shows the ID verified badge."]
+        : [
+            `A moderator could not approve your identity verification: ${request.rejectionReason}`,
+            `You can submit a new request at any time: ${FRONTEND_URL}/settings/verification`,
+          ]),
+      "",
+      "The photos you uploaded have been deleted.",
+    ].join("\n"),
+  });
+};
+
+/**
+ * Tell a reporter that their report has been reviewed
+ * The moderator's note and the exact action taken are not shared.
+ *
+ * @param {User} reporter - Recipient
+ * @param {Report} report - The resolved report
+ * @returns {Promise<void>}
+ */
+const sendReportResolvedEmail = async (reporter, report) => {
+  const actioned = report.status === "actioned";
+  await sendMail({
+    to: reporter.emailId,
+    subject: "We reviewed your report",
+    text: [
+      `Hi ${reporter.firstName},`,
+      "",
+      `Thanks for reporting this ${report.targetType} to us on ${report.createdAt.toUTCString()}.`,
+      actioned
+        ? "Our moderators found that it broke the Trawell community rules and took action."
+        : "Our moderators reviewed it and did not find a violation of the Trawell community rules.",
+      ...(report.targetType === "user"
+        ? ["", "If you no longer want to hear from this person, you can block them from their profile."]
+        : []),
+    ].join("\n"),
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountDeletionEmail,
+  sendVerificationDecisionEmail,
+  sendReportResolvedEmail,
+};
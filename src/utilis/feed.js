@@ -0,0 +1,104 @@
+/**
+ * Discovery Feed Utilities
+ *
+ * Turns validated feed filters (see validFeedFilters in utilis/validation.js)
+ * into MongoDB conditions, so filtering happens in the database query
+ * rather than on a page of results in memory.
+ *
+ * FILTERS:
+ * - minAge / maxAge: age range (users without an age are left out)
+ * - genders: any of the given genders
+ * - languages: speaks at least one of the given languages
+ * - destination: a preferred destination containing the text (case-insensitive)
+ * - travelFrom / travelTo: an availability window overlapping the range
+ *
+ * Feed users are never connections of the viewer, so a filter only matches
+ * users who made the filtered field public (see User.privacySettings);
+ * otherwise filtering would reveal hidden values.
+ */
+
+/**
+ * Escape user input before using it inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Condition on a profile field, limited to users who made that field public
+ *
+ * @param {string} field - One of User.PROFILE_PRIVACY_FIELDS
+ * @param {Object} condition - Condition on the field
+ * @returns {Object}
+ */
+const publicField = (field, condition) => ({
+  [field]: condition,
+  [`privacySettings.${field}`]: { $in: ["public", null] },
+});
+
+/**
+ * Combine saved default filters with the ones from the query string
+ * Query filters replace saved ones field by field; age and travel date
+ * ranges are replaced as a whole so a query never mixes both bounds.
+ *
+ * @param {Object} saved - user.feedFilters (may be undefined)
+ * @param {Object} query - Validated filters from the query string
+ * @returns {Object}
+ */
+const mergeFeedFilters = (saved, query) => {
+  const merged = { ...(saved || {}) };
+  if (query.minAge !== undefined || query.maxAge !== undefined) {
+    delete merged.minAge;
+    delete merged.maxAge;
+  }
+  if (query.travelFrom !== undefined || query.travelTo !== undefined) {
+    delete merged.travelFrom;
+    delete merged.travelTo;
+  }
+  return { ...merged, ...query };
+};
+
+/**
+ * Build the MongoDB conditions for a set of feed filters
+ *
+ * @param {Object} filters - Validated filters
+ * @returns {Object[]} - Conditions to add to the feed's $and
+ */
+const buildFeedFilterQuery = (filters) => {
+  const conditions = [];
+
+  if (filters.minAge !== undefined || filters.maxAge !== undefined) {
+    const age = {};
+    if (filters.minAge !== undefined) age.$gte = filters.minAge;
+    if (filters.maxAge !== undefined) age.$lte = filters.maxAge;
+    conditions.push(publicField("age", age));
+  }
+
+  if (filters.genders && filters.genders.length) {
+    conditions.push(publicField("gender", { $in: filters.genders }));
+  }
+
+  if (filters.languages && filters.languages.length) {
+    conditions.push(publicField("languages", { $in: filters.languages }));
+  }
+
+  if (filters.destination) {
+    conditions.push(publicField("preferredDestinations", {
+      $regex: escapeRegex(filters.destination),
+      $options: "i",
+    }));
+  }
+
+  // Two ranges overlap when each starts before the other ends
+  if (filters.travelFrom || filters.travelTo) {
+    const window = {};
+    if (filters.travelTo) window.from = { $lte: filters.travelTo };
+    if (filters.travelFrom) window.to = { $gte: filters.travelFrom };
+    conditions.push(publicField("availability", { $elemMatch: window }));
+  }
+
+  return conditions;
+};
+
+module.exports = {
+  mergeFeedFilters,
+  buildFeedFilterQuery,
+};
@@ -0,0 +1,107 @@
+/**
+ * Geo Utilities
+ *
+ * Helpers for the GeoJSON locations on users and groups:
+ * - parsing and validating { lat, lng } input
+ * - building GeoJSON points (MongoDB wants [longitude, latitude])
+ * - location fuzzing: user positions are snapped to a grid before they are
+ *   stored, and distances shown to others are rounded, so nobody can work
+ *   out where a traveler is exactly
+ */
+
+const { LOCATION_GRID_DEGREES, DISTANCE_STEP_KM, DEFAULT_RADIUS_KM, MAX_RADIUS_KM } = require("../config/geo");
+
+/**
+ * Validate { lat, lng } input (numbers or numeric strings)
+ *
+ * @param {Object} input - { lat, lng }
+ * @param {string} label - Name used in error messages
+ * @returns {{lat: number, lng: number}}
+ * @throws {Error} - If either coordinate is missing or out of range
+ */
+const parseCoordinates = (input, label = "location") => {
+  if (!input || typeof input !== "object") {
+    throw new Error(`${label} must be an object with lat and lng`);
+  }
+
+  const lat = Number(input.lat);
+  const lng = Number(input.lng);
+  const isSet = (value) => value !== undefined && value !== null && value !== "";
+  if (!isSet(input.lat) || !isSet(input.lng) || Number.isNaN(lat) || Number.isNaN(lng)) {
+    throw new Error(`${label} needs numeric lat and lng`);
+  }
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    throw new Error(`${label} is out of range (lat -90 to 90, lng -180 to 180)`);
+  }
+
+  return { lat, lng };
+};
+
+/**
+ * Build a GeoJSON point
+ *
+ * @param {{lat: number, lng: number}} coordinates - Validated coordinates
+ * @param {Object} options
+ * @param {boolean} options.fuzz - Snap to LOCATION_GRID_DEGREES (always for user positions)
+ * @returns {{type: "Point", coordinates: number[]}}
+ */
+const toPoint = ({ lat, lng }, { fuzz = false } = {}) => {
+  // Rounding to the grid, then to 6 decimals to drop floating point noise
+  const snap = (value) => fuzz
+    ? Number((Math.round(value / LOCATION_GRID_DEGREES) * LOCATION_GRID_DEGREES).toFixed(6))
+    : value;
+
+  return {
+    type: "Point",
+    coordinates: [Math.max(-180, Math.min(180, snap(lng))), Math.max(-90, Math.min(90, snap(lat)))],
+  };
+};
+
+/**
+ * Distance shown to other users
+ *
+ * @param {number} meters - Distance from $geoNear
+ * @returns {number} - Kilometers, rounded up to DISTANCE_STEP_KM (never 0)
+ */
+const toFuzzyDistanceKm = (meters) =>
+  Math.max(1, Math.ceil(meters / 1000 / DISTANCE_STEP_KM)) * DISTANCE_STEP_KM;
+
+/**
+ * toFuzzyDistanceKm as an aggregation expression
+ *
+ * Lists are sorted and paged by this value rather than the exact distance,
+ * so cursors (see utilis/pagination.js) never carry a precise distance either.
+ *
+ * @param {string} field - Field holding the $geoNear distance in meters, e.g. "$distance"
+ * @returns {Object}
+ */
+const fuzzyDistanceKmExpression = (field) => ({
+  $multiply: [{ $max: [1, { $ceil: { $divide: [field, 1000 * DISTANCE_STEP_KM] } }] }, DISTANCE_STEP_KM],
+});
+
+/**
+ * Validate the radiusKm query parameter
+ *
+ * @param {string|number} value - Raw value (optional)
+ * @returns {number} - Radius in km (DEFAULT_RADIUS_KM when not given)
+ * @throws {Error} - If it is not a positive number up to MAX_RADIUS_KM
+ */
+const parseRadiusKm = (value) => {
+  if (value === undefined || value === "") {
+    return DEFAULT_RADIUS_KM;
+  }
+
+  const radiusKm = Number(value);
+  if (Number.isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    throw new Error(`radiusKm must be a number between 0 and ${MAX_RADIUS_KM}`);
+  }
+  return radiusKm;
+};
+
+module.exports = {
+  parseCoordinates,
+  toPoint,
+  toFuzzyDistanceKm,
+  fuzzyDistanceKmExpression,
+  parseRadiusKm,
+};
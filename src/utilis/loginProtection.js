@@ -0,0 +1,198 @@
+/**
+ * Login Brute-force Protection
+ *
+ * Tracks failed logins per account (on the User document) and per client IP
+ * (LoginThrottle collection) and decides whether a new attempt is allowed.
+ *
+ * RULES:
+ * - Exponential backoff: after a few free attempts every further failure
+ *   doubles the wait before the next attempt is accepted (429)
+ * - Account lockout: LOGIN_MAX_ATTEMPTS consecutive failures lock the account
+ *   for LOGIN_LOCKOUT_MINUTES (423). The lock ends on its own or through
+ *   POST /auth/reset-password
+ * - IP block: LOGIN_IP_MAX_ATTEMPTS failures from one IP block that IP for
+ *   LOGIN_LOCKOUT_MINUTES (429), whichever accounts were targeted
+ */
+
+const User = require("../models/user");
+const LoginThrottle = require("../models/loginThrottle");
+const {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_IP_MAX_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_BACKOFF_BASE_SECONDS,
+} = require("../config/auth");
+
+// Failures allowed before the backoff delay kicks in
+const ACCOUNT_FREE_ATTEMPTS = 2;
+const IP_FREE_ATTEMPTS = 5;
+
+// Longest backoff delay, the lockout takes over after that
+const MAX_BACKOFF_SECONDS = 5 * 60;
+
+/**
+ * Seconds a client has to wait after `failures` consecutive failures
+ *
+ * @param {number} failures - Consecutive failed attempts
+ * @param {number} freeAttempts - Failures that do not trigger a delay
+ * @returns {number} - Delay in seconds (0 = no delay)
+ *
+ * @example
+ * backoffSeconds(3, 2); // 1 (base), then 2, 4, 8 ... for 4, 5, 6 failures
+ */
+const backoffSeconds = (failures, freeAttempts) => {
+  if (failures <= freeAttempts) {
+    return 0;
+  }
+  return Math.min(
+    LOGIN_BACKOFF_BASE_SECONDS * 2 ** (failures - freeAttempts - 1),
+    MAX_BACKOFF_SECONDS
+  );
+};
+
+/**
+ * Seconds left until `date`, rounded up (0 when the date has passed)
+ */
+const secondsUntil = (date) =>
+  date ? Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / 1000)) : 0;
+
+/**
+ * Decide whether a login attempt may proceed
+ *
+ * Must be called BEFORE the password is checked so that guesses made while
+ * blocked are never evaluated.
+ *
+ * @param {User|null} user - Account being logged into (null if the email is unknown)
+ * @param {string} ip - Client IP address
+ * @returns {Promise<null|{status: number, error: string, message: string, retryAfter: number}>}
+ *          null if the attempt is allowed, otherwise the response to send
+ */
+const checkLoginAllowed = async (user, ip) => {
+  // Step 1: Per-IP block and backoff
+  const throttle = await LoginThrottle.findOne({ ip, expiresAt: { $gt: new Date() } });
+  if (throttle) {
+    const retryAfter = Math.max(
+      secondsUntil(throttle.blockedUntil),
+      secondsUntil(
+        throttle.lastFailedAt &&
+          throttle.lastFailedAt.getTime() + backoffSeconds(throttle.failedAttempts, IP_FREE_ATTEMPTS) * 1000
+      )
+    );
+    if (retryAfter > 0) {
+      return {
+        status: 429,
+        error: "TOO_MANY_ATTEMPTS",
+        message: `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+        retryAfter,
+      };
+    }
+  }
+
+  if (!user) {
+    return null;
+  }
+
+  // Step 2: Account lockout
+  const lockedFor = secondsUntil(user.lockUntil);
+  if (lockedFor > 0) {
+    return {
+      status: 423,
+      error: "ACCOUNT_LOCKED",
+      message: `Account temporarily locked after too many failed attempts. Try again in ${Math.ceil(lockedFor / 60)} minute(s) or reset your password.`,
+      retryAfter: lockedFor,
+    };
+  }
+
+  // Step 3: Per-account backoff
+  const retryAfter = secondsUntil(
+    user.lastFailedLoginAt &&
+      user.lastFailedLoginAt.getTime() + backoffSeconds(user.failedLoginAttempts, ACCOUNT_FREE_ATTEMPTS) * 1000
+  );
+  if (retryAfter > 0) {
+    return {
+      status: 429,
+      error: "TOO_MANY_ATTEMPTS",
+      message: `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+      retryAfter,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Record a failed login attempt
+ *
+ * Counters are incremented atomically so parallel guesses are all counted.
+ *
+ * @param {User|null} user - Account that was targeted (null if the email is unknown)
+ * @param {string} ip - Client IP address
+ * @returns {Promise<{locked: boolean, lockUntil?: Date}>} - Whether this failure locked the account
+ */
+const recordLoginFailure = async (user, ip) => {
+  const now = new Date();
+  const lockUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+  // Step 1: Count the failure against the IP
+  // An expired (but not yet purged) throttle document starts over from zero
+  await LoginThrottle.deleteOne({ ip, expiresAt: { $lte: now } });
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { ip },
+    { $inc: { failedAttempts: 1 }, $set: { lastFailedAt: now, expiresAt: lockUntil } },
+    { upsert: true, new: true }
+  );
+  if (throttle.failedAttempts >= LOGIN_IP_MAX_ATTEMPTS) {
+    await LoginThrottle.updateOne(
+      { _id: throttle._id },
+      { $set: { blockedUntil: lockUntil, failedAttempts: 0 } }
+    );
+    console.warn(`🚨 Login attempts from ${ip} blocked until ${lockUntil.toISOString()}`);
+  }
+
+  if (!user) {
+    return { locked: false };
+  }
+
+  // Step 2: Count the failure against the account
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+
+  // Step 3: Lock the account once the threshold is reached
+  // The counter restarts so the user gets a fresh set of attempts after the lock
+  if (updated && updated.failedLoginAttempts >= LOGIN_MAX_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { lockUntil, failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: "" } }
+    );
+    console.warn(`🔒 Account ${user.emailId} locked until ${lockUntil.toISOString()}`);
+    return { locked: true, lockUntil };
+  }
+
+  return { locked: false };
+};
+
+/**
+ * Reset the account counters after a successful login
+ *
+ * The IP counter is left alone on purpose: otherwise an attacker could clear
+ * it by logging into their own account between guesses. It decays instead.
+ *
+ * @param {User} user - Account that logged in
+ */
+const recordLoginSuccess = async (user) => {
+  if (user.failedLoginAttempts || user.lockUntil || user.lastFailedLoginAt) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: "", lastFailedLoginAt: "" } }
+    );
+  }
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
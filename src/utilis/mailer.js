@@ -0,0 +1,114 @@
+/**
+ * Mailer - Pluggable Mail Transport
+ *
+ * Route handlers never talk to a mail provider directly. They call sendMail()
+ * and the configured transport decides what happens with the message.
+ *
+ * BUILT-IN TRANSPORTS:
+ * - console: prints the message to the server log (default outside production)
+ * - file:    writes every message as a JSON file into an outbox directory,
+ *            handy for local development and manual testing of links
+ *
+ * A real provider (SMTP, SES, SendGrid, ...) can be plugged in at startup:
+ *
+ * @example
+ * const { registerTransport } = require("./utilis/mailer");
+ * registerTransport("smtp", async (message) => {
+ *   await smtpClient.send(message);
+ * });
+ * // and set MAIL_TRANSPORT=smtp in .env
+ *
+ * In production MAIL_TRANSPORT must be set: falling back to the console would
+ * print live verification and password reset links into the server logs.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Sender address used when the caller does not provide one
+const DEFAULT_FROM = process.env.MAIL_FROM || "Trawell <no-reply@trawell.local>";
+
+// Directory used by the file transport
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox");
+
+/**
+ * Built-in transports
+ * Each transport is an async function receiving the full message object.
+ */
+const transports = {
+  console: async (message) => {
+    console.log("📧 Outgoing email");
+    console.log(`   To:      ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(`   ${message.text.split("\n").join("\n   ")}`);
+  },
+
+  file: async (message) => {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+    await fs.writeFile(path.join(OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+    console.log(`📧 Email to ${message.to} written to outbox/${fileName}`);
+  },
+};
+
+/**
+ * Name of the configured transport
+ *
+ * @returns {string}
+ * @throws {Error} - In production when MAIL_TRANSPORT is not set
+ */
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("MAIL_TRANSPORT is not set. Configure a mail transport before sending emails in production.");
+  }
+  return "console";
+};
+
+// Say so at startup rather than on the first signup
+if (process.env.NODE_ENV === "production" && !process.env.MAIL_TRANSPORT) {
+  console.error("❌ MAIL_TRANSPORT is not set - no emails will be sent until it is configured");
+}
+
+/**
+ * Register (or replace) a transport
+ *
+ * @param {string} name - Name used in MAIL_TRANSPORT
+ * @param {Function} transport - async (message) => void
+ */
+const registerTransport = (name, transport) => {
+  if (typeof transport !== "function") {
+    throw new Error("Mail transport must be a function");
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ *
+ * @param {Object} message - Email to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - Optional HTML body
+ * @param {string} [message.from] - Sender (defaults to MAIL_FROM)
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html, from = DEFAULT_FROM }) => {
+  const transportName = getTransportName();
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${transportName}"`);
+  }
+
+  await transport({ from, to, subject, text, html, date: new Date().toISOString() });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+};
@@ -0,0 +1,113 @@
+/**
+ * Moderation Utilities
+ *
+ * Helpers shared by the report routes (routes/reports.js), the moderation
+ * queue (routes/admin.js) and every place that lists users or groups.
+ *
+ * AUTOMATIC HIDING:
+ * Once REPORT_AUTO_HIDE_THRESHOLD distinct users have open reports against
+ * the same user or group, it gets hiddenUntil = now + REPORT_AUTO_HIDE_HOURS.
+ * Hidden users disappear from feeds and profile lookups and cannot receive
+ * connection requests; hidden groups disappear from GET /groups and cannot
+ * be joined. Dismissing the reports lifts the hiding early.
+ *
+ * Suspended and banned accounts (routes/admin.js) are left out of the same
+ * listings with activeAccountFilter().
+ */
+
+const User = require("../models/user");
+const Group = require("../models/group");
+const Report = require("../models/report");
+const { REPORT_AUTO_HIDE_THRESHOLD, REPORT_AUTO_HIDE_HOURS } = require("../config/moderation");
+
+// Model behind each report target type
+const TARGET_MODELS = {
+  user: User,
+  group: Group,
+};
+
+/**
+ * Query condition matching users/groups that are not currently hidden
+ *
+ * @returns {Object} - Use inside $and / spread into a filter
+ */
+const notHiddenFilter = () => ({
+  $or: [{ hiddenUntil: null }, { hiddenUntil: { $lte: new Date() } }],
+});
+
+/**
+ * Query condition matching users who are neither banned nor currently
+ * suspended (the same rule as User.getAccountRestriction)
+ *
+ * @returns {Object} - Use inside $and / spread into a filter
+ */
+const activeAccountFilter = () => ({
+  $or: [
+    { accountStatus: { $nin: ["suspended", "banned"] } },
+    { accountStatus: "suspended", suspendedUntil: { $lte: new Date() } },
+  ],
+});
+
+/**
+ * Is a user or group document currently hidden?
+ *
+ * @param {Object} target - User or Group document
+ * @returns {boolean}
+ */
+const isHidden = (target) => Boolean(target.hiddenUntil && target.hiddenUntil > new Date());
+
+/**
+ * Load the user or group a report is about
+ *
+ * @param {string} targetType - "user" or "group"
+ * @param {ObjectId|string} targetId
+ * @returns {Promise<Document|null>}
+ */
+const findReportTarget = async (targetType, targetId) => TARGET_MODELS[targetType].findById(targetId);
+
+/**
+ * Hide a target once enough distinct users have reported it
+ *
+ * @param {string} targetType - "user" or "group"
+ * @param {ObjectId} targetId
+ * @returns {Promise<boolean>} - true if the target was hidden by this call
+ */
+const applyAutoHide = async (targetType, targetId) => {
+  const reporters = await Report.distinct("reporterId", { targetType, targetId, status: "open" });
+  if (reporters.length < REPORT_AUTO_HIDE_THRESHOLD) {
+    return false;
+  }
+
+  // Only hide targets that are not hidden already, so the period is not extended by every new report
+  const hiddenUntil = new Date(Date.now() + REPORT_AUTO_HIDE_HOURS * 60 * 60 * 1000);
+  const result = await TARGET_MODELS[targetType].updateOne(
+    { _id: targetId, ...notHiddenFilter() },
+    { $set: { hiddenUntil } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`🙈 ${targetType} ${targetId} hidden until ${hiddenUntil.toISOString()} after ${reporters.length} reports`);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Lift an automatic hiding (used when the reports are dismissed)
+ *
+ * @param {string} targetType - "user" or "group"
+ * @param {ObjectId} targetId
+ * @returns {Promise<void>}
+ */
+const liftAutoHide = async (targetType, targetId) => {
+  await TARGET_MODELS[targetType].updateOne({ _id: targetId }, { $set: { hiddenUntil: null } });
+};
+
+module.exports = {
+  notHiddenFilter,
+  activeAccountFilter,
+  isHidden,
+  findReportTarget,
+  applyAutoHide,
+  liftAutoHide,
+};
@@ -0,0 +1,237 @@
+/**
+ * OpenID Connect Client Utilities
+ *
+ * Minimal OIDC relying party for the authorization code flow with PKCE:
+ * 1. Discover the provider endpoints (or use the configured ones)
+ * 2. Build the authorization URL with state, nonce and code_challenge
+ * 3. Exchange the returned code (plus code_verifier) for tokens
+ * 4. Verify the ID token signature against the provider JWKS and check
+ *    issuer, audience, expiry and nonce
+ *
+ * Uses the global fetch() available since Node.js 18.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// Cached discovery documents and JWKS, keyed by provider name
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+// Signature algorithms accepted for ID tokens (asymmetric only)
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"];
+
+/**
+ * Base64url encoding without padding (RFC 7636 appendix A)
+ */
+const base64url = (buffer) =>
+  buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+/**
+ * Create an OIDC error carrying a machine readable code
+ */
+const oidcError = (message, code = "OIDC_ERROR") => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Fetch JSON and fail loudly on HTTP errors
+ */
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw oidcError(
+      `Identity provider request failed (${response.status}): ${body.error_description || body.error || url}`,
+      "OIDC_PROVIDER_ERROR"
+    );
+  }
+  return body;
+};
+
+/**
+ * Resolve the provider endpoints
+ *
+ * Explicitly configured endpoints win; anything missing is taken from the
+ * discovery document at <issuer>/.well-known/openid-configuration.
+ *
+ * @param {Object} provider - Provider config from config/oidc.js
+ * @returns {Promise<{authorizationEndpoint: string, tokenEndpoint: string, jwksUri: string}>}
+ */
+const getProviderMetadata = async (provider) => {
+  if (metadataCache.has(provider.name)) {
+    return metadataCache.get(provider.name);
+  }
+
+  let metadata = {
+    authorizationEndpoint: provider.authorizationEndpoint,
+    tokenEndpoint: provider.tokenEndpoint,
+    jwksUri: provider.jwksUri,
+  };
+
+  if (!metadata.authorizationEndpoint || !metadata.tokenEndpoint || !metadata.jwksUri) {
+    const discovery = await fetchJson(
+      `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+    );
+    metadata = {
+      authorizationEndpoint: metadata.authorizationEndpoint || discovery.authorization_endpoint,
+      tokenEndpoint: metadata.tokenEndpoint || discovery.token_endpoint,
+      jwksUri: metadata.jwksUri || discovery.jwks_uri,
+    };
+  }
+
+  metadataCache.set(provider.name, metadata);
+  return metadata;
+};
+
+/**
+ * Find the public key that signed an ID token
+ *
+ * The JWKS is cached and re-fetched once when an unknown key id shows up
+ * (providers rotate their keys regularly).
+ *
+ * @param {Object} provider - Provider config
+ * @param {string} kid - Key id from the token header
+ * @returns {Promise<crypto.KeyObject>}
+ */
+const getSigningKey = async (provider, kid) => {
+  const findKey = (jwks) =>
+    (jwks.keys || []).find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+
+  let key = jwksCache.has(provider.name) && findKey(jwksCache.get(provider.name));
+  if (!key) {
+    const { jwksUri } = await getProviderMetadata(provider);
+    const jwks = await fetchJson(jwksUri);
+    jwksCache.set(provider.name, jwks);
+    key = findKey(jwks);
+  }
+
+  if (!key) {
+    throw oidcError("ID token was signed with an unknown key", "OIDC_INVALID_ID_TOKEN");
+  }
+  return crypto.createPublicKey({ key, format: "jwk" });
+};
+
+/**
+ * Create the per-login random values: state, nonce and the PKCE pair
+ *
+ * @returns {{state: string, nonce: string, codeVerifier: string, codeChallenge: string}}
+ */
+const createAuthorizationRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(16)),
+    nonce: base64url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash("sha256").update(codeVerifier).digest()),
+  };
+};
+
+/**
+ * Build the URL the browser is redirected to for login at the provider
+ *
+ * @param {Object} provider - Provider config
+ * @param {Object} request - Values from createAuthorizationRequest()
+ * @returns {Promise<string>}
+ */
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+  const { authorizationEndpoint } = await getProviderMetadata(provider);
+  const url = new URL(authorizationEndpoint);
+
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Exchange the authorization code for tokens
+ *
+ * @param {Object} provider - Provider config
+ * @param {string} code - Code from the callback
+ * @param {string} codeVerifier - PKCE verifier created for this login
+ * @returns {Promise<Object>} - Token response (id_token, access_token, ...)
+ */
+const exchangeCode = async (provider, code, codeVerifier) => {
+  const { tokenEndpoint } = await getProviderMetadata(provider);
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  // Confidential clients authenticate with client_secret_post, public clients rely on PKCE only
+  if (provider.clientSecret) {
+    params.set("client_secret", provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: params.toString(),
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError("Identity provider did not return an ID token", "OIDC_INVALID_ID_TOKEN");
+  }
+  return tokens;
+};
+
+/**
+ * Verify an ID token and return its claims
+ *
+ * @param {Object} provider - Provider config
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent in the authorization request
+ * @returns {Promise<Object>} - Verified claims (sub, email, email_verified, name, ...)
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw oidcError("ID token is malformed", "OIDC_INVALID_ID_TOKEN");
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.issuer,
+      audience: provider.clientId,
+    });
+  } catch (err) {
+    throw oidcError(`ID token verification failed: ${err.message}`, "OIDC_INVALID_ID_TOKEN");
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError("ID token nonce does not match", "OIDC_INVALID_ID_TOKEN");
+  }
+  if (!claims.sub) {
+    throw oidcError("ID token has no subject", "OIDC_INVALID_ID_TOKEN");
+  }
+
+  return claims;
+};
+
+module.exports = {
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+};
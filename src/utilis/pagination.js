@@ -0,0 +1,148 @@
+/**
+ * Cursor Pagination
+ *
+ * Shared by list routes that page with `?cursor=&limit=` and answer with
+ * `pagination: { limit, nextCursor }`. Unlike skip/limit, a cursor remembers
+ * where the last page ended (the sort values of its last item), so users
+ * added or removed between requests never shift items across pages.
+ *
+ * USAGE:
+ * 1. const { limit, after } = parseCursorPagination(req.query);
+ * 2. Add cursorFilter(sort, after) to the query, sort by `sort`, fetch limit + 1
+ * 3. const { items, nextCursor } = toCursorPage(rows, { sort, limit });
+ *
+ * The sort must end with _id so every item has a unique position.
+ * Cursors are opaque to clients: base64url-encoded Extended JSON of the values.
+ */
+
+const mongoose = require("mongoose");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * Error for malformed or tampered cursors (routes answer 400 INVALID_CURSOR)
+ */
+const invalidCursor = () => {
+  const error = new Error("Invalid cursor. Start again without one.");
+  error.code = "INVALID_CURSOR";
+  return error;
+};
+
+// Only plain values may come out of a cursor - never objects that MongoDB
+// would read as operators
+const isCursorValue = (value) =>
+  value === null ||
+  typeof value === "number" ||
+  typeof value === "string" ||
+  value instanceof Date ||
+  value instanceof mongoose.Types.ObjectId;
+
+/**
+ * Encode the position of an item
+ *
+ * @param {Object} item - Document or plain object
+ * @param {Object} sort - e.g. { score: -1, _id: 1 }
+ * @returns {string}
+ */
+const encodeCursor = (item, sort) => {
+  const values = Object.keys(sort).map((field) => {
+    const value = typeof item.get === "function" ? item.get(field) : item[field];
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(EJSON.stringify(values)).toString("base64url");
+};
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort
+ *
+ * @param {string} cursor
+ * @param {Object} sort
+ * @returns {Array} - Sort values of the last item of the previous page
+ * @throws {Error} - code INVALID_CURSOR
+ */
+const decodeCursor = (cursor, sort) => {
+  let values;
+  try {
+    values = EJSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (err) {
+    throw invalidCursor();
+  }
+
+  if (!Array.isArray(values) || values.length !== Object.keys(sort).length || !values.every(isCursorValue)) {
+    throw invalidCursor();
+  }
+  return values;
+};
+
+/**
+ * Read cursor and limit from the query string
+ *
+ * @param {Object} query - req.query
+ * @param {Object} sort - Sort of the list, to validate the cursor against
+ * @param {Object} options
+ * @param {number} options.defaultLimit - Default: 10
+ * @param {number} options.maxLimit - Default: 50
+ * @returns {{limit: number, after: Array|null}}
+ * @throws {Error} - code INVALID_CURSOR
+ */
+const parseCursorPagination = (query, sort, { defaultLimit = 10, maxLimit = 50 } = {}) => {
+  let limit = parseInt(query.limit) || defaultLimit;
+  limit = limit > maxLimit ? maxLimit : limit;
+  limit = limit < 1 ? defaultLimit : limit;
+
+  return {
+    limit,
+    after: query.cursor ? decodeCursor(query.cursor, sort) : null,
+  };
+};
+
+/**
+ * Condition selecting the items after the cursor position
+ *
+ * For { score: -1, _id: 1 } this is:
+ * { $or: [{ score: { $lt: s } }, { score: s, _id: { $gt: id } }] }
+ *
+ * @param {Object} sort
+ * @param {Array|null} after - From parseCursorPagination
+ * @returns {Object} - Empty when there is no cursor
+ */
+const cursorFilter = (sort, after) => {
+  if (!after) {
+    return {};
+  }
+
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, index) => {
+      const condition = {};
+      fields.slice(0, index).forEach((previous, previousIndex) => {
+        condition[previous] = after[previousIndex];
+      });
+      condition[field] = { [sort[field] < 0 ? "$lt" : "$gt"]: after[index] };
+      return condition;
+    }),
+  };
+};
+
+/**
+ * Cut the fetched rows (limit + 1) down to a page
+ *
+ * @param {Array} rows - Sorted rows, fetched with limit + 1
+ * @param {Object} options
+ * @param {Object} options.sort
+ * @param {number} options.limit
+ * @returns {{items: Array, nextCursor: string|null}} - nextCursor is null on the last page
+ */
+const toCursorPage = (rows, { sort, limit }) => {
+  const items = rows.slice(0, limit);
+  return {
+    items,
+    nextCursor: rows.length > limit ? encodeCursor(items[items.length - 1], sort) : null,
+  };
+};
+
+module.exports = {
+  parseCursorPagination,
+  cursorFilter,
+  toCursorPage,
+};
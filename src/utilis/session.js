@@ -0,0 +1,265 @@
+/**
+ * Session Utilities
+ *
+ * Helpers for issuing, rotating and revoking login sessions.
+ *
+ * TOKEN MODEL:
+ * - Access token: short-lived JWT ({ _id, sid }) sent in the "token" cookie
+ * - Refresh token: opaque "<sessionId>.<random secret>" string sent in the
+ *   "refreshToken" cookie. Only its SHA-256 hash is stored in the Session document.
+ *
+ * Every call to POST /auth/refresh exchanges the current refresh token for a new
+ * pair. Presenting a refresh token that was already rotated out means it was
+ * copied by someone else, so the whole session (token family) is revoked.
+ */
+
+const crypto = require("crypto");
+const Session = require("../models/session");
+const { recordAuditEvent } = require("./audit");
+const {
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  COOKIE_OPTIONS,
+} = require("../config/auth");
+
+/**
+ * Hash a token before storing or looking it up
+ *
+ * @param {string} token - Plain token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Build a new refresh token for a session
+ *
+ * @param {ObjectId} sessionId - Session the token belongs to
+ * @returns {string} - "<sessionId>.<random secret>"
+ */
+const generateRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+
+/**
+ * Create an error carrying a machine readable code for the route handler
+ */
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Create a new session for a user and issue the first token pair
+ *
+ * Also cancels a pending account deletion (see DELETE /user/me).
+ *
+ * @param {User} user - Authenticated user document
+ * @param {Object} req - Express request (used for user agent and IP)
+ * @returns {Promise<{accessToken: string, refreshToken: string, session: Session}>}
+ *
+ * @example
+ * const { accessToken, refreshToken } = await createSession(user, req);
+ * setAuthCookies(res, { accessToken, refreshToken });
+ */
+const createSession = async (user, req) => {
+  // Logging in during the deletion grace period cancels the scheduled deletion
+  if (user.deletionScheduledFor) {
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.constructor.updateOne(
+      { _id: user._id },
+      { $set: { deletionRequestedAt: null, deletionScheduledFor: null } }
+    );
+    console.log(`♻️ Account deletion cancelled for ${user.emailId}`);
+    recordAuditEvent(req, "account.deletion_cancelled", { userId: user._id, actorId: user._id });
+  }
+
+  // The _id is generated client-side, so the refresh token can embed it before saving
+  const session = new Session({
+    userId: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip || "",
+    lastIp: req.ip || "",
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  const accessToken = await user.getJWT(session._id);
+
+  return { accessToken, refreshToken, session };
+};
+
+/**
+ * Check that the session referenced by an access token is still usable
+ *
+ * @param {string} sessionId - The `sid` claim of the access token
+ * @param {ObjectId} userId - The `_id` claim of the access token
+ * @returns {Promise<Session|null>} - The active session, or null if revoked/expired/unknown
+ */
+const findActiveSession = async (sessionId, userId) => {
+  if (!sessionId) {
+    return null;
+  }
+  const session = await Session.findOne({ _id: sessionId, userId });
+  return session && session.isActive() ? session : null;
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ *
+ * The swap is done with a single conditional update so that two concurrent
+ * refreshes with the same token cannot both succeed.
+ *
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {string} ip - Client IP, recorded as the session's last activity
+ * @returns {Promise<{refreshToken: string, session: Session}>}
+ * @throws {Error} - error.code is INVALID_REFRESH_TOKEN, SESSION_REVOKED,
+ *                   SESSION_EXPIRED or REFRESH_TOKEN_REUSED (which also carries
+ *                   error.userId and error.sessionId of the revoked session)
+ */
+const rotateRefreshToken = async (refreshToken, ip) => {
+  const [sessionId] = String(refreshToken || "").split(".");
+  if (!sessionId || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    throw sessionError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken(sessionId);
+
+  // Step 1: Try to rotate - only matches when the token is the current one
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastActiveAt: new Date(),
+        lastIp: ip || "",
+      },
+      $push: { usedTokenHashes: presentedHash },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { refreshToken: newRefreshToken, session };
+  }
+
+  // Step 2: Rotation failed - find out why
+  const existing = await Session.findById(sessionId);
+  if (!existing) {
+    throw sessionError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  // A rotated-out token is being replayed: kill the whole token family
+  if (existing.usedTokenHashes.includes(presentedHash)) {
+    await existing.revoke("reuse_detected");
+    console.warn(`🚨 Refresh token reuse detected, session ${existing._id} revoked`);
+    const reuseError = sessionError(
+      "Refresh token has already been used. Please login again.",
+      "REFRESH_TOKEN_REUSED"
+    );
+    reuseError.userId = existing.userId;
+    reuseError.sessionId = existing._id;
+    throw reuseError;
+  }
+
+  if (existing.revokedAt) {
+    throw sessionError("Session has been revoked. Please login again.", "SESSION_REVOKED");
+  }
+
+  if (existing.expiresAt <= new Date()) {
+    throw sessionError("Session expired. Please login again.", "SESSION_EXPIRED");
+  }
+
+  throw sessionError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+};
+
+/**
+ * Revoke the session a refresh token belongs to (used by logout)
+ *
+ * Unknown or malformed tokens are ignored - logout should always succeed.
+ *
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {string} reason - Revocation reason stored on the session
+ * @returns {Promise<Session|null>} - The revoked session, or null if none matched
+ */
+const revokeSessionByToken = async (refreshToken, reason = "logout") => {
+  const [sessionId] = String(refreshToken || "").split(".");
+  if (!sessionId || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (session && session.refreshTokenHash === hashToken(refreshToken)) {
+    return session.revoke(reason);
+  }
+  return null;
+};
+
+/**
+ * Revoke every active session of a user
+ *
+ * @param {ObjectId} userId - Owner of the sessions
+ * @param {string} reason - Revocation reason stored on the sessions
+ * @param {Object} options
+ * @param {ObjectId} options.exceptSessionId - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Set the access and refresh token cookies
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - { accessToken, refreshToken }
+ */
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie("token", accessToken, {
+    ...COOKIE_OPTIONS,
+    expires: new Date(Date.now() + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000),
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...COOKIE_OPTIONS,
+    expires: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+};
+
+/**
+ * Clear both authentication cookies
+ *
+ * @param {Object} res - Express response object
+ */
+const clearAuthCookies = (res) => {
+  res.cookie("token", null, { ...COOKIE_OPTIONS, expires: new Date(Date.now()) });
+  res.cookie("refreshToken", null, { ...COOKIE_OPTIONS, expires: new Date(Date.now()) });
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  findActiveSession,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  revokeAllSessions,
+  setAuthCookies,
+  clearAuthCookies,
+};
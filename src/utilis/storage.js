@@ -0,0 +1,156 @@
+/**
+ * Storage - Pluggable File Storage
+ *
+ * Route handlers never write uploaded files themselves. They call saveFile()
+ * and removeFile(), and the configured adapter decides where the bytes go.
+ * Files are identified by a storage key such as "<userId>/<random>.jpg".
+ *
+ * Private files (identity documents) get keys below PRIVATE_KEY_PREFIX and
+ * no public URL; only the API reads them back, through readFile().
+ *
+ * BUILT-IN ADAPTERS:
+ * - local: writes files below UPLOADS_DIR; app.js serves them statically
+ *          under UPLOADS_PUBLIC_PATH. Private files go to PRIVATE_UPLOADS_DIR,
+ *          which is not served at all
+ *
+ * A cloud adapter (S3, GCS, ...) can be plugged in at startup:
+ *
+ * @example
+ * const { registerStorageAdapter } = require("./utilis/storage");
+ * registerStorageAdapter("s3", {
+ *   save: async (key, buffer, contentType) => { await s3.putObject(...); },
+ *   remove: async (key) => { await s3.deleteObject(...); },
+ *   getUrl: (key) => `https://my-bucket.s3.amazonaws.com/${key}`,
+ *   read: async (key) => (await s3.getObject(...)).Body, // optional, needed for private files
+ * });
+ * // and set STORAGE_DRIVER=s3 in .env
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  STORAGE_DRIVER,
+  UPLOADS_DIR,
+  UPLOADS_PUBLIC_PATH,
+  PRIVATE_KEY_PREFIX,
+  PRIVATE_UPLOADS_DIR,
+  PUBLIC_BASE_URL,
+} = require("../config/uploads");
+
+/**
+ * Resolve a storage key to a path inside UPLOADS_DIR (or PRIVATE_UPLOADS_DIR)
+ * Keys come from our own database, but never let one escape the directory.
+ */
+const resolveLocalPath = (key) => {
+  const privatePrefix = `${PRIVATE_KEY_PREFIX}/`;
+  const isPrivate = key.startsWith(privatePrefix);
+  const root = path.resolve(isPrivate ? PRIVATE_UPLOADS_DIR : UPLOADS_DIR);
+  const filePath = path.resolve(root, isPrivate ? key.slice(privatePrefix.length) : key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error("Invalid storage key");
+  }
+  return filePath;
+};
+
+/**
+ * Built-in adapters
+ * Each adapter implements save(key, buffer, contentType), remove(key), getUrl(key)
+ * and optionally read(key).
+ */
+const adapters = {
+  local: {
+    save: async (key, buffer) => {
+      const filePath = resolveLocalPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.unlink(resolveLocalPath(key));
+      } catch (err) {
+        // Already gone is fine - removal must be idempotent
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    getUrl: (key) => `${PUBLIC_BASE_URL}${UPLOADS_PUBLIC_PATH}/${key}`,
+
+    read: async (key) => fs.readFile(resolveLocalPath(key)),
+  },
+};
+
+/**
+ * Register (or replace) a storage adapter
+ *
+ * @param {string} name - Name used in STORAGE_DRIVER
+ * @param {Object} adapter - { save, remove, getUrl, read? }
+ */
+const registerStorageAdapter = (name, adapter) => {
+  if (!adapter || !["save", "remove", "getUrl"].every((method) => typeof adapter[method] === "function")) {
+    throw new Error("Storage adapter must implement save, remove and getUrl");
+  }
+  adapters[name] = adapter;
+};
+
+/**
+ * Get the configured adapter
+ */
+const getAdapter = () => {
+  const adapter = adapters[STORAGE_DRIVER];
+  if (!adapter) {
+    throw new Error(`Unknown storage driver "${STORAGE_DRIVER}"`);
+  }
+  return adapter;
+};
+
+/**
+ * Store a file under a new random key
+ *
+ * @param {Object} file
+ * @param {Buffer} file.buffer - File contents
+ * @param {string} file.contentType - MIME type
+ * @param {string} file.extension - Extension for the key, e.g. "jpg"
+ * @param {string} file.folder - Key prefix, e.g. the owner's user id
+ * @param {boolean} [file.isPrivate=false] - Keep the file out of public URLs
+ * @returns {Promise<{key: string, url: string|null}>}
+ */
+const saveFile = async ({ buffer, contentType, extension, folder, isPrivate = false }) => {
+  const adapter = getAdapter();
+  const prefix = isPrivate ? `${PRIVATE_KEY_PREFIX}/${folder}` : folder;
+  const key = `${prefix}/${crypto.randomBytes(16).toString("hex")}.${extension}`;
+  await adapter.save(key, buffer, contentType);
+  return { key, url: isPrivate ? null : adapter.getUrl(key) };
+};
+
+/**
+ * Read a stored file back (used for private files, which have no URL)
+ *
+ * @param {string} key - Storage key returned by saveFile()
+ * @returns {Promise<Buffer>}
+ */
+const readFile = async (key) => {
+  const adapter = getAdapter();
+  if (typeof adapter.read !== "function") {
+    throw new Error(`Storage driver "${STORAGE_DRIVER}" cannot read files back`);
+  }
+  return adapter.read(key);
+};
+
+/**
+ * Delete a stored file (missing files are ignored)
+ *
+ * @param {string} key - Storage key returned by saveFile()
+ * @returns {Promise<void>}
+ */
+const removeFile = async (key) => {
+  await getAdapter().remove(key);
+};
+
+module.exports = {
+  saveFile,
+  readFile,
+  removeFile,
+  registerStorageAdapter,
+};
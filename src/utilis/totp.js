@@ -0,0 +1,241 @@
+/**
+ * TOTP (Time-based One-Time Password) Utilities
+ *
+ * Self-contained implementation of RFC 6238 (on top of RFC 4226 HOTP) using
+ * only Node's crypto module, compatible with Google Authenticator, Authy,
+ * 1Password and other authenticator apps:
+ * - HMAC-SHA1, 6 digits, 30 second time step
+ * - Secrets are shared with the app as Base32 inside an otpauth:// URI
+ *
+ * Secrets are encrypted (AES-256-GCM) before they are stored on the User
+ * document, so a database dump alone is not enough to generate codes.
+ */
+
+const crypto = require("crypto");
+const { JWT_SECRET } = require("../config/auth");
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Key used to encrypt secrets at rest (falls back to a key derived from JWT_SECRET)
+const ENCRYPTION_KEY = crypto
+  .createHash("sha256")
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `2fa:${JWT_SECRET}`)
+  .digest();
+
+/**
+ * Encode a buffer as RFC 4648 Base32 (no padding)
+ *
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 Base32 string (padding and spaces are ignored)
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Raw bytes
+ * @throws {Error} - If the string contains characters outside the alphabet
+ */
+const base32Decode = (input) => {
+  const cleaned = input.replace(/[\s=]/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid Base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ *
+ * @returns {string} - 160-bit secret encoded as Base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor (the time step for TOTP)
+ * @returns {string} - Zero padded code
+ */
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Time step number for a point in time
+ *
+ * @param {number} [timestamp] - Milliseconds since epoch (defaults to now)
+ * @returns {number}
+ */
+const timeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Compute the TOTP code for a point in time (RFC 6238)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} [timestamp] - Milliseconds since epoch (defaults to now)
+ * @returns {string} - 6 digit code
+ */
+const generateTOTP = (secret, timestamp = Date.now()) => generateHOTP(secret, timeStep(timestamp));
+
+/**
+ * Verify a TOTP code, tolerating small clock drift
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Accepted steps before/after the current one
+ * @param {number} [options.afterStep] - Reject codes from this step or earlier (replay protection)
+ * @returns {number|null} - The matching time step, or null if the code is invalid
+ *
+ * @example
+ * const step = verifyTOTP(secret, "123456", { afterStep: user.twoFactorLastUsedStep });
+ * if (step === null) throw new Error("Invalid code");
+ */
+const verifyTOTP = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = timeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) {
+      continue;
+    }
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually via QR code)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Label shown in the app (the user's email)
+ * @param {string} [issuer="Trawell"] - Service name shown in the app
+ * @returns {string}
+ */
+const buildOtpAuthUri = (secret, accountName, issuer = "Trawell") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Encrypt a secret for storage
+ *
+ * @param {string} secret - Base32 secret
+ * @returns {string} - "iv.authTag.ciphertext" (hex)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("hex")).join(".");
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret()
+ *
+ * @param {string} payload - "iv.authTag.ciphertext" (hex)
+ * @returns {string} - Base32 secret
+ */
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(".").map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Generate one-time recovery codes
+ *
+ * @param {number} [count=10] - Number of codes
+ * @returns {string[]} - Plain codes like "4f9a-c2e1-7b30" (show once, store hashed)
+ */
+const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () =>
+    crypto.randomBytes(6).toString("hex").match(/.{4}/g).join("-")
+  );
+
+/**
+ * Hash a recovery code for storage / lookup
+ *
+ * Codes are normalized first so "4F9A C2E1 7B30" matches "4f9a-c2e1-7b30".
+ *
+ * @param {string} code - Plain recovery code
+ * @returns {string} - Hex SHA-256 hash
+ */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[^a-f0-9]/g, ""))
+    .digest("hex");
+
+module.exports = {
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
@@ -0,0 +1,121 @@
+/**
+ * Trust Badge Utilities
+ *
+ * Travelers meeting strangers need to know who they are dealing with, so
+ * profile cards and group member lists carry trust badges:
+ * - emailVerified: the user confirmed their email address
+ * - idVerified: a moderator approved their identity verification request
+ * - completedTrips: trips the user actually went on
+ *
+ * A trip counts as completed when the user was an accepted (isVerified)
+ * member of a group whose travelDate has passed. Trip counts are computed
+ * for a whole page of users with a single query.
+ */
+
+const Group = require("../models/group");
+
+// Fields that must be selected/populated for User.getTrustBadges()
+const TRUST_BADGE_FIELDS = ["isEmailVerified", "identityVerifiedAt"];
+
+/**
+ * Has the group's trip already happened?
+ * travelDate is free-form text; dates we cannot parse never count.
+ *
+ * @param {Object} group - Group document or plain object with travelDate
+ * @returns {boolean}
+ */
+const isTripCompleted = (group) => {
+  const travelDate = Date.parse(group.travelDate);
+  return !Number.isNaN(travelDate) && travelDate < Date.now();
+};
+
+/**
+ * Count completed trips for a set of users
+ *
+ * @param {Array<ObjectId|string>} userIds
+ * @returns {Promise<Map<string, number>>} - userId -> number of completed trips
+ */
+const countCompletedTrips = async (userIds) => {
+  const counts = new Map();
+  if (userIds.length === 0) {
+    return counts;
+  }
+
+  const wanted = new Set(userIds.map((id) => id.toString()));
+  const groups = await Group.find({ "groupMembers.user": { $in: Array.from(wanted) } })
+    .select("groupMembers travelDate")
+    .lean();
+
+  groups.forEach((group) => {
+    if (!isTripCompleted(group)) {
+      return;
+    }
+
+    group.groupMembers.forEach((member) => {
+      const memberId = member.user && member.user.toString();
+      if (member.isVerified && wanted.has(memberId)) {
+        counts.set(memberId, (counts.get(memberId) || 0) + 1);
+      }
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * Build public profiles (User.toPublicProfile) with completed trips filled in
+ *
+ * @param {User[]} users - Documents selected with TRUST_BADGE_FIELDS
+ * @param {Object} options - Passed on to toPublicProfile (e.g. isConnection)
+ * @returns {Promise<Object[]>}
+ */
+const toPublicProfiles = async (users, options = {}) => {
+  const trips = await countCompletedTrips(users.map((user) => user._id));
+  return users.map((user) => user.toPublicProfile({
+    ...options,
+    completedTrips: trips.get(user._id.toString()) || 0,
+  }));
+};
+
+/**
+ * Serialize groups with public profiles (and trust badges) of the populated
+ * admin and members
+ *
+ * Group listings are public, so members are shown the way strangers see
+ * them: User.toPublicProfile applies their privacySettings.
+ *
+ * @param {Group[]} groups - Groups with groupAdmin / groupMembers.user populated
+ *                           including TRUST_BADGE_FIELDS and privacySettings
+ * @returns {Promise<Object[]>} - Plain objects ready for res.json()
+ */
+const withMemberBadges = async (groups) => {
+  const isPopulated = (user) => user && typeof user.toPublicProfile === "function";
+
+  const users = groups.flatMap((group) => [
+    group.groupAdmin,
+    ...group.groupMembers.map((member) => member.user),
+  ]).filter(isPopulated);
+  const trips = await countCompletedTrips(users.map((user) => user._id));
+  const profileOf = (user) => user.toPublicProfile({ completedTrips: trips.get(user._id.toString()) || 0 });
+
+  return groups.map((group) => {
+    const json = group.toJSON();
+    if (isPopulated(group.groupAdmin)) {
+      json.groupAdmin = profileOf(group.groupAdmin);
+    }
+    group.groupMembers.forEach((member, index) => {
+      if (isPopulated(member.user)) {
+        json.groupMembers[index].user = profileOf(member.user);
+      }
+    });
+    return json;
+  });
+};
+
+module.exports = {
+  TRUST_BADGE_FIELDS,
+  isTripCompleted,
+  countCompletedTrips,
+  toPublicProfiles,
+  withMemberBadges,
+};
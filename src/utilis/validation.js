@@ -19,6 +19,20 @@
  */
 
 const validator = require("validator"); // Comprehensive validation library
+const {
+    TRAVEL_INTERESTS,
+    BUDGET_LEVELS,
+    MAX_INTERESTS,
+    MAX_LANGUAGES,
+    MAX_DESTINATIONS,
+    MAX_AVAILABILITY_WINDOWS,
+    MAX_PLACE_NAME_LENGTH,
+} = require("../config/travel"); // Allowed travel preference values
+
+// Travel preference fields accepted by PATCH /user/:id
+const TRAVEL_PREFERENCE_FIELDS = [
+    "interests", "budget", "languages", "homeCity", "preferredDestinations", "availability"
+];
 
 /**
  * Validate User Signup Data
@@ -79,6 +93,109 @@ const validSignUpData = (req) => {
     console.log("✅ Signup data validation passed");
 };
 
+/**
+ * Validate Travel Preferences
+ * 
+ * Checks the travel preference fields present in an update and normalizes
+ * them in place (trimmed strings, lowercase codes, de-duplicated lists,
+ * Date objects). Fields that are not present are ignored, so clients can
+ * update one preference at a time.
+ * 
+ * @param {Object} preferences - Request body (or any object with preference fields)
+ * @throws {Error} - Throws error with descriptive message if validation fails
+ * 
+ * VALIDATION RULES (values and limits live in config/travel.js):
+ * - interests: array of known interests, at most MAX_INTERESTS
+ * - budget: one of BUDGET_LEVELS
+ * - languages: array of ISO 639-1 codes ("en", "hi", ...), at most MAX_LANGUAGES
+ * - homeCity: string up to MAX_PLACE_NAME_LENGTH characters
+ * - preferredDestinations: array of place names, at most MAX_DESTINATIONS
+ * - availability: array of { from, to } dates, at most MAX_AVAILABILITY_WINDOWS,
+ *   each ending after it starts and not already over
+ * 
+ * @example
+ * validTravelPreferences({ interests: ["hiking", "food"], budget: "moderate" });
+ */
+const validTravelPreferences = (preferences) => {
+    // Normalize a list of strings: must be an array of non-empty strings, no duplicates
+    const toStringList = (value, field, normalize = (item) => item) => {
+        if (!Array.isArray(value) || !value.every((item) => typeof item === "string" && item.trim())) {
+            throw new Error(`${field} must be a list of text values`);
+        }
+        return [...new Set(value.map((item) => normalize(item.trim())))];
+    };
+    const lowercase = (item) => item.toLowerCase();
+
+    if (preferences.interests !== undefined) {
+        const interests = toStringList(preferences.interests, "interests", lowercase);
+        const unknown = interests.find((interest) => !TRAVEL_INTERESTS.includes(interest));
+        if (unknown) {
+            throw new Error(`Unknown interest "${unknown}". Allowed: ${TRAVEL_INTERESTS.join(", ")}`);
+        }
+        if (interests.length > MAX_INTERESTS) {
+            throw new Error(`You can pick at most ${MAX_INTERESTS} interests`);
+        }
+        preferences.interests = interests;
+    }
+
+    if (preferences.budget !== undefined && !BUDGET_LEVELS.includes(preferences.budget)) {
+        throw new Error(`Budget must be one of: ${BUDGET_LEVELS.join(", ")}`);
+    }
+
+    if (preferences.languages !== undefined) {
+        const languages = toStringList(preferences.languages, "languages", lowercase);
+        const invalid = languages.find((code) => !validator.isISO6391(code));
+        if (invalid) {
+            throw new Error(`"${invalid}" is not an ISO 639-1 language code (e.g. "en", "hi")`);
+        }
+        if (languages.length > MAX_LANGUAGES) {
+            throw new Error(`You can list at most ${MAX_LANGUAGES} languages`);
+        }
+        preferences.languages = languages;
+    }
+
+    if (preferences.homeCity !== undefined) {
+        if (typeof preferences.homeCity !== "string" || preferences.homeCity.trim().length > MAX_PLACE_NAME_LENGTH) {
+            throw new Error(`Home city must be text of at most ${MAX_PLACE_NAME_LENGTH} characters`);
+        }
+        preferences.homeCity = preferences.homeCity.trim();
+    }
+
+    if (preferences.preferredDestinations !== undefined) {
+        const destinations = toStringList(preferences.preferredDestinations, "preferredDestinations");
+        if (destinations.length > MAX_DESTINATIONS) {
+            throw new Error(`You can list at most ${MAX_DESTINATIONS} destinations`);
+        }
+        if (destinations.some((destination) => destination.length > MAX_PLACE_NAME_LENGTH)) {
+            throw new Error(`Destination names cannot exceed ${MAX_PLACE_NAME_LENGTH} characters`);
+        }
+        preferences.preferredDestinations = destinations;
+    }
+
+    if (preferences.availability !== undefined) {
+        if (!Array.isArray(preferences.availability)) {
+            throw new Error("availability must be a list of { from, to } date ranges");
+        }
+        if (preferences.availability.length > MAX_AVAILABILITY_WINDOWS) {
+            throw new Error(`You can list at most ${MAX_AVAILABILITY_WINDOWS} availability windows`);
+        }
+        preferences.availability = preferences.availability.map((window) => {
+            const from = new Date(window && window.from);
+            const to = new Date(window && window.to);
+            if (isNaN(from) || isNaN(to)) {
+                throw new Error("Each availability window needs valid from and to dates");
+            }
+            if (from > to) {
+                throw new Error("An availability window cannot end before it starts");
+            }
+            if (to < new Date()) {
+                throw new Error("Availability windows must not be entirely in the past");
+            }
+            return { from, to };
+        });
+    }
+};
+
 /**
  * Validate User Update Data
  * 
@@ -95,6 +212,7 @@ const validSignUpData = (req) => {
  * - lastName: Required, non-empty string
  * - gender: Must be one of: male, female, others
  * - age: Must be between 18 and 80 years
+ * - Travel preferences: see validTravelPreferences()
  * - Only allowed fields can be updated
  * 
  * @example
@@ -117,7 +235,7 @@ const validUpdateData = (req) => {
     
     // Define which fields are allowed to be updated
     // This prevents users from updating sensitive fields like email or password
-    const ALLOWED_UPDATES = ["firstName", "lastName", "gender", "image", "age", "about"];
+    const ALLOWED_UPDATES = ["firstName", "lastName", "gender", "image", "age", "about", ...TRAVEL_PREFERENCE_FIELDS];
     
     // Check if all requested updates are in the allowed list
     // This is a security measure to prevent unauthorized field modifications
@@ -152,10 +270,95 @@ const validUpdateData = (req) => {
         throw new Error("Age must be between 18 and 80 years");
     }
     
+    // Validation 6: Travel Preferences
+    validTravelPreferences(user);
+    
     // Return whether all updates are allowed
     return isEditAllowed;
 };
 
+/**
+ * Validate Feed Filters
+ * 
+ * Validates and normalizes the discovery feed filters, whether they come
+ * from the GET /user/feed query string (lists as comma separated text) or
+ * from the saved filters in PUT /user/feed/filters (lists as arrays).
+ * 
+ * @param {Object} input - Raw filters
+ * @returns {Object} - Normalized filters; only the given ones are set
+ * @throws {Error} - If any filter is invalid
+ * 
+ * @example
+ * validFeedFilters({ minAge: "25", gender: "female,others", languages: "en,hi" });
+ * // { minAge: 25, genders: ["female", "others"], languages: ["en", "hi"] }
+ */
+const validFeedFilters = (input = {}) => {
+    const filters = {};
+
+    // Lists may arrive as "a,b" (query string) or ["a", "b"] (JSON body)
+    const toList = (value) => (Array.isArray(value) ? value : String(value).split(","))
+        .map((item) => String(item).trim().toLowerCase())
+        .filter(Boolean);
+
+    const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+    ["minAge", "maxAge"].forEach((field) => {
+        if (isSet(input[field])) {
+            const age = Number(input[field]);
+            if (!Number.isInteger(age) || age < 18 || age > 120) {
+                throw new Error(`${field} must be a whole number between 18 and 120`);
+            }
+            filters[field] = age;
+        }
+    });
+    if (filters.minAge && filters.maxAge && filters.minAge > filters.maxAge) {
+        throw new Error("minAge cannot be greater than maxAge");
+    }
+
+    // "gender" in the query string, "genders" in saved filters
+    const genders = isSet(input.genders) ? input.genders : input.gender;
+    if (isSet(genders)) {
+        filters.genders = [...new Set(toList(genders))];
+        const invalid = filters.genders.find((gender) => !["male", "female", "others"].includes(gender));
+        if (invalid) {
+            throw new Error(`Unknown gender "${invalid}". Allowed: male, female, others`);
+        }
+    }
+
+    if (isSet(input.languages)) {
+        filters.languages = [...new Set(toList(input.languages))];
+        const invalid = filters.languages.find((code) => !validator.isISO6391(code));
+        if (invalid) {
+            throw new Error(`"${invalid}" is not an ISO 639-1 language code (e.g. "en", "hi")`);
+        }
+        if (filters.languages.length > MAX_LANGUAGES) {
+            throw new Error(`Filter on at most ${MAX_LANGUAGES} languages`);
+        }
+    }
+
+    if (isSet(input.destination)) {
+        if (typeof input.destination !== "string" || input.destination.trim().length > MAX_PLACE_NAME_LENGTH) {
+            throw new Error(`destination must be text of at most ${MAX_PLACE_NAME_LENGTH} characters`);
+        }
+        filters.destination = input.destination.trim();
+    }
+
+    ["travelFrom", "travelTo"].forEach((field) => {
+        if (isSet(input[field])) {
+            const date = new Date(input[field]);
+            if (isNaN(date)) {
+                throw new Error(`${field} must be a valid date`);
+            }
+            filters[field] = date;
+        }
+    });
+    if (filters.travelFrom && filters.travelTo && filters.travelFrom > filters.travelTo) {
+        throw new Error("travelFrom cannot be after travelTo");
+    }
+
+    return filters;
+};
+
 /**
  * Enhanced Validation Functions (Optional Improvements)
  * 
@@ -183,18 +386,15 @@ const validUpdateData = (req) => {
  *    };
  * 
  * 4. Custom Business Rule Validation:
- *    const validTravelPreferences = (preferences) => {
- *      const validTypes = ['adventure', 'relaxation', 'culture', 'food'];
- *      if (!preferences.every(pref => validTypes.includes(pref))) {
- *        throw new Error("Invalid travel preference type");
- *      }
- *    };
+ *    See validTravelPreferences() above for an implemented example.
  */
 
 // Export validation functions for use in route handlers
 module.exports = {
     validSignUpData, 
-    validUpdateData
+    validUpdateData,
+    validTravelPreferences,
+    validFeedFilters
 };
 
 /**